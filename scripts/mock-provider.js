@@ -0,0 +1,118 @@
+/**
+ * scripts/mock-provider.js
+ * Local stand-in for an SMM panel v2 API, for working on the bot offline.
+ *
+ *   MOCK_PROVIDER_PORT=4010 node scripts/mock-provider.js
+ *   VIRALSMM_API_URL=http://localhost:4010/api/v2 npm start
+ *
+ * Orders move Pending -> In progress -> Completed a little each time their
+ * status is polled. A link containing "#partial" ends as Partial and one
+ * containing "#cancel" ends as Canceled. `cancel` stops an unfinished order on
+ * its next poll, and refills of completed orders complete on their second
+ * `refill_status` poll.
+ *
+ * Tests import createMockProvider() and listen on a port of their own.
+ */
+
+import express from 'express';
+import { pathToFileURL } from 'url';
+
+const PORT = Number(process.env.MOCK_PROVIDER_PORT || 4010);
+const API_KEY = process.env.MOCK_PROVIDER_KEY || '';
+
+const services = [
+  { service: 11505, name: 'Instagram Likes', type: 'Default', category: 'Instagram', rate: '0.80', min: '100', max: '50000', refill: true, cancel: true },
+  { service: 10695, name: 'Instagram Views', type: 'Default', category: 'Instagram', rate: '0.50', min: '100', max: '1000000', refill: false, cancel: true },
+  { service: 20001, name: 'Instagram Followers', type: 'Default', category: 'Instagram', rate: '25.00', min: '50', max: '10000', refill: true, cancel: false }
+];
+
+function statusOf(o) {
+  if (o.cancelled) return { charge: '0', start_count: '0', status: o.polls > 1 ? 'Partial' : 'Canceled', remains: String(o.polls > 1 ? Math.floor(o.quantity / 2) : o.quantity), currency: 'INR' };
+  const step = o.polls++;
+  if (step === 0) return { charge: o.charge, start_count: '0', status: 'Pending', remains: String(o.quantity), currency: 'INR' };
+  if (step === 1) return { charge: o.charge, start_count: '0', status: 'In progress', remains: String(Math.floor(o.quantity / 2)), currency: 'INR' };
+  if (o.link.includes('#cancel')) return { charge: '0', start_count: '0', status: 'Canceled', remains: String(o.quantity), currency: 'INR' };
+  if (o.link.includes('#partial')) return { charge: o.charge, start_count: '0', status: 'Partial', remains: String(Math.floor(o.quantity / 4)), currency: 'INR' };
+  return { charge: o.charge, start_count: '0', status: 'Completed', remains: '0', currency: 'INR' };
+}
+
+// Each call starts with a fresh balance and no orders.
+export function createMockProvider({ apiKey = API_KEY } = {}) {
+  let balance = 1000;
+  let nextOrderId = 1000;
+  let nextRefillId = 500;
+  const orders = new Map();
+  const refills = new Map();
+
+  const actions = {
+    services: () => services,
+    balance: () => ({ balance: balance.toFixed(2), currency: 'INR' }),
+    add: (p) => {
+      const svc = services.find(s => s.service === Number(p.service));
+      const quantity = Number(p.quantity);
+      if (!svc) return { error: 'Incorrect service ID' };
+      if (!p.link) return { error: 'Bad link' };
+      if (!(quantity >= Number(svc.min) && quantity <= Number(svc.max))) return { error: 'Quantity out of range' };
+      const charge = (Number(svc.rate) * quantity / 1000).toFixed(4);
+      if (Number(charge) > balance) return { error: 'Not enough funds on balance' };
+      balance -= Number(charge);
+      const id = nextOrderId++;
+      orders.set(id, { id, service: svc, link: p.link, quantity, charge, polls: 0 });
+      return { order: id };
+    },
+    status: (p) => {
+      if (p.orders) {
+        const out = {};
+        for (const id of String(p.orders).split(',')) {
+          const o = orders.get(Number(id));
+          out[id] = o ? statusOf(o) : { error: 'Incorrect order ID' };
+        }
+        return out;
+      }
+      const o = orders.get(Number(p.order));
+      return o ? statusOf(o) : { error: 'Incorrect order ID' };
+    },
+    refill: (p) => {
+      const o = orders.get(Number(p.order));
+      if (!o) return { error: 'Incorrect order ID' };
+      if (!o.service.refill) return { error: 'Refill is not available for this service' };
+      if (o.cancelled || o.polls < 3 || o.link.includes('#cancel')) return { error: 'Order is not completed' };
+      const id = nextRefillId++;
+      refills.set(id, { id, polls: 0 });
+      return { refill: id };
+    },
+    refill_status: (p) => {
+      const statusOfRefill = (id) => {
+        const r = refills.get(Number(id));
+        if (!r) return { error: 'Refill not found' };
+        return r.polls++ < 1 ? 'Pending' : 'Completed';
+      };
+      if (p.refills) return String(p.refills).split(',').map(id => ({ refill: Number(id), status: statusOfRefill(id) }));
+      return { status: statusOfRefill(p.refill) };
+    },
+    cancel: (p) => String(p.orders || '').split(',').map(id => {
+      const o = orders.get(Number(id));
+      if (!o) return { order: Number(id), cancel: { error: 'Incorrect order ID' } };
+      if (!o.service.cancel) return { order: o.id, cancel: { error: 'Cancel is not available for this service' } };
+      if (o.cancelled || o.polls >= 3) return { order: o.id, cancel: { error: 'Order is already finished' } };
+      o.cancelled = true;
+      return { order: o.id, cancel: 1 };
+    })
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.post('/api/v2', (req, res) => {
+    const p = req.body || {};
+    if (apiKey && p.key !== apiKey) return res.json({ error: 'Invalid API key' });
+    const handler = actions[p.action];
+    if (!handler) return res.json({ error: 'Incorrect request' });
+    res.json(handler(p));
+  });
+
+  return app;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  createMockProvider().listen(PORT, () => console.log('Mock SMM provider on port', PORT));
+}
@@ -0,0 +1,145 @@
+/**
+ * scripts/restore-backup.js
+ * Validates a backup archive written by the bot (backup_*.ejson.gz) and loads
+ * it into a database.
+ *
+ *   node scripts/restore-backup.js <archive> [--dry-run] [--drop] [--uri <mongo uri>] [--db <name>]
+ *
+ * The whole archive is validated before anything is written. --dry-run stops
+ * after that and prints what would be restored. Collections that already hold
+ * documents in the target are refused unless --drop is given, which drops
+ * them before loading. --uri and --db default to MONGO_URI and DB_NAME.
+ */
+
+import 'dotenv/config';
+import { MongoClient, BSON } from 'mongodb';
+import fs from 'fs';
+import zlib from 'zlib';
+import readline from 'readline';
+
+const { EJSON } = BSON;
+const BACKUP_FORMAT = 'smm-bot-backup';
+const INSERT_BATCH = 1000;
+const MAX_REPORTED_ERRORS = 10;
+
+function parseArgs(argv) {
+  const opts = { archive: null, dryRun: false, drop: false, uri: process.env.MONGO_URI, db: process.env.DB_NAME || 'smm_bot_db' };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--dry-run') opts.dryRun = true;
+    else if (a === '--drop') opts.drop = true;
+    else if (a === '--uri') opts.uri = argv[++i];
+    else if (a === '--db') opts.db = argv[++i];
+    else if (!a.startsWith('--') && !opts.archive) opts.archive = a;
+    else throw new Error(`unknown argument ${a}`);
+  }
+  if (!opts.archive) throw new Error('usage: node scripts/restore-backup.js <archive> [--dry-run] [--drop] [--uri <mongo uri>] [--db <name>]');
+  return opts;
+}
+
+async function* readLines(file) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file).pipe(zlib.createGunzip()), crlfDelay: Infinity });
+  let n = 0;
+  for await (const line of rl) {
+    n++;
+    if (line) yield { n, line };
+  }
+}
+
+// Reads the archive end to end; returns { header, collections, errors }.
+async function validate(file) {
+  const errors = [];
+  const counts = {};
+  let header = null;
+  let trailer = null;
+  for await (const { n, line } of readLines(file)) {
+    if (errors.length >= MAX_REPORTED_ERRORS) break;
+    let rec;
+    try { rec = EJSON.parse(line, { relaxed: false }); } catch (e) { errors.push(`line ${n}: not Extended JSON (${e.message})`); continue; }
+    if (!header) {
+      if (rec.format !== BACKUP_FORMAT || Number(rec.version) !== 1) errors.push(`line ${n}: not a ${BACKUP_FORMAT} v1 header`);
+      header = rec;
+    } else if (trailer) {
+      errors.push(`line ${n}: data after the end marker`);
+    } else if (rec.end === true) {
+      trailer = rec;
+    } else if (typeof rec.c !== 'string' || !rec.d || typeof rec.d !== 'object' || rec.d._id === undefined) {
+      errors.push(`line ${n}: expected { c: <collection>, d: <document with _id> }`);
+    } else {
+      counts[rec.c] = (counts[rec.c] || 0) + 1;
+    }
+  }
+  if (!header) errors.push('archive is empty');
+  else if (!trailer && errors.length < MAX_REPORTED_ERRORS) errors.push('end marker missing; the archive is truncated');
+  if (trailer) {
+    for (const [name, expected] of Object.entries(trailer.collections || {})) {
+      if ((counts[name] || 0) !== Number(expected)) errors.push(`${name}: end marker says ${expected} documents, found ${counts[name] || 0}`);
+    }
+  }
+  return { header, collections: counts, errors };
+}
+
+async function load(file, db) {
+  let batch = [];
+  let current = null;
+  const flush = async () => {
+    if (batch.length) await db.collection(current).insertMany(batch, { ordered: true });
+    batch = [];
+  };
+  for await (const { line } of readLines(file)) {
+    const rec = EJSON.parse(line, { relaxed: false });
+    if (typeof rec.c !== 'string') continue;   // header / end marker
+    if (rec.c !== current || batch.length >= INSERT_BATCH) {
+      await flush();
+      current = rec.c;
+    }
+    batch.push(rec.d);
+  }
+  await flush();
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const { header, collections, errors } = await validate(opts.archive);
+  if (errors.length) {
+    console.error(`✗ ${opts.archive} is not a valid backup:\n  ${errors.join('\n  ')}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✓ ${opts.archive}: backup of "${header.db}" taken ${header.created_at.toISOString()}`);
+
+  if (!opts.uri) {
+    for (const [name, count] of Object.entries(collections)) console.log(`  ${name}: ${count}`);
+    if (opts.dryRun) return console.log('Dry run: no MONGO_URI / --uri given, target not checked.');
+    throw new Error('MONGO_URI or --uri is required to restore');
+  }
+
+  const client = new MongoClient(opts.uri);
+  await client.connect();
+  try {
+    const db = client.db(opts.db);
+    const conflicts = [];
+    for (const [name, count] of Object.entries(collections)) {
+      const existing = await db.collection(name).estimatedDocumentCount();
+      if (existing) conflicts.push(name);
+      console.log(`  ${name}: ${count} in archive, ${existing} in ${opts.db}${existing ? (opts.drop ? ' (will be dropped)' : ' (not empty)') : ''}`);
+    }
+    if (conflicts.length && !opts.drop) {
+      console.error(`✗ ${conflicts.join(', ')} already hold documents in ${opts.db}. Re-run with --drop to replace them.`);
+      process.exitCode = 1;
+      return;
+    }
+    if (opts.dryRun) return console.log('Dry run: nothing was written.');
+
+    for (const name of conflicts) await db.collection(name).drop();
+    await load(opts.archive, db);
+    console.log(`✓ Restored ${Object.keys(collections).length} collection(s) into ${opts.db}. Indexes are recreated when the bot starts.`);
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
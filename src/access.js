@@ -0,0 +1,118 @@
+// ---------- Access control middleware ----------
+// Runs before every handler. Banned users are turned away, and everyone but
+// admins is held to per-user rate limits for four kinds of action. The limits
+// live in the `rate_limits` setting; each kind is `{ limit, window_sec }`.
+// The first violation in each window is stored in `abuse_logs`. The `api` kind
+// is not a bot action: the reseller API applies it to each API key.
+import { log } from './lib/log.js';
+
+export const DEFAULT_RATE_LIMITS = {
+  message: { limit: 20, window_sec: 60 },
+  callback: { limit: 30, window_sec: 60 },
+  order: { limit: 10, window_sec: 60 * 60 },
+  payment: { limit: 5, window_sec: 60 * 60 },
+  api: { limit: 60, window_sec: 60 }
+};
+
+// Checks a `rate_limits` value as sent to the admin API: known kinds only,
+// each with a positive limit and window. Returns it with numbers cast, or null.
+export function parseRateLimits(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return null;
+  const out = {};
+  for (const [kind, rule] of Object.entries(v)) {
+    if (!DEFAULT_RATE_LIMITS[kind] || !rule || !(Number(rule.limit) > 0) || !(Number(rule.window_sec) > 0)) return null;
+    out[kind] = { limit: Number(rule.limit), window_sec: Number(rule.window_sec) };
+  }
+  return out;
+}
+
+function rateKind(ctx) {
+  const data = ctx.callbackQuery && ctx.callbackQuery.data;
+  if (data) return /^(CONFIRM_ORDER|MASS_CONFIRM|ORD_REFILL|ORD_CANCEL_YES):/.test(data) ? 'order' : 'callback';
+  if (ctx.message && ctx.message.photo) return 'payment';
+  if (ctx.message) return 'message';
+  return null;
+}
+
+export function setupAccess(app) {
+  const { ADMIN_USERNAME } = app.config;
+  const { bot, Users, AbuseLogs, getSetting, isAdmin } = app;
+
+  const rateHits = new Map();        // "<userId>:<kind>" -> timestamps within the window
+  const banNoticeSentAt = new Map(); // userId -> last time we told a banned user
+  let rateLimitsCache = { value: DEFAULT_RATE_LIMITS, at: 0 };
+
+  async function getRateLimits() {
+    if (Date.now() - rateLimitsCache.at > 60 * 1000) {
+      const stored = await getSetting('rate_limits');
+      rateLimitsCache = { value: { ...DEFAULT_RATE_LIMITS, ...(stored || {}) }, at: Date.now() };
+    }
+    return rateLimitsCache.value;
+  }
+
+  // Sliding window; returns 'ok', 'limited' or 'first' (first hit over the limit).
+  function hitRateLimit(userId, kind, rule) {
+    const key = `${userId}:${kind}`;
+    const now = Date.now();
+    const hits = (rateHits.get(key) || []).filter(t => now - t < rule.window_sec * 1000);
+    hits.push(now);
+    rateHits.set(key, hits);
+    if (hits.length <= rule.limit) return 'ok';
+    return hits.length === rule.limit + 1 ? 'first' : 'limited';
+  }
+
+  // `from` is a Telegram user: { id, username }
+  async function logAbuse(from, kind, rule) {
+    log.warn('rate limit exceeded', { user_id: from.id, kind, limit: rule.limit, window_sec: rule.window_sec });
+    try {
+      await AbuseLogs.insertOne({ user_id: from.id, username: from.username || null, kind, limit: rule.limit, window_sec: rule.window_sec, at: new Date() });
+    } catch (e) { log.error('abuse log write failed', { err: e }); }
+  }
+
+  bot.use(async (ctx, next) => {
+    if (!ctx.from || isAdmin(ctx.from.id)) return next();
+    const user = await Users.findOne({ user_id: ctx.from.id }, { projection: { banned: 1, ban_reason: 1, inactive: 1, last_seen_at: 1 } });
+    if (user && user.banned) {
+      if (ctx.callbackQuery) return ctx.answerCbQuery('🚫 You are banned from using this bot.', { show_alert: true }).catch(() => {});
+      const last = banNoticeSentAt.get(ctx.from.id) || 0;
+      if (ctx.chat && ctx.chat.type === 'private' && Date.now() - last > 60 * 60 * 1000) {
+        banNoticeSentAt.set(ctx.from.id, Date.now());
+        await ctx.reply(`🚫 You are banned from using this bot.${user.ban_reason ? `\nReason: ${user.ban_reason}` : ''}\nContact ${ADMIN_USERNAME} if you think this is a mistake.`).catch(() => {});
+      }
+      return;
+    }
+    // feeds the "inactive for N days" broadcast audience; writing to the bot
+    // also brings back a user a broadcast found unreachable
+    if (user && (user.inactive || !user.last_seen_at || Date.now() - user.last_seen_at > 60 * 60 * 1000)) {
+      await Users.updateOne({ user_id: ctx.from.id }, { $set: { last_seen_at: new Date(), inactive: false } });
+    }
+
+    const kind = rateKind(ctx);
+    if (kind) {
+      const rule = (await getRateLimits())[kind];
+      const verdict = rule ? hitRateLimit(ctx.from.id, kind, rule) : 'ok';
+      if (verdict !== 'ok') {
+        if (verdict === 'first') await logAbuse(ctx.from, kind, rule);
+        if (ctx.callbackQuery) return ctx.answerCbQuery('⏳ Too many requests. Please slow down.').catch(() => {});
+        if (verdict === 'first') await ctx.reply('⏳ You are doing that too often. Please wait a bit and try again.').catch(() => {});
+        return;
+      }
+    }
+    return next();
+  });
+
+  // makes the next check re-read the `rate_limits` setting
+  function resetRateLimits() {
+    rateLimitsCache.at = 0;
+  }
+
+  // keeps the hit map from growing with users who went quiet
+  function pruneRateHits() {
+    const now = Date.now();
+    for (const [key, hits] of rateHits) {
+      if (!hits.length || now - hits[hits.length - 1] > 24 * 60 * 60 * 1000) rateHits.delete(key);
+    }
+  }
+
+  Object.assign(app, { getRateLimits, hitRateLimit, logAbuse, resetRateLimits, pruneRateHits });
+}
@@ -0,0 +1,85 @@
+// ---------- Admin actions ----------
+// Shared by the bot's admin commands and the REST API so both behave the
+// same. Each returns `{ error }` on a refusal instead of throwing.
+import { ObjectId } from 'mongodb';
+import { roundMoney } from './lib/pricing.js';
+import { OPEN_STATUSES, ORDER_STATUSES } from './lib/status.js';
+import { TX_TYPES, planRefund } from './lib/wallet.js';
+
+export function setupAdminActions(app) {
+  const { Users, Orders, walletCredit, walletDebit, payReferralCommission, notifyUser } = app;
+
+  async function adjustBalance(userId, amount, note, actorId) {
+    const amt = roundMoney(amount);
+    if (!userId || !amt) return { error: 'Invalid user id or amount.' };
+    const ref = { ref_type: 'admin', ref_id: actorId, actor_id: actorId, note: note || null };
+    const tx = amt > 0
+      ? await walletCredit(userId, amt, TX_TYPES.ADMIN_ADJUSTMENT, ref)
+      : await walletDebit(userId, -amt, TX_TYPES.ADMIN_ADJUSTMENT, ref);
+    if (!tx) return { error: amt > 0 ? `User ${userId} not found.` : `User ${userId} not found or balance too low.` };
+    const msg = amt > 0 ? `✅ ₹${amt} has been added to your balance by admin.` : `ℹ️ ₹${-amt} has been deducted from your balance by admin.`;
+    await notifyUser(userId, msg);
+    return { tx };
+  }
+
+  async function setUserBan(userId, banned, reason, actorId) {
+    const entry = { action: banned ? 'ban' : 'unban', reason: reason || null, actor_id: actorId, at: new Date() };
+    const user = await Users.findOneAndUpdate(
+      { user_id: userId },
+      { $set: { banned, ban_reason: banned ? reason || null : null }, $push: { ban_history: entry } },
+      { returnDocument: 'after' }
+    );
+    if (!user) return { error: `User ${userId} not found.` };
+    const msg = banned ? `🚫 You have been banned from using this bot.${reason ? `\nReason: ${reason}` : ''}` : '✅ Your access to the bot has been restored.';
+    await notifyUser(userId, msg);
+    return { user };
+  }
+
+  // Accepts either the order's _id or the provider order id users see.
+  async function findOrder(ref) {
+    if (ObjectId.isValid(String(ref)) && String(ref).length === 24) return Orders.findOne({ _id: new ObjectId(String(ref)) });
+    const orderId = Number(ref);
+    if (!orderId) return null;
+    return Orders.findOne({ order_id: orderId }, { sort: { created_at: -1 } });
+  }
+
+  async function setOrderStatus(order, status, actorId) {
+    if (!ORDER_STATUSES.includes(status)) return { error: `Unknown status. Use one of: ${ORDER_STATUSES.join(', ')}` };
+    const fields = { status, manual_status: true, updated_at: new Date() };
+    if (!OPEN_STATUSES.includes(status)) fields.finished_at = new Date();
+    const updated = await Orders.findOneAndUpdate(
+      { _id: order._id },
+      { $set: fields, $push: { status_history: { status, source: 'admin', actor_id: actorId, at: new Date() } } },
+      { returnDocument: 'after' }
+    );
+    if (status === 'completed' || status === 'partial') await payReferralCommission(updated);
+    return { order: updated };
+  }
+
+  // Refund all or part of what is left of an order's cost. The cap is checked in
+  // the same update that records the refund, so refunds can never exceed cost.
+  // A full refund of an open or unknown order also cancels it so the checker
+  // stops polling.
+  async function refundOrder(order, amount, actorId) {
+    const plan = planRefund(order, amount);
+    if (plan.error) return plan;
+    const { amount: amt, full } = plan;
+    const set = { updated_at: new Date() };
+    if (full && (OPEN_STATUSES.includes(order.status) || order.status === 'unknown')) Object.assign(set, { status: 'cancelled', finished_at: new Date() });
+    const updated = await Orders.findOneAndUpdate(
+      // compared in whole paise, as planRefund rounds, so 0.1 + 0.2 fits a cost of 0.3
+      { _id: order._id, $expr: { $lte: [
+        { $round: [{ $multiply: [{ $add: [{ $ifNull: ['$refunded_amount', 0] }, amt] }, 100] }, 0] },
+        { $round: [{ $multiply: ['$cost', 100] }, 0] }
+      ] } },
+      { $inc: { refunded_amount: amt }, $set: set, $push: { status_history: { status: set.status || order.status, source: 'admin', note: `refund ₹${amt}`, actor_id: actorId, at: new Date() } } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return { error: 'Refund would exceed the order cost.' };
+    const tx = await walletCredit(order.user_id, amt, TX_TYPES.REFUND, { ref_type: 'order', ref_id: order._id, actor_id: actorId, note: 'admin refund' }, { total_spent: -amt });
+    await notifyUser(order.user_id, `💸 ₹${amt} for Order #${order.order_id ?? '?'} has been refunded to your balance.`);
+    return { order: updated, tx };
+  }
+
+  Object.assign(app, { adjustBalance, setUserBan, findOrder, setOrderStatus, refundOrder });
+}
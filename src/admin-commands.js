@@ -0,0 +1,284 @@
+// ---------- Admin Commands ----------
+// /setprice and /setservice are shortcuts for `/service edit <key> ...`
+import { roundMoney } from './lib/pricing.js';
+import { OPEN_STATUSES, ORDER_STATUSES } from './lib/status.js';
+import { formatTransactions } from './lib/wallet.js';
+import { splitMessage } from './lib/util.js';
+import { DEFAULT_PROVIDER, formatRoutes } from './providers.js';
+import { SERVICE_FIELDS, SERVICE_KEY_RE } from './catalog.js';
+import { DEFAULT_RATE_LIMITS } from './access.js';
+
+function parseServiceField(field, raw) {
+  const cast = SERVICE_FIELDS[field];
+  if (!cast) return { error: `Unknown field "${field}". Fields: ${Object.keys(SERVICE_FIELDS).join(', ')}` };
+  const value = cast(raw);
+  if (cast === Number && (isNaN(value) || value < 0)) return { error: `Invalid number for ${field}.` };
+  if (field === 'link_pattern') {
+    try { new RegExp(value); } catch (e) { return { error: 'Invalid link_pattern regex.' }; }
+  }
+  if (field === 'category' && Buffer.byteLength(value) > 40) return { error: 'Category must be at most 40 bytes.' };
+  return { value };
+}
+
+const SERVICE_USAGE = 'Usage:\n/service list\n/service add <key> | <name> | <category> | <routes> | <pricePer1K> | <min> | <max> | [linkPattern]\n/service edit <key> <field> <value>\n/service route <key> <provider>:<serviceId>[,<provider>:<serviceId>...]\n/service disable <key>\n/service enable <key>\n\n<routes> is a provider service id, or an ordered provider:id list for failover.';
+
+export function setupAdminCommands(app) {
+  const { bot, Users, Orders, Transactions, Payments, Services, AbuseLogs, Refills, isAdmin, getService, nextServiceApiId, getProvider, adjustBalance, findOrder, refundOrder, setOrderStatus, setUserBan, getRateLimits, setSetting, resetRateLimits } = app;
+
+  bot.command('setprice', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    if (parts.length < 3) return ctx.reply('Usage: /setprice <service key> <pricePer1K>');
+    const key = parts[1] === 'view' ? 'views' : parts[1];
+    const val = Number(parts[2]);
+    if (isNaN(val) || val <= 0) return ctx.reply('Invalid price.');
+    const res = await Services.updateOne({ key }, { $set: { price_per_1k: val, updated_at: new Date() }});
+    if (!res.matchedCount) return ctx.reply(`Unknown service "${key}". See /service list`);
+    ctx.reply(`✅ Price updated: ${key} = ${val} per 1K`);
+  });
+
+  bot.command('setservice', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    if (parts.length < 3) return ctx.reply('Usage: /setservice <service key> <serviceId> [provider]');
+    const key = parts[1] === 'view' ? 'views' : parts[1];
+    const id = Number(parts[2]);
+    if (isNaN(id)) return ctx.reply('Invalid service id.');
+    const service = await getService(key);
+    if (!service) return ctx.reply(`Unknown service "${key}". See /service list`);
+    const routes = service.routes || [];
+    const provider = parts[3] || (routes[0] && routes[0].provider) || DEFAULT_PROVIDER;
+    if (!await getProvider(provider)) return ctx.reply(`Unknown provider "${provider}". See /providers`);
+    const existing = routes.find(r => r.provider === provider);
+    if (existing) existing.service_id = id;
+    else routes.push({ provider, service_id: id });
+    await Services.updateOne({ key }, { $set: { routes, updated_at: new Date() }});
+    ctx.reply(`✅ Service ID updated: ${key} = ${provider}#${id}\nRoutes: ${formatRoutes(routes)}`);
+  });
+
+  // "viralsmm:11505,backup:442" or a bare "11505" for the default provider
+  async function parseRoutes(raw) {
+    const routes = [];
+    for (const part of raw.split(',').map(x => x.trim()).filter(Boolean)) {
+      const [provider, id] = part.includes(':') ? part.split(':') : [DEFAULT_PROVIDER, part];
+      if (!Number(id)) return { error: `Invalid service id in "${part}".` };
+      if (!await getProvider(provider)) return { error: `Unknown provider "${provider}".` };
+      routes.push({ provider, service_id: Number(id) });
+    }
+    if (!routes.length) return { error: 'At least one route is required.' };
+    return { routes };
+  }
+
+  bot.command('service', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const text = ctx.message.text.replace(/^\/service(@\S+)?/, '').trim();
+    const [sub, ...rest] = text.split(' ');
+    const args = rest.join(' ').trim();
+
+    if (!sub || sub === 'list') {
+      const list = await Services.find({}).sort({ category: 1, name: 1 }).toArray();
+      if (!list.length) return ctx.reply('Catalog is empty.\n\n' + SERVICE_USAGE);
+      let out = '🛍 Service catalog:\n\n';
+      for (const s of list) {
+        out += `${s.enabled ? '🟢' : '🔴'} ${s.key} (API #${s.api_id}) | ${s.category} | ${s.name} | ${formatRoutes(s.routes)} | ₹${s.price_per_1k}/1K | ${s.min}-${s.max}\n`;
+      }
+      return ctx.reply(out);
+    }
+
+    if (sub === 'add') {
+      const f = args.split('|').map(x => x.trim());
+      if (f.length < 7) return ctx.reply(SERVICE_USAGE);
+      const [key, name, category, routeSpec, price, min, max, linkPattern] = f;
+      if (!SERVICE_KEY_RE.test(key)) return ctx.reply('Key must be 1-20 chars of a-z, 0-9 or _.');
+      const { routes, error } = await parseRoutes(routeSpec);
+      if (error) return ctx.reply(`❌ ${error}`);
+      const doc = { key, name, routes, enabled: true };
+      const raw = { category, price_per_1k: price, min, max };
+      if (linkPattern) raw.link_pattern = linkPattern;
+      for (const [field, value] of Object.entries(raw)) {
+        const parsed = parseServiceField(field, value);
+        if (parsed.error) return ctx.reply(`❌ ${parsed.error}`);
+        doc[field] = parsed.value;
+      }
+      if (doc.min > doc.max) return ctx.reply('❌ min must not be greater than max.');
+      if (await getService(key)) return ctx.reply(`❌ Service "${key}" already exists. Use /service edit.`);
+      await Services.insertOne({ ...doc, api_id: await nextServiceApiId(), link_pattern: doc.link_pattern || null, link_hint: null, created_at: new Date(), updated_at: new Date() });
+      return ctx.reply(`✅ Service added: ${key} (${name})`);
+    }
+
+    if (sub === 'edit') {
+      const m = args.match(/^(\S+)\s+(\S+)\s+(.+)$/);
+      if (!m) return ctx.reply(SERVICE_USAGE);
+      const [, key, field, raw] = m;
+      const parsed = parseServiceField(field, raw.trim());
+      if (parsed.error) return ctx.reply(`❌ ${parsed.error}`);
+      const res = await Services.updateOne({ key }, { $set: { [field]: parsed.value, updated_at: new Date() }});
+      if (!res.matchedCount) return ctx.reply(`Unknown service "${key}".`);
+      return ctx.reply(`✅ ${key}.${field} = ${parsed.value}`);
+    }
+
+    if (sub === 'route') {
+      const [key, spec] = args.split(/\s+/);
+      if (!key || !spec) return ctx.reply(SERVICE_USAGE);
+      const { routes, error } = await parseRoutes(spec);
+      if (error) return ctx.reply(`❌ ${error}`);
+      const res = await Services.updateOne({ key }, { $set: { routes, updated_at: new Date() }});
+      if (!res.matchedCount) return ctx.reply(`Unknown service "${key}".`);
+      return ctx.reply(`✅ ${key} routes: ${formatRoutes(routes)}`);
+    }
+
+    if (sub === 'disable' || sub === 'enable') {
+      const key = args.split(' ')[0];
+      if (!key) return ctx.reply(SERVICE_USAGE);
+      const res = await Services.updateOne({ key }, { $set: { enabled: sub === 'enable', updated_at: new Date() }});
+      if (!res.matchedCount) return ctx.reply(`Unknown service "${key}".`);
+      return ctx.reply(`✅ ${key} ${sub}d`);
+    }
+
+    return ctx.reply(SERVICE_USAGE);
+  });
+
+  bot.command('addbalance', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    if (parts.length < 3) return ctx.reply('Usage: /addbalance <userid> <amount> [note]');
+    const uid = Number(parts[1]); const amt = Number(parts[2]);
+    if (isNaN(uid) || isNaN(amt) || !amt) return ctx.reply('Invalid args');
+    const { tx, error } = await adjustBalance(uid, amt, parts.slice(3).join(' '), ctx.from.id);
+    if (error) return ctx.reply(error);
+    ctx.reply(`✅ ${amt > 0 ? 'Added' : 'Deducted'} ₹${Math.abs(amt)} ${amt > 0 ? 'to' : 'from'} ${uid}. New balance: ₹${tx.balance_after.toFixed(2)}`);
+  });
+
+  bot.command('refund', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    if (parts.length < 2) return ctx.reply('Usage: /refund <orderId> [amount]  (full remaining cost if no amount)');
+    const order = await findOrder(parts[1]);
+    if (!order) return ctx.reply('Order not found.');
+    const amount = parts[2] != null ? Number(parts[2]) : null;
+    if (amount != null && isNaN(amount)) return ctx.reply('Invalid amount.');
+    const res = await refundOrder(order, amount, ctx.from.id);
+    if (res.error) return ctx.reply(`❌ ${res.error}`);
+    ctx.reply(`✅ Refunded ₹${Math.abs(res.tx.amount)} on order #${order.order_id ?? order._id} to ${order.user_id}. Order status: ${res.order.status}`);
+  });
+
+  bot.command('setstatus', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    if (parts.length < 3) return ctx.reply(`Usage: /setstatus <orderId> <${ORDER_STATUSES.join('|')}>`);
+    const order = await findOrder(parts[1]);
+    if (!order) return ctx.reply('Order not found.');
+    const res = await setOrderStatus(order, parts[2], ctx.from.id);
+    if (res.error) return ctx.reply(`❌ ${res.error}`);
+    ctx.reply(`✅ Order #${order.order_id ?? order._id} is now ${res.order.status}. Use /refund if money should go back.`);
+  });
+
+  bot.command('ban', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    const uid = Number(parts[1]);
+    if (!uid) return ctx.reply('Usage: /ban <userid> [reason]');
+    if (isAdmin(uid)) return ctx.reply('Admins cannot be banned.');
+    const { error } = await setUserBan(uid, true, parts.slice(2).join(' '), ctx.from.id);
+    if (error) return ctx.reply(error);
+    ctx.reply(`🚫 Banned ${uid}.`);
+  });
+
+  bot.command('unban', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    const uid = Number(parts[1]);
+    if (!uid) return ctx.reply('Usage: /unban <userid> [note]');
+    const { error } = await setUserBan(uid, false, parts.slice(2).join(' '), ctx.from.id);
+    if (error) return ctx.reply(error);
+    ctx.reply(`✅ Unbanned ${uid}.`);
+  });
+
+  bot.command('userinfo', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    const uid = Number(parts[1]);
+    if (!uid) return ctx.reply('Usage: /userinfo <userid>');
+    const user = await Users.findOne({ user_id: uid });
+    if (!user) return ctx.reply(`User ${uid} not found.`);
+    const [orderStats, paymentStats, recentOrders, abuse] = await Promise.all([
+      Orders.aggregate([{ $match: { user_id: uid } }, { $group: { _id: '$status', n: { $sum: 1 } } }]).toArray(),
+      Payments.aggregate([{ $match: { user_id: uid } }, { $group: { _id: '$state', n: { $sum: 1 }, amount: { $sum: { $ifNull: ['$credited_amount', 0] } } } }]).toArray(),
+      Orders.find({ user_id: uid }).sort({ created_at: -1 }).limit(5).toArray(),
+      AbuseLogs.countDocuments({ user_id: uid, at: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } })
+    ]);
+    let text = `👤 User ${uid} @${user.username || 'NoUsername'}\n`;
+    text += `📅 Joined: ${user.joined_at ? user.joined_at.toLocaleString() : '-'}\n`;
+    text += `💰 Balance: ₹${(user.balance||0).toFixed(2)} | Spent: ₹${(user.total_spent||0).toFixed(2)}\n`;
+    text += `${user.banned ? `🚫 BANNED${user.ban_reason ? `: ${user.ban_reason}` : ''}` : '✅ Not banned'}\n`;
+    text += `\n📦 Orders: ${orderStats.map(s => `${s._id} ${s.n}`).join(', ') || 'none'}\n`;
+    for (const o of recentOrders) text += `  #${o.order_id} | ${o.service} | ${o.qty} | ₹${o.cost} | ${o.status}\n`;
+    text += `\n🧾 Payments: ${paymentStats.map(s => `${s._id} ${s.n}${s.amount ? ` (₹${roundMoney(s.amount)})` : ''}`).join(', ') || 'none'}\n`;
+    text += `\n⏳ Rate limit violations (7d): ${abuse}\n`;
+    const history = (user.ban_history || []).slice(-5);
+    if (history.length) {
+      text += `\n📜 Ban history:\n`;
+      for (const h of history) text += `  ${h.at.toLocaleString()} ${h.action} by ${h.actor_id}${h.reason ? `: ${h.reason}` : ''}\n`;
+    }
+    ctx.reply(text);
+  });
+
+  // /refills [open|failed|<orderId>]
+  bot.command('refills', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const arg = ctx.message.text.split(' ').filter(Boolean)[1];
+    let filter = {};
+    if (arg === 'open') filter = { status: { $in: OPEN_STATUSES } };
+    else if (arg === 'failed') filter = { status: { $in: ['failed', 'rejected'] } };
+    else if (arg) {
+      const order = await findOrder(arg);
+      if (!order) return ctx.reply('Order not found.');
+      filter = { order_ref: order._id };
+    }
+    const refills = await Refills.find(filter).sort({ created_at: -1 }).limit(20).toArray();
+    if (!refills.length) return ctx.reply('No refills found.');
+    const lines = refills.map(r => `#${r.order_id} | ${r.provider}${r.provider_refill_id ? ` refill ${r.provider_refill_id}` : ''} | user ${r.user_id} | ${r.status}${r.error ? ` (${r.error})` : ''} | ${r.created_at.toLocaleString()}`);
+    ctx.reply(`🔁 Refills${arg ? ` (${arg})` : ''}\n\n${lines.join('\n')}`);
+  });
+
+  bot.command('ratelimit', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    const limits = { ...(await getRateLimits()) };
+    if (parts.length < 4) {
+      const lines = Object.entries(limits).map(([k, r]) => `${k}: ${r.limit} per ${r.window_sec}s`);
+      return ctx.reply(`⏳ Rate limits:\n${lines.join('\n')}\n\nUsage: /ratelimit <${Object.keys(DEFAULT_RATE_LIMITS).join('|')}> <limit> <windowSec>`);
+    }
+    const [, kind, limit, windowSec] = parts;
+    if (!DEFAULT_RATE_LIMITS[kind] || !(Number(limit) > 0) || !(Number(windowSec) > 0)) return ctx.reply('Invalid arguments.');
+    limits[kind] = { limit: Number(limit), window_sec: Number(windowSec) };
+    await setSetting('rate_limits', limits);
+    resetRateLimits();
+    ctx.reply(`✅ ${kind}: ${limit} per ${windowSec}s`);
+  });
+
+  bot.command('ledger', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    if (parts.length < 2) return ctx.reply('Usage: /ledger <userid> [limit]');
+    const uid = Number(parts[1]);
+    const limit = Math.min(Number(parts[2]) || 20, 100);
+    if (isNaN(uid)) return ctx.reply('Invalid user id.');
+    const user = await Users.findOne({ user_id: uid });
+    if (!user) return ctx.reply(`User ${uid} not found.`);
+    const txs = await Transactions.find({ user_id: uid }).sort({ created_at: -1 }).limit(limit).toArray();
+    if (!txs.length) return ctx.reply(`No ledger entries for ${uid}. Balance: ₹${(user.balance||0).toFixed(2)}`);
+    // 100 entries are well past one message's 4096 characters
+    const header = `📒 Ledger for ${uid} (balance ₹${(user.balance||0).toFixed(2)})`;
+    for (const text of splitMessage(header, txs.map(t => formatTransactions([t])))) await ctx.reply(text);
+  });
+
+  bot.command('panel', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const usersCount = await Users.countDocuments();
+    const ordersToday = await Orders.countDocuments({ created_at: { $gte: new Date(new Date().setHours(0,0,0,0)) }});
+    const running = await Orders.countDocuments({ status: { $in: ['pending','processing'] }});
+    const text = `📊 Panel\nUsers: ${usersCount}\nOrders Today: ${ordersToday}\nRunning Orders: ${running}`;
+    ctx.reply(text);
+  });
+}
@@ -0,0 +1,111 @@
+// ---------- App ----------
+// Wires the bot together. Each feature module exports a setupX(app) that
+// takes what it needs from `app` (config, collections and what earlier
+// modules put there), registers its handlers and adds the functions other
+// modules use. The order below is the order handlers run in.
+import { Telegraf } from 'telegraf';
+import { collections, initDb } from './db.js';
+import { setupCore } from './core.js';
+import { setupMonitoring } from './monitoring.js';
+import { setupLedger } from './ledger.js';
+import { setupAccess } from './access.js';
+import { httpSmmClient, setupProviders } from './providers.js';
+import { setupReferrals } from './referrals.js';
+import { setupStart } from './start.js';
+import { setupCoupons } from './coupons.js';
+import { setupConversation, setupDispatcher } from './conversation.js';
+import { setupPayments } from './payments.js';
+import { setupFunds } from './funds.js';
+import { setupCatalog } from './catalog.js';
+import { setupOrders } from './orders.js';
+import { setupScheduledOrders } from './scheduled-orders.js';
+import { setupMassOrders } from './mass-orders.js';
+import { setupSupport } from './support.js';
+import { setupMyOrders } from './my-orders.js';
+import { setupReseller } from './reseller.js';
+import { setupProfile } from './profile.js';
+import { setupAdminActions } from './admin-actions.js';
+import { setupAdminCommands } from './admin-commands.js';
+import { setupReports } from './reports.js';
+import { setupBroadcasts } from './broadcasts.js';
+import { setupCatalogSync } from './catalog-sync.js';
+import { setupStatusChecker } from './status-checker.js';
+import { setupBackups } from './backups.js';
+import { log, setLogLevel, withLogContext, newCorrelationId } from './lib/log.js';
+
+const SETUPS = [
+  setupCore, setupMonitoring, setupLedger, setupAccess, setupProviders, setupReferrals, setupStart, setupCoupons,
+  setupConversation, setupPayments, setupFunds, setupCatalog, setupOrders, setupScheduledOrders,
+  setupMassOrders, setupSupport, setupDispatcher, setupMyOrders, setupReseller, setupProfile, setupAdminActions, setupAdminCommands,
+  setupReports, setupBroadcasts, setupCatalogSync, setupStatusChecker, setupBackups
+];
+
+// `telegram` replaces the Bot API client and `smm` the provider client; tests
+// pass fakes for both.
+export function createApp({ config, db, telegram = null, smm = httpSmmClient }) {
+  setLogLevel(config.LOG_LEVEL);
+  const bot = new Telegraf(config.BOT_TOKEN);
+  if (telegram) {
+    bot.telegram = telegram;
+    bot.context.telegram = telegram;   // handleUpdate builds each ctx with its own client otherwise
+  }
+  const app = { config, db, bot, smm, ...collections(db) };
+  for (const setup of SETUPS) setup(app);
+
+  const timers = [];
+
+  app.init = async () => {
+    await initDb(app);
+    await app.seedProviders();
+    await app.seedServices();
+    await app.numberOrders();
+  };
+
+  // Each run of a background job logs under its own correlation id.
+  function job(name, fn) {
+    return () => withLogContext({ cid: newCorrelationId(), job: name }, fn);
+  }
+  function every(ms, name, fn) {
+    timers.push(setInterval(job(name, fn), ms));
+  }
+
+  // Launches the bot and the background jobs.
+  app.start = async () => {
+    const { SERVICE_SYNC_INTERVAL_HOURS, ALERT_CHECK_INTERVAL_MIN } = config;
+    // launch() only settles once polling stops, so wait for the onLaunch callback
+    await new Promise((resolve, reject) => {
+      bot.launch(resolve).catch(e => {
+        app.setBotState('failed');
+        log.error('bot polling stopped', { err: e });
+        reject(e);
+      });
+    });
+    app.setBotState('running');
+    log.info('bot started', { username: bot.botInfo && bot.botInfo.username });
+    timers.push(app.runStatusChecker());
+    job('broadcasts', app.processBroadcasts)();   // resumes a job interrupted by the last shutdown
+    every(60*1000, 'broadcasts', app.processBroadcasts);
+    job('order_batches', app.processOrderBatches)();   // finishes mass orders cut off by the last shutdown
+    every(60*1000, 'order_batches', app.processOrderBatches);
+    job('scheduled_orders', app.recoverScheduledOrders)();   // settles scheduled orders cut off by the last shutdown
+    every(60*1000, 'scheduled_orders', app.runScheduledOrders);
+    every(10*60*1000, 'daily_report', app.sendDailyReport);
+    every(60*60*1000, 'payment_expiry', app.expireStalePayments);
+    every(60*60*1000, 'rate_hits', app.pruneRateHits);
+    if (SERVICE_SYNC_INTERVAL_HOURS > 0) every(SERVICE_SYNC_INTERVAL_HOURS*60*60*1000, 'service_sync', app.runServiceSync);
+    if (ALERT_CHECK_INTERVAL_MIN > 0) {
+      job('alerts', app.checkAlerts)();   // a provider balance that is already low is reported at once
+      every(ALERT_CHECK_INTERVAL_MIN*60*1000, 'alerts', app.checkAlerts);
+    }
+    every(24*60*60*1000, 'backup', app.backupDbOnce);
+    await job('backup', app.backupDbOnce)();
+  };
+
+  app.stop = (reason) => {
+    for (const t of timers.splice(0)) clearInterval(t);
+    app.setBotState('stopped');
+    try { bot.stop(reason); } catch (e) {}   // throws if the bot was never launched
+  };
+
+  return app;
+}
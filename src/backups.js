@@ -0,0 +1,122 @@
+// ---------- Backups ----------
+// Each backup is one gzip archive of newline-delimited canonical Extended
+// JSON, so ObjectIds, Dates and number types survive a restore:
+//   first line  { format, version, db, created_at }
+//   then        { c: <collection>, d: <document> } for every document
+//   last line   { end: true, collections: { <name>: <count> } }
+// The trailer doubles as a truncation check. Restore with
+// scripts/restore-backup.js.
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { BSON } from 'mongodb';
+import { log } from './lib/log.js';
+
+const { EJSON } = BSON;
+
+const BACKUP_FORMAT = 'smm-bot-backup';
+const BACKUP_FILE_RE = /^backup_(\d{4}-\d{2}-\d{2})T\d{2}-\d{2}-\d{2}Z\.ejson\.gz$/;
+const TELEGRAM_UPLOAD_LIMIT = 50 * 1024 * 1024;
+
+// Monday of the (UTC) week a "YYYY-MM-DD" day falls in
+function weekKey(day) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+export function setupBackups(app) {
+  const { BACKUP_PATH, BACKUP_KEEP_DAILY, BACKUP_KEEP_WEEKLY, ADMIN_IDS } = app.config;
+  const { bot, db, notifyAdmins, isAdmin } = app;
+
+  let backupBusy = false;
+
+  async function* backupLines(names, counts) {
+    yield EJSON.stringify({ format: BACKUP_FORMAT, version: 1, db: db.databaseName, created_at: new Date() }, { relaxed: false }) + '\n';
+    for (const name of names) {
+      counts[name] = 0;
+      for await (const doc of db.collection(name).find({})) {
+        counts[name]++;
+        yield EJSON.stringify({ c: name, d: doc }, { relaxed: false }) + '\n';
+      }
+    }
+    yield JSON.stringify({ end: true, collections: counts }) + '\n';
+  }
+
+  function listBackups() {
+    if (!fs.existsSync(BACKUP_PATH)) return [];
+    return fs.readdirSync(BACKUP_PATH).filter(f => BACKUP_FILE_RE.test(f)).sort().reverse();   // newest first
+  }
+
+  // Keeps the newest archive of each of the last BACKUP_KEEP_DAILY days and of
+  // each of the last BACKUP_KEEP_WEEKLY weeks; the newest archive always stays.
+  function pruneBackups() {
+    const files = listBackups();
+    const keep = new Set(files.slice(0, 1));
+    const days = new Set();
+    const weeks = new Set();
+    for (const f of files) {
+      const day = f.match(BACKUP_FILE_RE)[1];
+      const week = weekKey(day);
+      if (!days.has(day) && days.size < BACKUP_KEEP_DAILY) { days.add(day); keep.add(f); }
+      if (!weeks.has(week) && weeks.size < BACKUP_KEEP_WEEKLY) { weeks.add(week); keep.add(f); }
+    }
+    for (const f of files) {
+      if (!keep.has(f)) fs.unlinkSync(path.join(BACKUP_PATH, f));
+    }
+  }
+
+  // Returns { file, collections, size } or null when the backup failed.
+  async function backupDbOnce() {
+    if (backupBusy) return null;
+    backupBusy = true;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const file = path.join(BACKUP_PATH, `backup_${stamp}Z.ejson.gz`);
+    const partial = `${file}.partial`;
+    try {
+      if (!fs.existsSync(BACKUP_PATH)) fs.mkdirSync(BACKUP_PATH, { recursive: true });
+      const names = (await db.listCollections({}, { nameOnly: true }).toArray()).map(c => c.name).filter(n => !n.startsWith('system.')).sort();
+      const counts = {};
+      await pipeline(Readable.from(backupLines(names, counts)), zlib.createGzip(), fs.createWriteStream(partial));
+      fs.renameSync(partial, file);
+      pruneBackups();
+      const size = fs.statSync(file).size;
+      log.info('backup saved', { file, counts });
+      return { file, collections: counts, size };
+    } catch (e) {
+      log.error('backup failed', { err: e });
+      fs.rmSync(partial, { force: true });
+      await notifyAdmins(`❌ Database backup failed: ${e.message}`);
+      return null;
+    } finally {
+      backupBusy = false;
+    }
+  }
+
+  // /backup sends the latest archive to every admin; /backup now makes a fresh one first
+  bot.command('backup', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    if (ctx.message.text.split(' ').filter(Boolean)[1] === 'now') {
+      await ctx.reply('⏳ Creating backup…');
+      if (!await backupDbOnce()) return ctx.reply('❌ Backup failed (or another one is running). Check the logs.');
+    }
+    const latest = listBackups()[0];
+    if (!latest) return ctx.reply('No backups yet. Create one with /backup now');
+    const file = path.join(BACKUP_PATH, latest);
+    const size = fs.statSync(file).size;
+    const sizeText = `${(size / 1024 / 1024).toFixed(2)} MB`;
+    if (size > TELEGRAM_UPLOAD_LIMIT) return ctx.reply(`Latest backup ${latest} is ${sizeText}, too large to send over Telegram. It is on the server at ${file}`);
+    let sent = 0;
+    for (const adminId of ADMIN_IDS) {
+      try {
+        await bot.telegram.sendDocument(adminId, { source: file, filename: latest }, { caption: `🗄 ${latest} (${sizeText})\nRequested by ${ctx.from.username ? '@' + ctx.from.username : ctx.from.id}` });
+        sent++;
+      } catch (e) { log.error('backup send failed', { admin_id: adminId, err: e }); }
+    }
+    if (!sent) ctx.reply('❌ Could not send the backup to any admin. Check the logs.');
+  });
+
+  Object.assign(app, { backupDbOnce });
+}
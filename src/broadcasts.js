@@ -0,0 +1,263 @@
+// ---------- Broadcasts ----------
+// A broadcast is a job in `broadcast_logs` that a background worker sends to
+// the matching users in `_id` order. The cursor is saved after every
+// recipient, so a restart resumes where the job stopped. Users the bot can
+// no longer reach are flagged `inactive` and skipped by later broadcasts
+// until they write to the bot again.
+import { Markup } from 'telegraf';
+import { ObjectId } from 'mongodb';
+import { sleep } from './lib/util.js';
+import { log } from './lib/log.js';
+
+const BROADCAST_BATCH_SIZE = 200;
+const BROADCAST_MAX_RETRIES = 5;        // 429 retries per recipient
+const BROADCAST_MAX_BUTTONS = 10;
+const BROADCAST_BUTTON_RE = /^button:\s*(.+?)\s*\|\s*(\S+)\s*$/i;
+const BROADCAST_URL_RE = /^(https?|tg):\/\/\S+$/i;
+// failures that mean the user can't be reached at all
+const UNREACHABLE_REASONS = ['blocked', 'deactivated', 'chat_not_found'];
+
+// "all" | "depositors" | "inactive:<days>" | "spent:<amount>"
+export function parseAudience(str) {
+  const [type, arg] = String(str || 'all').toLowerCase().split(':');
+  if (type === 'all' || type === 'depositors') return arg === undefined ? { type } : null;
+  const n = Number(arg);
+  if (type === 'inactive' && Number.isInteger(n) && n > 0) return { type, days: n };
+  if (type === 'spent' && arg && Number.isFinite(n) && n >= 0) return { type, min_spent: n };
+  return null;
+}
+
+function describeAudience(a) {
+  if (a.type === 'depositors') return 'users who have deposited';
+  if (a.type === 'inactive') return `users inactive for ${a.days}+ days`;
+  if (a.type === 'spent') return `users who spent over ₹${a.min_spent}`;
+  return 'all users';
+}
+
+// Shared by /broadcast and the admin API; returns an error message or null.
+export function validateBroadcast({ message, photo_file_id, buttons }) {
+  if (!message && !photo_file_id) return 'a message or a photo is required';
+  if (message && message.length > (photo_file_id ? 1024 : 4096)) return `message is too long (max ${photo_file_id ? '1024 characters for a caption' : '4096 characters'})`;
+  if (buttons.length > BROADCAST_MAX_BUTTONS) return `at most ${BROADCAST_MAX_BUTTONS} buttons`;
+  for (const b of buttons) {
+    if (!b.text || !BROADCAST_URL_RE.test(b.url || '')) return `invalid button "${b.text || ''}": needs a label and an http(s):// or tg:// url`;
+  }
+  return null;
+}
+
+function broadcastKeyboard(job) {
+  if (!job.buttons.length) return {};
+  return Markup.inlineKeyboard(job.buttons.map(b => [Markup.button.url(b.text, b.url)]));
+}
+
+function failureReason(e) {
+  const desc = String(e.description || e.message || '').toLowerCase();
+  if (e.code === 403 && desc.includes('blocked')) return 'blocked';
+  if (e.code === 403 && desc.includes('deactivated')) return 'deactivated';
+  if (e.code === 400 && desc.includes('chat not found')) return 'chat_not_found';
+  if (e.code === 429) return 'rate_limited';
+  return e.code ? `error_${e.code}` : 'network';
+}
+
+function formatBroadcastReport(job) {
+  const failures = Object.entries(job.failures || {}).sort((a, b) => b[1] - a[1]).map(([reason, n]) => `  • ${reason}: ${n}`);
+  return `📣 Broadcast ${job._id} ${job.state}\n` +
+    `Audience: ${describeAudience(job.audience)}\n` +
+    `Sent: ${job.sent}/${job.total}\nFailed: ${job.failed}` +
+    (failures.length ? `\n${failures.join('\n')}` : '');
+}
+
+export function setupBroadcasts(app) {
+  const { BROADCAST_RATE_PER_SEC } = app.config;
+  const { bot, Users, BroadcastLogs, metrics, notifyAdmins, isAdmin } = app;
+
+  let broadcastWorkerBusy = false;
+
+  // `since` pins the inactivity cutoff to the job's creation so a resumed job
+  // keeps targeting the same users.
+  function audienceFilter(a, since = new Date()) {
+    const filter = { banned: { $ne: true }, inactive: { $ne: true } };
+    if (a.type === 'depositors') filter.total_deposited = { $gt: 0 };
+    if (a.type === 'spent') filter.total_spent = { $gt: a.min_spent };
+    if (a.type === 'inactive') {
+      const cutoff = new Date(since.getTime() - a.days * 24 * 60 * 60 * 1000);
+      filter.$or = [{ last_seen_at: { $lt: cutoff } }, { last_seen_at: null, joined_at: { $lt: cutoff } }];
+    }
+    return filter;
+  }
+
+  async function createBroadcastJob({ message, photo_file_id, buttons, audience }, actorId) {
+    const now = new Date();
+    const job = {
+      state: 'queued',
+      message: message || '',
+      photo_file_id: photo_file_id || null,
+      buttons,
+      audience,
+      total: await Users.countDocuments(audienceFilter(audience, now)),
+      sent: 0,
+      failed: 0,
+      failures: {},         // reason -> count
+      cursor: null,         // _id of the last user handled
+      sent_by: actorId,
+      created_at: now,
+      updated_at: now
+    };
+    const r = await BroadcastLogs.insertOne(job);
+    job._id = r.insertedId;
+    processBroadcasts();
+    return job;
+  }
+
+  async function cancelBroadcast(jobId, actorId) {
+    const job = await BroadcastLogs.findOneAndUpdate(
+      { _id: jobId, state: { $in: ['queued', 'running'] } },
+      { $set: { state: 'cancelled', cancelled_by: actorId, finished_at: new Date(), updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (job) await reportBroadcast(job);
+    return job;
+  }
+
+  // Returns null once delivered, otherwise the failure reason. A 429 waits out
+  // Telegram's retry_after and tries the same user again.
+  async function deliverBroadcast(job, userId, extra) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if (job.photo_file_id) await bot.telegram.sendPhoto(userId, job.photo_file_id, { caption: job.message || undefined, ...extra });
+        else await bot.telegram.sendMessage(userId, job.message, extra);
+        return null;
+      } catch (e) {
+        const retryAfter = e.code === 429 && e.parameters && e.parameters.retry_after;
+        if (retryAfter && attempt < BROADCAST_MAX_RETRIES) {
+          log.warn('broadcast rate limited', { broadcast_id: job._id, retry_after_sec: retryAfter });
+          await sleep((retryAfter + 1) * 1000);
+          continue;
+        }
+        const reason = failureReason(e);
+        if (UNREACHABLE_REASONS.includes(reason)) {
+          await Users.updateOne({ user_id: userId }, { $set: { inactive: true, inactive_reason: reason, inactive_at: new Date() } });
+        }
+        return reason;
+      }
+    }
+  }
+
+  async function runBroadcastJob(job) {
+    const filter = audienceFilter(job.audience, job.created_at);
+    const extra = broadcastKeyboard(job);
+    let cursor = job.cursor;
+    while (true) {
+      const page = await Users.find(cursor ? { ...filter, _id: { $gt: cursor } } : filter).sort({ _id: 1 }).limit(BROADCAST_BATCH_SIZE).project({ user_id: 1 }).toArray();
+      if (!page.length) break;
+      for (const u of page) {
+        const reason = await deliverBroadcast(job, u.user_id, extra);
+        metrics.broadcastMessages.inc({ result: reason ? 'failed' : 'sent' });
+        cursor = u._id;
+        const inc = reason ? { failed: 1, [`failures.${reason}`]: 1 } : { sent: 1 };
+        // matching on state stops the job as soon as it is cancelled
+        const r = await BroadcastLogs.updateOne({ _id: job._id, state: 'running' }, { $set: { cursor, updated_at: new Date() }, $inc: inc });
+        if (!r.matchedCount) return;
+        await sleep(1000 / Math.max(1, BROADCAST_RATE_PER_SEC));
+      }
+    }
+    const done = await BroadcastLogs.findOneAndUpdate(
+      { _id: job._id, state: 'running' },
+      { $set: { state: 'completed', finished_at: new Date(), updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (done) await reportBroadcast(done);
+  }
+
+  // Works through queued jobs one at a time, oldest first. A job still marked
+  // running was interrupted by a restart and is picked up from its cursor.
+  async function processBroadcasts() {
+    if (broadcastWorkerBusy) return;
+    broadcastWorkerBusy = true;
+    try {
+      while (true) {
+        const job = await BroadcastLogs.findOne({ state: 'running' }) || await BroadcastLogs.findOneAndUpdate(
+          { state: 'queued' },
+          { $set: { state: 'running', started_at: new Date(), updated_at: new Date() } },
+          { sort: { created_at: 1 }, returnDocument: 'after' }
+        );
+        if (!job) break;
+        await runBroadcastJob(job);
+      }
+    } catch (e) {
+      log.error('broadcast worker failed', { err: e });
+    } finally {
+      broadcastWorkerBusy = false;
+    }
+  }
+
+  async function reportBroadcast(job) {
+    try { await bot.telegram.sendMessage(job.sent_by, formatBroadcastReport(job)); }
+    catch (e) { await notifyAdmins(formatBroadcastReport(job)); }
+  }
+
+  // /broadcast [to=<audience>] [dryrun] <message>
+  // Lines of the form "button: Label | https://url" become link buttons. Reply
+  // to a photo (or a text message) to broadcast it instead of typing one.
+  bot.command('broadcast', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const lines = ctx.message.text.replace(/^\/broadcast(@\w+)?/, '').split('\n');
+    const words = lines[0].trim().split(' ').filter(Boolean);
+    let audience = { type: 'all' };
+    let dryRun = false;
+    while (words.length) {
+      if (words[0] === 'dryrun') dryRun = true;
+      else if (words[0].startsWith('to=')) {
+        audience = parseAudience(words[0].slice(3));
+        if (!audience) return ctx.reply('Audience must be one of: all, depositors, inactive:<days>, spent:<amount>');
+      } else break;
+      words.shift();
+    }
+    lines[0] = words.join(' ');
+    const buttons = [];
+    const body = lines.filter(l => {
+      const m = l.match(BROADCAST_BUTTON_RE);
+      if (m) buttons.push({ text: m[1], url: m[2] });
+      return !m;
+    }).join('\n').trim();
+
+    const replied = ctx.message.reply_to_message;
+    const photo = replied && replied.photo ? replied.photo[replied.photo.length - 1].file_id : null;
+    const message = body || (replied && (replied.caption || replied.text)) || '';
+    const spec = { message, photo_file_id: photo, buttons, audience };
+    if (!message && !photo) {
+      return ctx.reply('Usage: /broadcast [to=all|depositors|inactive:<days>|spent:<amount>] [dryrun] <message>\n' +
+        'Add lines like "button: Open shop | https://example.com" for link buttons.\n' +
+        'Reply to a photo to send it with the message as caption.');
+    }
+    const invalid = validateBroadcast(spec);
+    if (invalid) return ctx.reply(`Cannot broadcast: ${invalid}.`);
+
+    if (dryRun) {
+      const count = await Users.countDocuments(audienceFilter(audience));
+      return ctx.reply(`🔎 Dry run: ${count} user(s) match (${describeAudience(audience)}). Nothing was sent.`);
+    }
+    const job = await createBroadcastJob(spec, ctx.from.id);
+    ctx.reply(`📣 Broadcast ${job._id} queued for ${job.total} user(s) (${describeAudience(audience)}).\nYou will get a report when it finishes. Stop it with /cancelbroadcast ${job._id}`);
+  });
+
+  bot.command('broadcasts', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const jobs = await BroadcastLogs.find({ state: { $exists: true } }).sort({ created_at: -1 }).limit(10).toArray();
+    if (!jobs.length) return ctx.reply('No broadcasts yet.');
+    const lines = jobs.map(j => `${j._id} | ${j.state} | ${j.sent}/${j.total} sent | ${j.failed} failed | ${describeAudience(j.audience)} | ${j.created_at.toLocaleString()}`);
+    ctx.reply(`📣 Recent broadcasts\n\n${lines.join('\n')}`);
+  });
+
+  bot.command('cancelbroadcast', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const id = ctx.message.text.split(' ').filter(Boolean)[1];
+    if (!id) return ctx.reply('Usage: /cancelbroadcast <id>  (see /broadcasts)');
+    const jobId = ObjectId.isValid(id) ? new ObjectId(id) : null;
+    const job = jobId && await cancelBroadcast(jobId, ctx.from.id);
+    if (!job) return ctx.reply('No queued or running broadcast with that id.');
+    ctx.reply(`🛑 Broadcast ${job._id} cancelled after ${job.sent}/${job.total} sent.`);
+  });
+
+  Object.assign(app, { audienceFilter, createBroadcastJob, cancelBroadcast, processBroadcasts });
+}
@@ -0,0 +1,156 @@
+// ---------- Provider catalog sync ----------
+// Pulls every enabled provider's `services` list into `provider_services`,
+// copies the primary route's rate / min / max / refill onto each catalog
+// entry, applies the markup rule for the service's category (falling back to
+// '*') and flags anything that sells below the cost of any of its routes.
+import { applyMarkup } from './lib/pricing.js';
+import { log } from './lib/log.js';
+
+function formatMarkup(rule) {
+  return rule.type === 'percent' ? `+${rule.value}%` : `+₹${rule.value}/1K`;
+}
+
+function formatSyncResult(r) {
+  let text = `🔄 Provider sync: ${r.total} provider services.`;
+  if (r.failed.length) text += `\n\n❌ Failed:\n` + r.failed.join('\n');
+  if (r.repriced.length) text += `\n\n💱 Repriced:\n` + r.repriced.map(x => `${x.key}: ₹${x.from} → ₹${x.to}`).join('\n');
+  if (r.belowCost.length) text += `\n\n⚠️ Below provider cost:\n` + r.belowCost.map(x => `${x.key}: ₹${x.price} < ₹${x.rate}`).join('\n');
+  if (r.missing.length) text += `\n\n❓ Not offered by provider:\n` + r.missing.map(x => `${x.key} (${x.routes.join(', ')})`).join('\n');
+  return text;
+}
+
+export function setupCatalogSync(app) {
+  const { bot, Services, ProviderServices, getProviders, providerServices, getSetting, setSetting, notifyAdmins, isAdmin } = app;
+
+  async function syncProviderServices() {
+    const now = new Date();
+    const offered = new Map();   // "provider#service" -> provider_services doc
+    const synced = new Set();
+    const result = { total: 0, failed: [], repriced: [], belowCost: [], newlyBelowCost: [], missing: [] };
+    for (const provider of await getProviders({ enabled: true })) {
+      const list = await providerServices(provider);
+      if (!Array.isArray(list)) {
+        result.failed.push(`${provider.name}: ${list && list.error ? list.error : 'no service list'}`);
+        continue;
+      }
+      synced.add(provider.name);
+      for (const p of list) {
+        const doc = {
+          provider: provider.name,
+          service: Number(p.service),
+          name: p.name || null,
+          type: p.type || null,
+          category: p.category || null,
+          rate: Number(p.rate),
+          min: Number(p.min),
+          max: Number(p.max),
+          refill: Boolean(p.refill),
+          cancel: Boolean(p.cancel),
+          synced_at: now
+        };
+        if (!doc.service || isNaN(doc.rate)) continue;
+        offered.set(`${doc.provider}#${doc.service}`, doc);
+        await ProviderServices.updateOne({ provider: doc.provider, service: doc.service }, { $set: doc }, { upsert: true });
+      }
+    }
+    if (!synced.size) throw new Error(`no provider returned a service list (${result.failed.join('; ') || 'none enabled'})`);
+    result.total = offered.size;
+
+    const rules = await getSetting('markup_rules') || {};
+    for (const s of await Services.find({}).toArray()) {
+      // routes whose provider did not answer this time are left out of the comparison
+      const routes = (s.routes || []).filter(r => synced.has(r.provider));
+      if (!routes.length) continue;
+      const costs = [];
+      const missing = [];
+      for (const r of routes) {
+        const p = offered.get(`${r.provider}#${r.service_id}`);
+        if (p) costs.push(p);
+        else missing.push(`${r.provider}#${r.service_id}`);
+      }
+      const update = { provider_missing: missing.length > 0, provider_synced_at: now };
+      if (missing.length) result.missing.push({ key: s.key, routes: missing, wasMissing: Boolean(s.provider_missing) });
+      const primary = (s.routes[0] && offered.get(`${s.routes[0].provider}#${s.routes[0].service_id}`)) || costs[0];
+      if (primary) {
+        Object.assign(update, {
+          provider_rate: primary.rate,
+          provider_min: primary.min,
+          provider_max: primary.max,
+          refill: primary.refill,
+          cancel: primary.cancel
+        });
+        const rule = rules[s.category] || rules['*'];
+        if (rule) {
+          const price = applyMarkup(primary.rate, rule);
+          if (price !== s.price_per_1k) {
+            update.price_per_1k = price;
+            result.repriced.push({ key: s.key, from: s.price_per_1k, to: price });
+          }
+        }
+      }
+      if (costs.length) {
+        const price = update.price_per_1k ?? s.price_per_1k;
+        const rate = Math.max(...costs.map(p => p.rate));
+        update.below_cost = price < rate;
+        if (update.below_cost) {
+          result.belowCost.push({ key: s.key, price, rate });
+          if (!s.below_cost) result.newlyBelowCost.push({ key: s.key, price, rate });
+        }
+      }
+      await Services.updateOne({ _id: s._id }, { $set: { ...update, updated_at: now }});
+    }
+    await setSetting('services_synced_at', now);
+    return result;
+  }
+
+  // Scheduled run: only bother admins about services that just went below cost
+  // or disappeared, not about the same ones every interval.
+  async function runServiceSync() {
+    try {
+      const r = await syncProviderServices();
+      const newlyMissing = r.missing.filter(x => !x.wasMissing);
+      if (r.newlyBelowCost.length || newlyMissing.length) {
+        let text = '🚨 Provider catalog changed';
+        if (r.newlyBelowCost.length) text += `\n\n⚠️ Now below provider cost:\n` + r.newlyBelowCost.map(x => `${x.key}: ₹${x.price} < ₹${x.rate}`).join('\n');
+        if (newlyMissing.length) text += `\n\n❓ No longer offered:\n` + newlyMissing.map(x => `${x.key} (${x.routes.join(', ')})`).join('\n');
+        await notifyAdmins(text);
+      }
+    } catch (e) { log.error('service sync failed', { err: e }); }
+  }
+
+  bot.command('syncservices', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    await ctx.reply('Syncing services from providers... 🔄');
+    try {
+      const r = await syncProviderServices();
+      await ctx.reply(formatSyncResult(r));
+    } catch (e) {
+      log.error('service sync failed', { err: e });
+      await ctx.reply(`❌ Sync failed: ${e.message}`);
+    }
+  });
+
+  bot.command('markup', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    const rules = await getSetting('markup_rules') || {};
+    if (parts.length < 2) {
+      const lines = Object.entries(rules).map(([cat, r]) => `${cat}: ${formatMarkup(r)}`);
+      return ctx.reply(`Markup rules (applied on /syncservices):\n${lines.length ? lines.join('\n') : 'none'}\n\nUsage: /markup <category|*> <20%|0.5|off>`);
+    }
+    if (parts.length < 3) return ctx.reply('Usage: /markup <category|*> <20%|0.5|off>');
+    const category = parts.slice(1, -1).join(' ');
+    const raw = parts[parts.length - 1];
+    if (raw === 'off') {
+      delete rules[category];
+    } else {
+      const value = Number(raw.replace('%', ''));
+      if (isNaN(value) || value < 0) return ctx.reply('Invalid markup. Use e.g. 20% or 0.5');
+      rules[category] = { type: raw.endsWith('%') ? 'percent' : 'fixed', value };
+    }
+    await setSetting('markup_rules', rules);
+    ctx.reply(rules[category] ? `✅ Markup for ${category}: ${formatMarkup(rules[category])}` : `✅ Markup for ${category} removed`);
+  });
+
+  Object.assign(app, { runServiceSync });
+}
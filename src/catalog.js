@@ -0,0 +1,142 @@
+// ---------- Service catalog ----------
+// Each sellable service is one document in `services`, keyed by a short slug
+// (`key`) that is also stored on orders. Menus, validation and pricing all
+// read from here, so adding a service is a `/service add` away. Each service
+// also gets a numeric `api_id` from the `service_api_seq` setting, since panel
+// clients talking to the reseller API only take numeric service ids.
+import { Markup } from 'telegraf';
+import { escapeMd } from './lib/util.js';
+import { DEFAULT_PROVIDER } from './providers.js';
+import { mainKeyboard } from './keyboards.js';
+
+const CATALOG_PAGE_SIZE = 6;
+const parseFlag = v => v === true || v === 'true' || v === 'on' || v === '1';
+export const SERVICE_KEY_RE = /^[a-z0-9_]{1,20}$/;
+export const SERVICE_FIELDS = {
+  name: String,
+  category: String,
+  price_per_1k: Number,
+  min: Number,
+  max: Number,
+  link_pattern: String,
+  link_hint: String,
+  enabled: parseFlag,
+  allow_refill: parseFlag,
+  allow_cancel: parseFlag,
+  refill_cooldown_hours: Number,
+  refill_days: Number
+};
+
+// `data(page)` builds the callback data for the button leading to `page`
+export function pageButtons(page, pages, data) {
+  const row = [];
+  if (page > 0) row.push(Markup.button.callback('⬅️ Prev', data(page - 1)));
+  if (page < pages - 1) row.push(Markup.button.callback('Next ➡️', data(page + 1)));
+  return row;
+}
+
+export function setupCatalog(app) {
+  const { bot, Services, Settings, getSetting } = app;
+
+  async function nextServiceApiId() {
+    const seq = await Settings.findOneAndUpdate({ key: 'service_api_seq' }, { $inc: { value: 1 } }, { upsert: true, returnDocument: 'after' });
+    return seq.value;
+  }
+
+  // Seed the catalog with the two services that used to be hard-coded, carrying
+  // over any price / service id admins already stored in settings.
+  async function seedServices() {
+    // entries from before the provider registry had a single provider_service_id
+    const legacyEntries = await Services.find({ routes: { $exists: false } }).toArray();
+    for (const s of legacyEntries) {
+      await Services.updateOne({ _id: s._id }, {
+        $set: { routes: [{ provider: DEFAULT_PROVIDER, service_id: Number(s.provider_service_id) }] },
+        $unset: { provider_service_id: '' }
+      });
+    }
+    // services from before the reseller API had numeric ids, oldest first
+    const unnumbered = await Services.find({ api_id: { $exists: false } }).sort({ created_at: 1, _id: 1 }).toArray();
+    for (const s of unnumbered) await Services.updateOne({ _id: s._id }, { $set: { api_id: await nextServiceApiId() } });
+    if (await Services.countDocuments() > 0) return;
+    const legacy = [
+      { key: 'likes', name: 'Instagram Likes', priceKey: 'price_like_per_1k', price: 1.2, idKey: 'service_likes', id: 11505, min: 500, max: 50000 },
+      { key: 'views', name: 'Instagram Views', priceKey: 'price_view_per_1k', price: 0.9, idKey: 'service_views', id: 10695, min: 1000, max: 1000000 }
+    ];
+    for (const l of legacy) {
+      await Services.insertOne({
+        key: l.key,
+        api_id: await nextServiceApiId(),
+        name: l.name,
+        category: 'Instagram',
+        routes: [{ provider: DEFAULT_PROVIDER, service_id: Number(await getSetting(l.idKey) || l.id) }],
+        price_per_1k: Number(await getSetting(l.priceKey) || l.price),
+        min: l.min,
+        max: l.max,
+        link_pattern: 'instagram\\.com/p/',
+        link_hint: 'Instagram post link (must contain instagram.com/p/...)',
+        enabled: true,
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+    }
+  }
+
+  async function getService(key) {
+    return Services.findOne({ key });
+  }
+
+  async function getCategories() {
+    const cats = await Services.distinct('category', { enabled: true });
+    return cats.sort();
+  }
+
+  async function showCategories(ctx, page = 0) {
+    const cats = await getCategories();
+    if (!cats.length) return ctx.reply('No services are available right now. Please check back later.');
+    const pages = Math.ceil(cats.length / CATALOG_PAGE_SIZE);
+    page = Math.min(Math.max(0, page), pages - 1);
+    const rows = cats.slice(page * CATALOG_PAGE_SIZE, (page + 1) * CATALOG_PAGE_SIZE)
+      .map(c => [Markup.button.callback(c, `CAT:0:${c}`)]);
+    const nav = pageButtons(page, pages, p => `CATS:${p}`);
+    if (nav.length) rows.push(nav);
+    rows.push([Markup.button.callback('📑 Mass order', 'MASS_ORDER'), Markup.button.callback('🏠 Home', 'HOME')]);
+    await ctx.reply(`🛍 *Services*\n\nChoose a category${pages > 1 ? ` (page ${page + 1}/${pages})` : ''}:`, { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) });
+  }
+
+  async function showCategory(ctx, category, page = 0) {
+    const services = await Services.find({ category, enabled: true }).sort({ name: 1 }).toArray();
+    if (!services.length) return showCategories(ctx);
+    const pages = Math.ceil(services.length / CATALOG_PAGE_SIZE);
+    page = Math.min(Math.max(0, page), pages - 1);
+    const rows = services.slice(page * CATALOG_PAGE_SIZE, (page + 1) * CATALOG_PAGE_SIZE)
+      .map(s => [Markup.button.callback(`${s.name} — ₹${s.price_per_1k}/1K`, `SVC:${s.key}`)]);
+    const nav = pageButtons(page, pages, p => `CAT:${p}:${category}`);
+    if (nav.length) rows.push(nav);
+    rows.push([Markup.button.callback('⬅️ Categories', 'CATS:0'), Markup.button.callback('🏠 Home', 'HOME')]);
+    await ctx.reply(`📂 *${escapeMd(category)}*${pages > 1 ? ` (page ${page + 1}/${pages})` : ''}\n\nChoose a service:`, { parse_mode: 'Markdown', ...Markup.inlineKeyboard(rows) });
+  }
+
+  async function showService(ctx, key) {
+    const s = await getService(key);
+    if (!s || !s.enabled) return ctx.reply('❌ This service is not available right now.');
+    const text = `🛍 *${escapeMd(s.name)}*\n\n💰 Price: ₹${s.price_per_1k} per 1K\n📉 Minimum: ${s.min}\n📈 Maximum: ${s.max}\n\nClick below to order.`;
+    await ctx.replyWithMarkdown(text, Markup.inlineKeyboard([
+      [Markup.button.callback('📦 Order now', `ORDER:${s.key}`)],
+      [Markup.button.callback('⬅️ Back', `CAT:0:${s.category}`), Markup.button.callback('🏠 Home', 'HOME')]
+    ]));
+  }
+
+  bot.action('HOME', async (ctx) => {
+    await ctx.answerCbQuery();
+    await ctx.replyWithMarkdown('🏠 *Main menu*', mainKeyboard);
+  });
+  bot.action('SERVICES', async (ctx) => { await ctx.answerCbQuery(); await showCategories(ctx); });
+  bot.action(/^CATS:(\d+)$/, async (ctx) => { await ctx.answerCbQuery(); await showCategories(ctx, Number(ctx.match[1])); });
+  bot.action(/^CAT:(\d+):(.+)$/, async (ctx) => { await ctx.answerCbQuery(); await showCategory(ctx, ctx.match[2], Number(ctx.match[1])); });
+  bot.action(/^SVC:(.+)$/, async (ctx) => { await ctx.answerCbQuery(); await showService(ctx, ctx.match[1]); });
+  // buttons from messages sent before the catalog existed
+  bot.action('SERVICE_LIKES', async (ctx) => { await ctx.answerCbQuery(); await showService(ctx, 'likes'); });
+  bot.action('SERVICE_VIEWS', async (ctx) => { await ctx.answerCbQuery(); await showService(ctx, 'views'); });
+
+  Object.assign(app, { seedServices, nextServiceApiId, getService, showService });
+}
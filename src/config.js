@@ -0,0 +1,44 @@
+// ---------- ENV ----------
+// Everything the bot reads from the environment, parsed once. Modules take
+// these from `app.config` rather than from process.env, so tests can build an
+// app from a plain object.
+export function loadConfig(env = process.env) {
+  return {
+    BOT_TOKEN: env.BOT_TOKEN,
+    MONGO_URI: env.MONGO_URI,
+    DB_NAME: env.DB_NAME || 'smm_bot_db',
+    ADMIN_IDS: (env.ADMIN_IDS || '').split(',').filter(Boolean).map(x=>Number(x)),
+    GROUP_CHAT_ID: env.GROUP_CHAT_ID ? Number(env.GROUP_CHAT_ID) : null,
+    // support tickets go to this chat (and forum topic) instead of each admin
+    SUPPORT_CHAT_ID: env.SUPPORT_CHAT_ID ? Number(env.SUPPORT_CHAT_ID) : null,
+    SUPPORT_THREAD_ID: env.SUPPORT_THREAD_ID ? Number(env.SUPPORT_THREAD_ID) : null,
+    VIRALSMM_API_URL: env.VIRALSMM_API_URL || 'https://viralsmm.in/api/v2',
+    VIRALSMM_API_KEY: env.VIRALSMM_API_KEY || '',
+    STATUS_CHECK_INTERVAL_MIN: Number(env.STATUS_CHECK_INTERVAL_MIN || 5),
+    ORDER_STALE_HOURS: Number(env.ORDER_STALE_HOURS || 72),
+    BACKUP_PATH: env.BACKUP_PATH || './backups',
+    BACKUP_KEEP_DAILY: Number(env.BACKUP_KEEP_DAILY || 7),
+    BACKUP_KEEP_WEEKLY: Number(env.BACKUP_KEEP_WEEKLY || 4),
+    QR_IMAGE_PATH: env.QR_IMAGE_PATH || './qr.png',
+    BOT_USERNAME: env.BOT_USERNAME || '@YourBotUsername',
+    ADMIN_USERNAME: env.ADMIN_USERNAME || '@AdminUsername',
+    PORT: Number(env.PORT || 3000),
+    PUBLIC_URL: (env.PUBLIC_URL || '').replace(/\/+$/, ''),   // where /api/v2 is reachable, shown by /apikey
+    // "<adminId>:<token>,<adminId>:<token>" for the admin REST API / dashboard
+    ADMIN_API_TOKENS: (env.ADMIN_API_TOKENS || '').split(',').filter(Boolean).map(x => {
+      const [adminId, ...token] = x.split(':');
+      return { adminId: Number(adminId), token: token.join(':') };
+    }).filter(t => t.adminId && t.token),
+    PAYMENT_EXPIRY_HOURS: Number(env.PAYMENT_EXPIRY_HOURS || 48),
+    DEPOSIT_MAX_AMOUNT: Number(env.DEPOSIT_MAX_AMOUNT || 100000),   // largest single Add Fund request, in ₹
+    SESSION_TIMEOUT_MIN: Number(env.SESSION_TIMEOUT_MIN || 15),
+    SERVICE_SYNC_INTERVAL_HOURS: Number(env.SERVICE_SYNC_INTERVAL_HOURS || 12),
+    BROADCAST_RATE_PER_SEC: Number(env.BROADCAST_RATE_PER_SEC || 20),
+    DAILY_REPORT_HOUR: Number(env.DAILY_REPORT_HOUR || 9),   // server time; negative disables
+    LOG_LEVEL: env.LOG_LEVEL || 'info',   // debug | info | warn | error | silent
+    METRICS_TOKEN: env.METRICS_TOKEN || '',   // Bearer token for /metrics; open when empty
+    ALERT_CHECK_INTERVAL_MIN: Number(env.ALERT_CHECK_INTERVAL_MIN || 10),
+    ALERT_PROVIDER_ERROR_RATE: Number(env.ALERT_PROVIDER_ERROR_RATE || 0.5),   // share of recent calls failing
+    ALERT_PROVIDER_MIN_BALANCE: Number(env.ALERT_PROVIDER_MIN_BALANCE || 100)   // in the provider's currency; 0 disables
+  };
+}
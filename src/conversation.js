@@ -0,0 +1,108 @@
+// ---------- Conversation state ----------
+// A user is in at most one multi-step flow at a time. Its state lives in
+// `sessions` (one document per user) so it survives restarts, and expires
+// after SESSION_TIMEOUT_MIN of inactivity. Each state is a scene with:
+//   enter(ctx, data)      prompt for the step
+//   text(ctx, session)    handle the user's typed reply
+//   back(ctx, session)    optional, go to the previous step
+//   document(ctx, session) optional, handle an uploaded file
+// Entering a scene replaces whatever flow was open before.
+import { Markup } from 'telegraf';
+import { mainKeyboard } from './keyboards.js';
+
+export function stepButtons(withBack = true) {
+  const row = [];
+  if (withBack) row.push(Markup.button.callback('⬅️ Back', 'SCENE_BACK'));
+  row.push(Markup.button.callback('❌ Cancel', 'SCENE_CANCEL'));
+  return row;
+}
+
+export function setupConversation(app) {
+  const { SESSION_TIMEOUT_MIN } = app.config;
+  const { bot, Sessions } = app;
+
+  const scenes = {};
+
+  function sessionExpiry() {
+    return new Date(Date.now() + SESSION_TIMEOUT_MIN * 60 * 1000);
+  }
+
+  async function enterScene(ctx, state, data = {}) {
+    await Sessions.updateOne(
+      { user_id: ctx.from.id },
+      { $set: { state, data, expires_at: sessionExpiry(), updated_at: new Date() } },
+      { upsert: true }
+    );
+    await scenes[state].enter(ctx, data);
+  }
+
+  async function leaveScene(userId) {
+    await Sessions.deleteOne({ user_id: userId });
+  }
+
+  // Returns the open session, `{ expired: true }` if it timed out, or null.
+  async function getSession(userId) {
+    const session = await Sessions.findOne({ user_id: userId });
+    if (!session) return null;
+    if (session.expires_at < new Date()) {
+      await Sessions.deleteOne({ _id: session._id });
+      return { expired: true, state: session.state };
+    }
+    return session;
+  }
+
+  async function cancelFlow(ctx) {
+    const session = await getSession(ctx.from.id);
+    await leaveScene(ctx.from.id);
+    const text = session && !session.expired ? '❌ Cancelled.' : 'Nothing to cancel.';
+    await ctx.reply(text, mainKeyboard);
+  }
+
+  bot.command('cancel', cancelFlow);
+  bot.action('SCENE_CANCEL', async (ctx) => { await ctx.answerCbQuery(); await cancelFlow(ctx); });
+  bot.action('CANCEL_ORDER', async (ctx) => { await ctx.answerCbQuery(); await cancelFlow(ctx); });
+
+  bot.action('SCENE_BACK', async (ctx) => {
+    await ctx.answerCbQuery();
+    const session = await getSession(ctx.from.id);
+    if (!session || session.expired) return ctx.reply('⌛ This step has expired.', mainKeyboard);
+    const scene = scenes[session.state];
+    if (scene && scene.back) return scene.back(ctx, session);
+    await cancelFlow(ctx);
+  });
+
+  Object.assign(app, { scenes, sessionExpiry, enterScene, leaveScene, getSession });
+}
+
+// ---------- Conversation dispatcher ----------
+// The single text handler for every scene. Commands pass through so /cancel
+// and friends keep working mid-flow.
+export function setupDispatcher(app) {
+  const { bot, Sessions, getSession, scenes, leaveScene, sessionExpiry } = app;
+
+  bot.on('text', async (ctx, next) => {
+    if (ctx.message.text.startsWith('/')) return next();
+    const session = await getSession(ctx.from.id);
+    if (!session) return next();
+    if (session.expired) {
+      await ctx.reply('⌛ That step timed out. Please start again.', mainKeyboard);
+      return;
+    }
+    const scene = scenes[session.state];
+    if (!scene) {
+      await leaveScene(ctx.from.id);
+      return next();
+    }
+    await Sessions.updateOne({ _id: session._id }, { $set: { expires_at: sessionExpiry() } });
+    await scene.text(ctx, session);
+  });
+
+  // Uploaded files go to the open scene, if it takes them.
+  bot.on('document', async (ctx, next) => {
+    const session = await getSession(ctx.from.id);
+    const scene = session && !session.expired && scenes[session.state];
+    if (!scene || !scene.document) return next();
+    await Sessions.updateOne({ _id: session._id }, { $set: { expires_at: sessionExpiry() } });
+    await scene.document(ctx, session);
+  });
+}
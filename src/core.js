@@ -0,0 +1,42 @@
+// ---------- Core helpers ----------
+// Settings, admin checks and admin / user notifications shared by every module.
+import { log } from './lib/log.js';
+
+export function setupCore(app) {
+  const { ADMIN_IDS } = app.config;
+  const { bot, Settings } = app;
+
+  // helper get/set setting
+  async function getSetting(key) {
+    const doc = await Settings.findOne({ key });
+    return doc ? doc.value : null;
+  }
+  async function setSetting(key, value) {
+    await Settings.updateOne({ key }, { $set: { value } }, { upsert: true });
+  }
+
+  function isAdmin(id) {
+    return ADMIN_IDS.includes(Number(id));
+  }
+  // Returns how many admins the message reached.
+  async function notifyAdmins(text) {
+    let sent = 0;
+    for (const adminId of ADMIN_IDS) {
+      try { await bot.telegram.sendMessage(adminId, text); sent++; } catch (e) { log.error('admin notify failed', { admin_id: adminId, err: e }); }
+    }
+    return sent;
+  }
+  // Messages a user outside of a reply. Returns false when Telegram refuses,
+  // most often because the user blocked the bot.
+  async function notifyUser(userId, text, extra) {
+    try {
+      await bot.telegram.sendMessage(userId, text, extra);
+      return true;
+    } catch (e) {
+      log.warn('user notify failed', { to_user: userId, err: e });
+      return false;
+    }
+  }
+
+  Object.assign(app, { getSetting, setSetting, isAdmin, notifyAdmins, notifyUser });
+}
@@ -0,0 +1,118 @@
+// ---------- Coupons ----------
+// Admin-made codes of two kinds: 'order' codes take a percent or flat amount
+// off an order, 'deposit' codes add a percent or flat bonus on top of an
+// approved deposit. Usage is counted on the coupon document itself (`uses`
+// and `per_user.<userId>`), and a code is claimed with one conditional update
+// that re-checks every cap, so concurrent redemptions cannot over-use it.
+import { roundMoney, couponDiscount } from './lib/pricing.js';
+
+const COUPON_CODE_RE = /^[A-Z0-9_-]{3,20}$/;
+
+export function describeCoupon(c) {
+  const value = c.discount_type === 'percent' ? `${c.value}%` : `₹${c.value}`;
+  return c.kind === 'deposit' ? `${value} deposit bonus` : `${value} off`;
+}
+
+const COUPON_USAGE = 'Usage:\n/coupon list\n/coupon info <CODE>\n/coupon add <CODE> <order|deposit> <10%|50> [expires=YYYY-MM-DD] [max=100] [peruser=1] [min=200] [service=<key>]\n/coupon disable <CODE>\n/coupon enable <CODE>';
+
+export function setupCoupons(app) {
+  const { bot, Services, Coupons, CouponRedemptions, isAdmin } = app;
+
+  // Checks a code without using it up. `amount` is the order cost or deposit.
+  // The service check applies to order codes only (`serviceKey` is undefined for deposits).
+  async function checkCoupon(code, userId, kind, amount, serviceKey) {
+    const coupon = await Coupons.findOne({ code: String(code || '').trim().toUpperCase() });
+    if (!coupon || !coupon.active) return { error: 'This coupon code is not valid.' };
+    if (coupon.kind !== kind) return { error: kind === 'order' ? 'This code can only be used when adding funds.' : 'This code can only be used on orders.' };
+    if (coupon.expires_at && coupon.expires_at <= new Date()) return { error: 'This coupon has expired.' };
+    if (coupon.max_uses != null && coupon.uses >= coupon.max_uses) return { error: 'This coupon has been fully used.' };
+    if (coupon.per_user_limit != null && ((coupon.per_user || {})[userId] || 0) >= coupon.per_user_limit) return { error: 'You have already used this coupon.' };
+    if (coupon.service && coupon.service !== serviceKey) return { error: 'This coupon does not apply to this service.' };
+    // a deposit code is entered before the amount, so it is checked again later
+    if (amount == null) return { coupon };
+    if (coupon.min_amount && amount < coupon.min_amount) return { error: `This coupon needs a minimum of ₹${coupon.min_amount}.` };
+    return { coupon, discount: couponDiscount(coupon, amount) };
+  }
+
+  // Atomically claims one use of the coupon for the user and records the
+  // redemption. Returns null if a cap was reached in the meantime.
+  async function redeemCoupon(coupon, userId, ref, amount) {
+    const now = new Date();
+    const filter = {
+      _id: coupon._id,
+      active: true,
+      $and: [
+        { $or: [{ expires_at: null }, { expires_at: { $gt: now } }] },
+        { $or: [{ max_uses: null }, { $expr: { $lt: ['$uses', '$max_uses'] } }] }
+      ]
+    };
+    if (coupon.per_user_limit != null) filter[`per_user.${userId}`] = { $not: { $gte: coupon.per_user_limit } };
+    const res = await Coupons.updateOne(filter, { $inc: { uses: 1, [`per_user.${userId}`]: 1 } });
+    if (!res.modifiedCount) return null;
+    const redemption = { coupon_id: coupon._id, code: coupon.code, user_id: userId, ...ref, amount, created_at: now };
+    await CouponRedemptions.insertOne(redemption);
+    return redemption;
+  }
+
+  // Gives a use back when the order it was claimed for never went through.
+  async function releaseCoupon(coupon, userId, ref) {
+    const res = await CouponRedemptions.deleteOne({ coupon_id: coupon._id, user_id: userId, ...ref });
+    if (res.deletedCount) await Coupons.updateOne({ _id: coupon._id }, { $inc: { uses: -1, [`per_user.${userId}`]: -1 } });
+  }
+
+  bot.command('coupon', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const [, sub, rawCode, ...rest] = ctx.message.text.split(' ').filter(Boolean);
+    const code = String(rawCode || '').toUpperCase();
+
+    if (!sub || sub === 'list') {
+      const list = await Coupons.find({}).sort({ created_at: -1 }).limit(30).toArray();
+      if (!list.length) return ctx.reply('No coupons yet.\n\n' + COUPON_USAGE);
+      return ctx.reply('🏷 Coupons:\n\n' + list.map(c => `${c.active ? '🟢' : '🔴'} ${c.code} | ${describeCoupon(c)} | used ${c.uses}${c.max_uses != null ? `/${c.max_uses}` : ''}${c.expires_at ? ` | until ${c.expires_at.toISOString().slice(0, 10)}` : ''}`).join('\n'));
+    }
+
+    if (sub === 'add') {
+      const [kind, value, ...opts] = rest;
+      if (!COUPON_CODE_RE.test(code) || !['order', 'deposit'].includes(kind) || !value) return ctx.reply(COUPON_USAGE);
+      const amount = Number(value.replace('%', ''));
+      const discountType = value.endsWith('%') ? 'percent' : 'flat';
+      if (!(amount > 0) || (discountType === 'percent' && amount > 100)) return ctx.reply('❌ Invalid discount value.');
+      const coupon = {
+        code, kind, discount_type: discountType, value: amount,
+        expires_at: null, max_uses: null, per_user_limit: 1, min_amount: 0, service: null,
+        uses: 0, per_user: {}, active: true, created_by: ctx.from.id, created_at: new Date()
+      };
+      for (const opt of opts) {
+        const [k, v] = opt.split('=');
+        if (k === 'expires') coupon.expires_at = new Date(`${v}T23:59:59`);
+        else if (k === 'max') coupon.max_uses = Number(v);
+        else if (k === 'peruser') coupon.per_user_limit = v === 'unlimited' ? null : Number(v);
+        else if (k === 'min') coupon.min_amount = Number(v);
+        else if (k === 'service') coupon.service = v;
+        else return ctx.reply(`❌ Unknown option "${k}".\n\n${COUPON_USAGE}`);
+      }
+      if ((coupon.expires_at && isNaN(coupon.expires_at)) || [coupon.max_uses, coupon.per_user_limit, coupon.min_amount].some(n => n != null && isNaN(n))) return ctx.reply('❌ Invalid option value.');
+      if (coupon.service && !await Services.findOne({ key: coupon.service })) return ctx.reply(`❌ Unknown service "${coupon.service}".`);
+      if (await Coupons.findOne({ code })) return ctx.reply(`❌ Coupon ${code} already exists.`);
+      await Coupons.insertOne(coupon);
+      return ctx.reply(`✅ Coupon ${code} created: ${describeCoupon(coupon)}`);
+    }
+
+    if (sub === 'disable' || sub === 'enable') {
+      const res = await Coupons.updateOne({ code }, { $set: { active: sub === 'enable' } });
+      if (!res.matchedCount) return ctx.reply(`Unknown coupon ${code}.`);
+      return ctx.reply(`✅ ${code} ${sub}d`);
+    }
+
+    if (sub === 'info') {
+      const c = await Coupons.findOne({ code });
+      if (!c) return ctx.reply(`Unknown coupon ${code}.`);
+      const total = await CouponRedemptions.aggregate([{ $match: { coupon_id: c._id } }, { $group: { _id: null, amount: { $sum: '$amount' } } }]).toArray();
+      return ctx.reply(`🏷 ${c.code} (${c.active ? 'active' : 'disabled'})\n${c.kind} | ${describeCoupon(c)}\nUsed: ${c.uses}${c.max_uses != null ? `/${c.max_uses}` : ''} | per user: ${c.per_user_limit ?? 'unlimited'}\nMinimum: ₹${c.min_amount || 0}${c.service ? ` | service: ${c.service}` : ''}\nExpires: ${c.expires_at ? c.expires_at.toLocaleString() : 'never'}\nTotal given: ₹${roundMoney(total[0] ? total[0].amount : 0)}`);
+    }
+
+    return ctx.reply(COUPON_USAGE);
+  });
+
+  Object.assign(app, { checkCoupon, redeemCoupon, releaseCoupon });
+}
@@ -0,0 +1,102 @@
+// ---------- MongoDB ----------
+// Collection handles and the schema upkeep that runs on every start: indexes,
+// backfills and default settings. Seeding providers and services is left to
+// their own modules.
+import { MongoClient } from 'mongodb';
+import { roundMoney } from './lib/pricing.js';
+
+// The client index.js connects with. Driver defaults only: the 3.x-era
+// useNewUrlParser / useUnifiedTopology flags make the current driver throw.
+export function createMongoClient(config) {
+  return new MongoClient(config.MONGO_URI);
+}
+
+export function collections(db) {
+  return {
+    Users: db.collection('users'),
+    Orders: db.collection('orders'),
+    Settings: db.collection('settings'),
+    BroadcastLogs: db.collection('broadcast_logs'),
+    AbuseLogs: db.collection('abuse_logs'),
+    Coupons: db.collection('coupons'),
+    CouponRedemptions: db.collection('coupon_redemptions'),
+    Transactions: db.collection('transactions'),
+    Payments: db.collection('payments'),
+    Services: db.collection('services'),
+    ProviderServices: db.collection('provider_services'),
+    Providers: db.collection('providers'),
+    Refills: db.collection('refills'),
+    ScheduledOrders: db.collection('scheduled_orders'),
+    OrderBatches: db.collection('order_batches'),
+    Sessions: db.collection('sessions'),
+    Tickets: db.collection('tickets')
+  };
+}
+
+export async function initDb(app) {
+  const { GROUP_CHAT_ID } = app.config;
+  const { Users, Orders, Settings, BroadcastLogs, AbuseLogs, Coupons, CouponRedemptions, Transactions, Payments, Services, ProviderServices, Providers, Refills, ScheduledOrders, OrderBatches, Sessions, Tickets } = app;
+  await Orders.createIndex({ created_at: -1 });
+  await Orders.createIndex({ status: 1, _id: 1 });
+  await Orders.createIndex({ user_id: 1, created_at: -1 });
+  await Orders.createIndex({ order_id: 1 });
+  await Orders.createIndex({ user_id: 1, order_no: 1 });
+  await Orders.createIndex({ order_no: 1 }, { unique: true, partialFilterExpression: { order_no: { $exists: true } } });
+  await BroadcastLogs.createIndex({ state: 1, created_at: 1 });
+  await Users.createIndex({ user_id: 1 });
+  await Users.createIndex({ referred_by: 1 });
+  await Users.createIndex({ joined_at: -1 });
+  await Users.createIndex({ 'api_key.hash': 1 });
+  await AbuseLogs.createIndex({ user_id: 1, at: -1 });
+  await Coupons.createIndex({ code: 1 }, { unique: true });
+  await CouponRedemptions.createIndex({ coupon_id: 1, user_id: 1 });
+  await Transactions.createIndex({ user_id: 1, created_at: -1 });
+  await Transactions.createIndex({ ref_type: 1, ref_id: 1 });
+  await Transactions.createIndex({ type: 1, created_at: -1 });
+  await Transactions.createIndex({ created_at: -1 });
+  await Payments.createIndex({ state: 1, created_at: -1 });
+  await Payments.createIndex({ user_id: 1, created_at: -1 });
+  await Payments.createIndex({ created_at: -1 });
+  await Payments.createIndex({ state: 1, decided_at: -1 });
+  // deposits made before users carried a running total
+  if (!await Users.findOne({ total_deposited: { $exists: true } })) {
+    const totals = await Payments.aggregate([
+      { $match: { state: 'approved' } },
+      { $group: { _id: '$user_id', total: { $sum: '$credited_amount' } } }
+    ]).toArray();
+    for (const t of totals) await Users.updateOne({ user_id: t._id }, { $set: { total_deposited: roundMoney(t.total) } });
+  }
+  await Services.createIndex({ key: 1 }, { unique: true });
+  await Services.createIndex({ api_id: 1 }, { unique: true, partialFilterExpression: { api_id: { $exists: true } } });
+  await Services.createIndex({ category: 1, enabled: 1 });
+  await ProviderServices.dropIndex('service_1').catch(() => {});   // pre-registry index, one provider only
+  await ProviderServices.createIndex({ provider: 1, service: 1 }, { unique: true });
+  await Providers.createIndex({ name: 1 }, { unique: true });
+  await Refills.createIndex({ order_ref: 1, created_at: -1 });
+  await Refills.createIndex({ status: 1 });
+  await ScheduledOrders.createIndex({ status: 1, run_at: 1 });
+  await ScheduledOrders.createIndex({ user_id: 1, status: 1 });
+  await OrderBatches.createIndex({ state: 1, created_at: 1 });
+  await Tickets.createIndex({ ticket_no: 1 }, { unique: true });
+  await Tickets.createIndex({ user_id: 1, updated_at: -1 });
+  await Tickets.createIndex({ status: 1, updated_at: -1 });
+  await Tickets.createIndex({ 'relays.chat_id': 1, 'relays.message_id': 1 });
+  await Sessions.createIndex({ user_id: 1 }, { unique: true });
+  // expired sessions are answered with a timeout notice first, then swept here
+  await Sessions.createIndex({ expires_at: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+  // flow flags from before sessions existed
+  await Users.updateMany({ $or: [{ expecting_amount: { $exists: true } }, { expecting_order: { $exists: true } }] }, { $unset: { expecting_amount: '', expecting_order: '' } });
+
+  // default settings if not exist
+  const defaults = [
+    { key: 'group_chat_id', value: GROUP_CHAT_ID || null },
+    { key: 'markup_rules', value: {} },   // { <category>|'*': { type: 'percent'|'fixed', value } }
+    { key: 'referral_commission_pct', value: 5 },
+    { key: 'referral_paused', value: false },
+    { key: 'daily_report_sent', value: null }   // last day the daily summary covered
+  ];
+  for (const d of defaults) {
+    const ex = await Settings.findOne({ key: d.key });
+    if (!ex) await Settings.insertOne(d);
+  }
+}
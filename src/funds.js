@@ -0,0 +1,138 @@
+// ---------- Add Fund flow ----------
+import { Markup } from 'telegraf';
+import fs from 'fs';
+import { nowStr, escapeMd } from './lib/util.js';
+import { roundMoney } from './lib/pricing.js';
+import { stepButtons } from './conversation.js';
+import { describeCoupon } from './coupons.js';
+import { mainKeyboard } from './keyboards.js';
+import { log } from './lib/log.js';
+
+function fundButtons(data) {
+  const coupon = data.coupon_code
+    ? Markup.button.callback('🏷 Remove coupon', 'FUND_COUPON_REMOVE')
+    : Markup.button.callback('🏷 I have a coupon', 'FUND_COUPON');
+  return Markup.inlineKeyboard([[coupon], stepButtons(false)]);
+}
+
+export function setupFunds(app) {
+  const { QR_IMAGE_PATH, ADMIN_USERNAME, DEPOSIT_MAX_AMOUNT } = app.config;
+  const { bot, Users, Payments, scenes, checkCoupon, leaveScene, enterScene, getSession, notifyAdminsOfPayment } = app;
+
+  scenes['fund:amount'] = {
+    async enter(ctx, data) {
+      const applied = data.coupon_code ? `\n\n🏷 Coupon *${escapeMd(data.coupon_code)}* will be applied when your payment is approved.` : '';
+      await ctx.reply(`Please enter the *amount* you want to add (minimum ₹10).${applied}`, { parse_mode: 'Markdown', ...fundButtons(data) });
+    },
+    async text(ctx, session) {
+      const text = ctx.message.text.trim();
+      const amount = roundMoney(Number(text));
+      if (!Number.isFinite(amount) || amount < 10 || amount > DEPOSIT_MAX_AMOUNT) {
+        await ctx.reply(`❌ Invalid amount. Enter a number from ₹10 to ₹${DEPOSIT_MAX_AMOUNT}.`, fundButtons(session.data));
+        return;
+      }
+      const couponCode = session.data.coupon_code || null;
+      if (couponCode) {
+        const check = await checkCoupon(couponCode, ctx.from.id, 'deposit', amount);
+        if (check.error) {
+          await ctx.reply(`❌ ${check.error}\nEnter another amount or remove the coupon.`, fundButtons(session.data));
+          return;
+        }
+      }
+      await leaveScene(ctx.from.id);
+      // a new amount supersedes any request the user never sent a screenshot for
+      await Payments.updateMany(
+        { user_id: ctx.from.id, state: 'pending', screenshot_file_id: null },
+        { $set: { state: 'expired', decided_at: new Date(), note: 'superseded' } }
+      );
+      const payment = {
+        user_id: ctx.from.id,
+        username: ctx.from.username || null,
+        amount,
+        coupon_code: couponCode,
+        state: 'pending',
+        screenshot_file_id: null,
+        admin_messages: [],
+        created_at: new Date(),
+        updated_at: new Date()
+      };
+      const { insertedId } = await Payments.insertOne(payment);
+      await Users.updateOne({ user_id: ctx.from.id }, { $set: { pending_payment: { payment_id: insertedId, amount, ts: new Date() } }});
+      const caption = `📲 Pay ₹${amount} using PhonePe / Paytm / UPI.\n\n✅ Scan the QR below to pay.\n\nAfter payment, send the screenshot here. It will be sent to the admins for verification and your balance is credited as soon as it is approved.`;
+      try {
+        if (fs.existsSync(QR_IMAGE_PATH)) {
+          await ctx.replyWithPhoto({ source: QR_IMAGE_PATH }, { caption });
+        } else {
+          await ctx.reply(caption);
+        }
+      } catch (e) {
+        log.error('payment QR send failed', { err: e });
+        await ctx.reply(caption);
+      }
+    }
+  };
+
+  scenes['fund:coupon'] = {
+    async enter(ctx) {
+      await ctx.reply('🏷 Send your coupon code:', Markup.inlineKeyboard([stepButtons()]));
+    },
+    async text(ctx, session) {
+      const check = await checkCoupon(ctx.message.text, ctx.from.id, 'deposit', null);
+      if (check.error) {
+        await ctx.reply(`❌ ${check.error}`, Markup.inlineKeyboard([stepButtons()]));
+        return;
+      }
+      await ctx.reply(`✅ Coupon ${check.coupon.code} accepted: ${describeCoupon(check.coupon)}.`);
+      await enterScene(ctx, 'fund:amount', { ...session.data, coupon_code: check.coupon.code });
+    },
+    async back(ctx, session) {
+      await enterScene(ctx, 'fund:amount', session.data);
+    }
+  };
+
+  bot.action('ADD_FUND', async (ctx) => {
+    await ctx.answerCbQuery();
+    await enterScene(ctx, 'fund:amount');
+  });
+
+  bot.action('FUND_COUPON', async (ctx) => {
+    await ctx.answerCbQuery();
+    const session = await getSession(ctx.from.id);
+    if (!session || session.state !== 'fund:amount') return ctx.reply('⌛ This step has expired.', mainKeyboard);
+    await enterScene(ctx, 'fund:coupon', session.data);
+  });
+
+  bot.action('FUND_COUPON_REMOVE', async (ctx) => {
+    await ctx.answerCbQuery();
+    const session = await getSession(ctx.from.id);
+    if (!session || session.state !== 'fund:amount') return ctx.reply('⌛ This step has expired.', mainKeyboard);
+    await enterScene(ctx, 'fund:amount', { ...session.data, coupon_code: null });
+  });
+
+  bot.on('photo', async (ctx) => {
+    const user = await Users.findOne({ user_id: ctx.from.id });
+    const payment = user && user.pending_payment && user.pending_payment.payment_id
+      ? await Payments.findOne({ _id: user.pending_payment.payment_id })
+      : null;
+    if (!payment || payment.state !== 'pending') {
+      await ctx.reply('Please first select *Add Fund* and enter an amount. Then send screenshot.', { parse_mode: 'Markdown' });
+      return;
+    }
+    if (payment.screenshot_file_id) {
+      await ctx.reply('⏳ Your screenshot for this payment is already with the admins. You will be notified once it is reviewed.');
+      return;
+    }
+    const photos = ctx.message.photo;
+    const fileId = photos[photos.length-1].file_id;
+    await Payments.updateOne({ _id: payment._id }, { $set: { screenshot_file_id: fileId, submitted_at: new Date(), updated_at: new Date() }});
+    await Users.updateOne({ user_id: ctx.from.id }, { $set: { 'pending_payment.screenshot_file_id': fileId }});
+
+    const caption = `📤 Payment Request\n\n👤 User: @${ctx.from.username || 'NoUsername'}\n🆔 User ID: ${ctx.from.id}\n💰 Amount (User Wrote): ₹${payment.amount}\n📅 Time: ${nowStr()}\n🧾 Payment: ${payment._id}${payment.coupon_code ? `\n🏷 Coupon: ${payment.coupon_code}` : ''}`;
+    const sent = await notifyAdminsOfPayment(payment._id, fileId, caption);
+    if (sent) {
+      await ctx.reply(`✅ Screenshot received! Your payment of ₹${payment.amount} is waiting for admin approval. You will be notified here.`);
+    } else {
+      await ctx.reply(`✅ Screenshot received! Please contact the admin ${ADMIN_USERNAME} to get it approved.`);
+    }
+  });
+}
@@ -0,0 +1,8 @@
+// ---------- Bot keyboards ----------
+import { Markup } from 'telegraf';
+
+export const mainKeyboard = Markup.inlineKeyboard([
+  [Markup.button.callback('💰 Add Fund', 'ADD_FUND'), Markup.button.callback('🛍 Services', 'SERVICES')],
+  [Markup.button.callback('📦 My Orders', 'MY_ORDERS'), Markup.button.callback('👤 Profile', 'MY_PROFILE')],
+  [Markup.button.callback('🎁 Refer & Earn', 'REFER'), Markup.button.callback('💬 Support', 'SUPPORT')]
+]);
@@ -0,0 +1,47 @@
+// ---------- Wallet ledger ----------
+// Every balance change goes through walletCredit / walletDebit so that it is
+// mirrored by an append-only entry in `transactions`. Entries are never
+// updated or deleted; a mistake is undone with a new 'reversal' entry.
+import { roundMoney } from './lib/pricing.js';
+import { ledgerEntry } from './lib/wallet.js';
+
+export function setupLedger(app) {
+  const { Users, Transactions } = app;
+
+  async function recordTransaction(user, type, amount, ref = {}) {
+    const tx = ledgerEntry(user, type, amount, ref);
+    await Transactions.insertOne(tx);
+    return tx;
+  }
+
+  // Credit a wallet. `inc` lets callers bump other counters (e.g. total_spent)
+  // in the same update. Returns the ledger entry, or null if the user is unknown.
+  async function walletCredit(userId, amount, type, ref = {}, inc = {}) {
+    const amt = roundMoney(amount);
+    if (!(amt > 0)) throw new Error('walletCredit amount must be positive');
+    const user = await Users.findOneAndUpdate(
+      { user_id: userId },
+      { $inc: { balance: amt, ...inc } },
+      { returnDocument: 'after' }
+    );
+    if (!user) return null;
+    return recordTransaction(user, type, amt, ref);
+  }
+
+  // Debit a wallet only if it holds enough funds. The balance check and the
+  // decrement happen in one conditional update, so concurrent debits can never
+  // take a balance below zero. Returns the ledger entry, or null if refused.
+  async function walletDebit(userId, amount, type, ref = {}, inc = {}) {
+    const amt = roundMoney(amount);
+    if (!(amt > 0)) throw new Error('walletDebit amount must be positive');
+    const user = await Users.findOneAndUpdate(
+      { user_id: userId, balance: { $gte: amt } },
+      { $inc: { balance: -amt, ...inc } },
+      { returnDocument: 'after' }
+    );
+    if (!user) return null;
+    return recordTransaction(user, type, -amt, ref);
+  }
+
+  Object.assign(app, { walletCredit, walletDebit });
+}
@@ -0,0 +1,9 @@
+// ---------- Link validation ----------
+// A service's `link_pattern` is a case-insensitive regex; services without
+// one take any http(s) link. A broken pattern rejects every link rather than
+// letting anything through.
+
+export function isValidLink(service, link) {
+  if (!service.link_pattern) return /^https?:\/\//i.test(link);
+  try { return new RegExp(service.link_pattern, 'i').test(link); } catch (e) { return false; }
+}
@@ -0,0 +1,53 @@
+// ---------- Logging ----------
+// One JSON object per line: time, level, msg, the fields of the current log
+// context and the call's own fields. A context is opened per Telegram update
+// and per background job run (with a fresh correlation id, `cid`), and per
+// order while an order is handled, so every line about an update or an order
+// can be pulled out with a single filter.
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const context = new AsyncLocalStorage();
+let minLevel = LEVELS.info;
+let output = null;   // replaces stdout / stderr when set; tests collect lines with it
+
+export function setLogLevel(level) {
+  minLevel = LEVELS[level] ?? LEVELS.info;
+}
+
+export function setLogOutput(fn) {
+  output = fn;
+}
+
+export function newCorrelationId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// Runs fn with `fields` added to every line logged inside it, awaited calls
+// included.
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// An `err` field is written as its message (plus stack for errors).
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minLevel) return;
+  const { err, ...rest } = fields;
+  const line = { time: new Date().toISOString(), level, msg, ...context.getStore(), ...rest };
+  if (err) {
+    line.error = err.message || String(err);
+    if (level === 'error' && err.stack) line.stack = err.stack;
+  }
+  if (output) return output(line);
+  const out = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  out.write(JSON.stringify(line) + '\n');
+}
+
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
@@ -0,0 +1,105 @@
+// ---------- Metrics ----------
+// A small Prometheus registry: counters, histograms and gauges, rendered in
+// the text exposition format. Gauges either hold a value or are computed by a
+// `collect` function at scrape time.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  return Number.isFinite(v) ? String(v) : 'NaN';
+}
+
+export function createRegistry() {
+  const metrics = [];
+
+  function series() {
+    const values = new Map();   // labelKey -> { labels, value }
+    return {
+      values,
+      get(labels) {
+        const key = labelKey(labels);
+        if (!values.has(key)) values.set(key, { labels: { ...labels }, value: 0 });
+        return values.get(key);
+      }
+    };
+  }
+
+  function counter(name, help) {
+    const s = series();
+    const metric = {
+      inc(labels = {}, n = 1) { s.get(labels).value += n; },
+      value(labels = {}) { return s.values.has(labelKey(labels)) ? s.get(labels).value : 0; },
+      async lines() { return [...s.values.values()].map(x => `${name}${formatLabels(x.labels)} ${formatValue(x.value)}`); }
+    };
+    metrics.push({ name, help, type: 'counter', metric });
+    return metric;
+  }
+
+  // `collect` returns [{ labels, value }] (or a number) when given.
+  function gauge(name, help, collect = null) {
+    const s = series();
+    const metric = {
+      set(labels, value) { s.get(labels).value = value; },
+      async lines() {
+        let rows = [...s.values.values()];
+        if (collect) {
+          const v = await collect();
+          rows = typeof v === 'number' ? [{ labels: {}, value: v }] : v;
+        }
+        return rows.map(x => `${name}${formatLabels(x.labels)} ${formatValue(x.value)}`);
+      }
+    };
+    metrics.push({ name, help, type: 'gauge', metric });
+    return metric;
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const s = new Map();   // labelKey -> { labels, counts, sum, count }
+    const metric = {
+      observe(labels, v) {
+        const key = labelKey(labels);
+        if (!s.has(key)) s.set(key, { labels: { ...labels }, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const h = s.get(key);
+        buckets.forEach((b, i) => { if (v <= b) h.counts[i]++; });
+        h.sum += v;
+        h.count++;
+      },
+      async lines() {
+        const out = [];
+        for (const h of s.values()) {
+          buckets.forEach((b, i) => out.push(`${name}_bucket${formatLabels({ ...h.labels, le: b })} ${h.counts[i]}`));
+          out.push(`${name}_bucket${formatLabels({ ...h.labels, le: '+Inf' })} ${h.count}`);
+          out.push(`${name}_sum${formatLabels(h.labels)} ${formatValue(h.sum)}`);
+          out.push(`${name}_count${formatLabels(h.labels)} ${h.count}`);
+        }
+        return out;
+      }
+    };
+    metrics.push({ name, help, type: 'histogram', metric });
+    return metric;
+  }
+
+  async function render() {
+    const out = [];
+    for (const m of metrics) {
+      out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...await m.metric.lines());
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
@@ -0,0 +1,40 @@
+// ---------- Pricing ----------
+// Money rules shared by the order flow, refunds and the catalog sync. Pure
+// functions only: nothing here touches the database, the bot or a provider.
+
+export function roundMoney(n) { return Math.round(Number(n) * 100) / 100; }
+
+export function calcCost(service, qty) {
+  return roundMoney((service.price_per_1k / 1000) * qty);
+}
+
+export function couponDiscount(coupon, amount) {
+  const raw = coupon.discount_type === 'percent' ? amount * coupon.value / 100 : coupon.value;
+  return roundMoney(Math.min(raw, amount));
+}
+
+// Selling price per 1K for a provider rate under a `markup_rules` entry.
+export function applyMarkup(rate, rule) {
+  if (rule.type === 'percent') return roundMoney(rate * (1 + rule.value / 100));
+  return roundMoney(rate + rule.value);
+}
+
+// What is left of an order's cost after earlier refunds.
+export function refundableAmount(order) {
+  return roundMoney(order.cost - (order.refunded_amount || 0));
+}
+
+export function partialRefundAmount(order, remains) {
+  const left = Math.min(Math.max(0, Number(remains) || 0), order.qty);
+  return roundMoney((order.cost / order.qty) * left);
+}
+
+// Refund owed when the provider moves an order to `status`: everything left
+// for a cancellation, the undelivered share for a partial, otherwise nothing.
+// Anything an admin already refunded by hand is not paid out twice.
+export function settlementRefund(order, status, remains) {
+  const refundable = refundableAmount(order);
+  if (status === 'cancelled') return refundable;
+  if (status === 'partial') return Math.min(partialRefundAmount(order, remains), refundable);
+  return 0;
+}
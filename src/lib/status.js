@@ -0,0 +1,27 @@
+// ---------- Order statuses ----------
+// Our order lifecycle and the mapping from the free-text statuses SMM panels
+// report onto it.
+
+export const OPEN_STATUSES = ['pending', 'processing'];   // orders the provider is still working on
+// 'unknown': paid, but the provider never confirmed it; an admin checks and
+// settles it with /refund or /setstatus. Never polled.
+export const ORDER_STATUSES = ['pending', 'processing', 'completed', 'partial', 'cancelled', 'unknown'];
+
+// Returns one of ORDER_STATUSES, or null when the text is not recognised.
+export function mapProviderStatus(raw) {
+  const s = String(raw || '').toLowerCase();
+  if (s.includes('partial')) return 'partial';
+  if (s.includes('complete')) return 'completed';
+  if (s.includes('cancel') || s.includes('refund')) return 'cancelled';
+  if (s.includes('progress') || s.includes('processing')) return 'processing';
+  if (s.includes('pending')) return 'pending';
+  return null;
+}
+
+// Refills are pending, processing, completed or rejected.
+export function mapRefillStatus(raw) {
+  const s = String(raw || '').toLowerCase();
+  if (s.includes('reject') || s.includes('cancel') || s.includes('error') || s.includes('fail')) return 'rejected';
+  const status = mapProviderStatus(s);
+  return status === 'partial' ? 'completed' : status;
+}
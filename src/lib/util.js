@@ -0,0 +1,21 @@
+// ---------- Utilities ----------
+export function nowStr() { return new Date().toLocaleString(); }
+export function sleep(ms){ return new Promise(r=>setTimeout(r, ms)); }
+export function escapeMd(text) { return String(text).replace(/([_*`\[])/g, '\\$1'); }
+
+// Joins `blocks` with `sep` into as few texts as fit Telegram's 4096-character
+// message limit, never splitting a block; `header` starts the first one.
+export function splitMessage(header, blocks, sep = '\n\n', max = 4096) {
+  const out = [];
+  let cur = header;
+  for (const block of blocks) {
+    if (cur && (cur + sep + block).length > max) {
+      out.push(cur);
+      cur = block;
+    } else {
+      cur = cur ? cur + sep + block : block;
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
@@ -0,0 +1,64 @@
+// ---------- Wallet ----------
+// Ledger vocabulary, entry shape and refund arithmetic. The writes themselves
+// (walletCredit / walletDebit) live in src/ledger.js.
+import { roundMoney, refundableAmount } from './pricing.js';
+
+export const TX_TYPES = {
+  DEPOSIT: 'deposit',
+  ORDER_DEBIT: 'order_debit',
+  REFUND: 'refund',
+  ADMIN_ADJUSTMENT: 'admin_adjustment',
+  REVERSAL: 'reversal',
+  REFERRAL_COMMISSION: 'referral_commission',
+  DEPOSIT_BONUS: 'deposit_bonus'
+};
+
+export const TX_LABELS = {
+  deposit: '💰 Deposit',
+  order_debit: '🛒 Order',
+  refund: '💸 Refund',
+  admin_adjustment: '🛠 Admin adjustment',
+  reversal: '↩️ Reversal',
+  referral_commission: '🎁 Referral commission',
+  deposit_bonus: '🏷 Deposit bonus'
+};
+
+// The `transactions` document for a change of `amount` (negative for debits)
+// that left `user` with its current balance.
+export function ledgerEntry(user, type, amount, ref = {}, now = new Date()) {
+  return {
+    user_id: user.user_id,
+    type,
+    amount,
+    balance_after: roundMoney(user.balance || 0),
+    ref_type: ref.ref_type || null,
+    ref_id: ref.ref_id ?? null,
+    note: ref.note || null,
+    actor_id: ref.actor_id || null,
+    created_at: now
+  };
+}
+
+export function formatTransactions(txs) {
+  return txs.map(t => {
+    const sign = t.amount >= 0 ? '+' : '-';
+    const ref = t.ref_type ? ` (${t.ref_type} ${t.ref_id})` : '';
+    return `${t.created_at.toLocaleString()}\n${TX_LABELS[t.type] || t.type}: ${sign}₹${Math.abs(t.amount).toFixed(2)} → ₹${t.balance_after.toFixed(2)}${ref}`;
+  }).join('\n\n');
+}
+
+// Checks an admin refund of `amount` (null for everything left) against what
+// remains of the order's cost. Returns { amount, full } or { error }.
+export function planRefund(order, amount) {
+  const remaining = refundableAmount(order);
+  const amt = roundMoney(amount == null ? remaining : amount);
+  if (!(amt > 0)) return { error: remaining > 0 ? 'Invalid refund amount.' : 'This order is already fully refunded.' };
+  if (amt > remaining) return { error: `At most ₹${remaining} is left to refund on this order.` };
+  return { amount: amt, full: amt === remaining };
+}
+
+// Referral commission on what the order finally cost.
+export function referralCommission(order, pct) {
+  const spend = refundableAmount(order);
+  return { spend, commission: roundMoney(spend * pct / 100) };
+}
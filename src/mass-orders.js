@@ -0,0 +1,252 @@
+// ---------- Mass orders ----------
+// Many orders at once, as `service | link | quantity` lines or a CSV upload
+// (service,link,quantity, optional header row). Every line is checked like a
+// single order; the valid ones are summed into one summary and the whole
+// total is debited up front as a reservation against the batch. A worker
+// then places the orders one by one, reversing the cost of each line the
+// provider refuses, and reports every line back to the user. Progress is
+// kept per line in `order_batches` so a restart picks up where it stopped.
+import { Markup } from 'telegraf';
+import { ObjectId } from 'mongodb';
+import fetch from 'node-fetch';
+import { roundMoney, calcCost } from './lib/pricing.js';
+import { OPEN_STATUSES } from './lib/status.js';
+import { isValidLink } from './lib/links.js';
+import { TX_TYPES } from './lib/wallet.js';
+import { stepButtons } from './conversation.js';
+import { mainKeyboard } from './keyboards.js';
+import { log } from './lib/log.js';
+
+const MASS_ORDER_MAX_LINES = 100;
+const MASS_ORDER_MAX_FILE_BYTES = 256 * 1024;
+const MASS_SUMMARY_LINES = 25;      // lines listed in the summary / report before "…and N more"
+
+// Minimal CSV: commas, double-quoted fields with "" escapes.
+function splitCsvLine(line) {
+  const out = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { out.push(cur); cur = ''; }
+    else cur += ch;
+  }
+  out.push(cur);
+  return out.map(x => x.trim());
+}
+
+// One row of cells per non-empty line; "|" separated lines win over CSV.
+function parseMassRows(text) {
+  const rows = String(text).split(/\r?\n/).map((line, i) => ({ n: i + 1, line: line.trim() })).filter(r => r.line);
+  if (rows.length && /^service\s*[,|]/i.test(rows[0].line)) rows.shift();
+  return rows.map(r => ({ n: r.n, cells: r.line.includes('|') ? r.line.split('|').map(x => x.trim()) : splitCsvLine(r.line) }));
+}
+
+function formatMassErrors(errors) {
+  const shown = errors.slice(0, MASS_SUMMARY_LINES).map(e => `line ${e.n}: ${e.error}`);
+  if (errors.length > shown.length) shown.push(`…and ${errors.length - shown.length} more`);
+  return shown.join('\n');
+}
+
+export function setupMassOrders(app) {
+  const { bot, Users, Orders, Services, Sessions, OrderBatches, getService, enterScene, scenes, walletDebit, submitOrder, recordUnknownOrder, walletCredit, notifyGroupOfOrder, notifyAdmins, notifyUser } = app;
+
+  let orderBatchesBusy = false;
+
+  // Returns { lines, errors }; lines carry everything the batch needs.
+  async function validateMassRows(userId, rows) {
+    const lines = [];
+    const errors = [];
+    const seen = new Set();
+    const services = new Map();
+    for (const { n, cells } of rows) {
+      if (cells.length !== 3) { errors.push({ n, error: 'expected service | link | quantity' }); continue; }
+      const [key, link, qtyText] = cells;
+      const k = key.toLowerCase();
+      if (!services.has(k)) services.set(k, await getService(k));
+      const service = services.get(k);
+      if (!service || !service.enabled) { errors.push({ n, error: `unknown service "${key}"` }); continue; }
+      if (!isValidLink(service, link)) { errors.push({ n, error: `invalid link, expected ${service.link_hint || 'a link'}` }); continue; }
+      const qty = Number(qtyText);
+      if (!Number.isInteger(qty) || qty < service.min || qty > service.max) { errors.push({ n, error: `quantity must be a whole number from ${service.min} to ${service.max}` }); continue; }
+      if (seen.has(`${k}#${link}`)) { errors.push({ n, error: 'same service and link as an earlier line' }); continue; }
+      if (await Orders.findOne({ user_id: userId, link, service: k, status: { $in: OPEN_STATUSES } })) { errors.push({ n, error: 'your previous order for this link is not completed yet' }); continue; }
+      seen.add(`${k}#${link}`);
+      lines.push({ n, service: k, service_name: service.name, link, qty, cost: calcCost(service, qty) });
+    }
+    return { lines, errors };
+  }
+
+  async function handleMassInput(ctx, text) {
+    const rows = parseMassRows(text);
+    if (!rows.length) return ctx.reply('❌ No order lines found.', Markup.inlineKeyboard([stepButtons(false)]));
+    if (rows.length > MASS_ORDER_MAX_LINES) return ctx.reply(`❌ At most ${MASS_ORDER_MAX_LINES} lines per mass order (you sent ${rows.length}).`, Markup.inlineKeyboard([stepButtons(false)]));
+    const { lines, errors } = await validateMassRows(ctx.from.id, rows);
+    if (!lines.length) return ctx.reply(`❌ None of the lines can be ordered:\n\n${formatMassErrors(errors)}\n\nFix them and send the list again.`, Markup.inlineKeyboard([stepButtons(false)]));
+    const total = roundMoney(lines.reduce((sum, l) => sum + l.cost, 0));
+    await enterScene(ctx, 'mass:confirm', { lines, errors, total, draft_id: new ObjectId().toString() });
+  }
+
+  scenes['mass:input'] = {
+    async enter(ctx) {
+      const services = await Services.find({ enabled: true }).sort({ category: 1, name: 1 }).limit(40).toArray();
+      const keys = services.map(s => `${s.key} — ${s.name} (₹${s.price_per_1k}/1K, ${s.min}-${s.max})`).join('\n');
+      await ctx.reply(`📑 Mass order\n\nSend one order per line as:\nservice | link | quantity\n\nor upload a .csv file with the columns service,link,quantity. Up to ${MASS_ORDER_MAX_LINES} lines.\n\nService codes:\n${keys}`, { disable_web_page_preview: true, ...Markup.inlineKeyboard([stepButtons(false)]) });
+    },
+    async text(ctx) {
+      await handleMassInput(ctx, ctx.message.text);
+    },
+    async document(ctx) {
+      const doc = ctx.message.document;
+      if (doc.file_size > MASS_ORDER_MAX_FILE_BYTES) return ctx.reply(`❌ The file is too large (max ${MASS_ORDER_MAX_FILE_BYTES / 1024} KB).`, Markup.inlineKeyboard([stepButtons(false)]));
+      let text;
+      try {
+        const url = await ctx.telegram.getFileLink(doc.file_id);
+        const res = await fetch(url.href);
+        text = await res.text();
+      } catch (e) {
+        log.warn('mass order file download failed', { err: e });
+        return ctx.reply('❌ Could not read that file. Please try again or paste the lines as text.', Markup.inlineKeyboard([stepButtons(false)]));
+      }
+      await handleMassInput(ctx, text);
+    }
+  };
+
+  scenes['mass:confirm'] = {
+    async enter(ctx, data) {
+      const user = await Users.findOne({ user_id: ctx.from.id }) || {};
+      const shown = data.lines.slice(0, MASS_SUMMARY_LINES).map(l => `${l.n}. ${l.service_name} | ${l.link} | ${l.qty} — ₹${l.cost}`);
+      if (data.lines.length > shown.length) shown.push(`…and ${data.lines.length - shown.length} more`);
+      let text = `📑 Mass order summary\n\n✅ ${data.lines.length} order(s):\n${shown.join('\n')}\n`;
+      if (data.errors.length) text += `\n⚠️ ${data.errors.length} line(s) will be skipped:\n${formatMassErrors(data.errors)}\n`;
+      text += `\n💰 Total: ₹${data.total}\n💳 Your balance: ₹${(user.balance || 0).toFixed(2)}\n\nThe total is reserved now; anything that cannot be placed is returned.`;
+      await ctx.reply(text, { disable_web_page_preview: true, ...Markup.inlineKeyboard([
+        [Markup.button.callback(`✅ Place ${data.lines.length} order(s)`, `MASS_CONFIRM:${data.draft_id}`)],
+        stepButtons()
+      ]) });
+    },
+    async text(ctx) {
+      await ctx.reply('Please use the ✅ Place or ❌ Cancel buttons above, or send /cancel.');
+    },
+    async back(ctx) {
+      await enterScene(ctx, 'mass:input');
+    }
+  };
+
+  async function startMassOrder(ctx) {
+    await enterScene(ctx, 'mass:input');
+  }
+  bot.action('MASS_ORDER', async (ctx) => { await ctx.answerCbQuery(); await startMassOrder(ctx); });
+  bot.command('massorder', startMassOrder);
+
+  bot.action(/^MASS_CONFIRM:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const session = await Sessions.findOneAndDelete({
+      user_id: ctx.from.id,
+      state: 'mass:confirm',
+      'data.draft_id': ctx.match[1],
+      expires_at: { $gt: new Date() }
+    });
+    if (!session || !ObjectId.isValid(ctx.match[1])) return ctx.reply('⚠️ This summary is no longer valid. Please start the mass order again.', mainKeyboard);
+    const { lines, total } = session.data;
+    const batchId = new ObjectId(ctx.match[1]);
+    const debit = await walletDebit(ctx.from.id, total, TX_TYPES.ORDER_DEBIT, { ref_type: 'batch', ref_id: batchId, note: `mass order, ${lines.length} line(s)` }, { total_spent: total });
+    if (!debit) {
+      const fresh = await Users.findOne({ user_id: ctx.from.id }) || {};
+      return ctx.reply(`❌ Insufficient balance.\n💰 Your Balance: ₹${(fresh.balance||0)}\n🛒 Total: ₹${total}`);
+    }
+    await OrderBatches.insertOne({
+      _id: batchId,
+      user_id: ctx.from.id,
+      username: ctx.from.username || null,
+      lines: lines.map(l => ({ ...l, status: 'pending' })),
+      total,
+      state: 'running',
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    await ctx.reply(`⏳ Placing ${lines.length} order(s)… ₹${total} reserved. You will get a report when it is done.`);
+    processOrderBatches();
+  });
+
+  async function runOrderBatch(batch) {
+    for (let i = 0; i < batch.lines.length; i++) {
+      const line = batch.lines[i];
+      if (line.status !== 'pending') continue;
+      const orderRef = new ObjectId();
+      await OrderBatches.updateOne({ _id: batch._id }, { $set: { [`lines.${i}.status`]: 'placing', [`lines.${i}.order_ref`]: orderRef, updated_at: new Date() } });
+      const service = await getService(line.service);
+      const res = service && service.enabled
+        ? await submitOrder(orderRef, { id: batch.user_id, username: batch.username }, service, { ...line, subtotal: line.cost, discount: 0 }, { source: 'mass', batch_id: batch._id })
+        : { error: 'service no longer available' };
+      if (res.unknown) {
+        Object.assign(line, { status: 'unknown', error: res.error });
+      } else if (res.error) {
+        await walletCredit(batch.user_id, line.cost, TX_TYPES.REVERSAL, { ref_type: 'batch', ref_id: batch._id, note: `line ${line.n}: ${res.error}` }, { total_spent: -line.cost });
+        Object.assign(line, { status: 'failed', error: res.error });
+      } else {
+        Object.assign(line, { status: 'placed', order_id: res.order.order_id });
+      }
+      await OrderBatches.updateOne({ _id: batch._id }, { $set: { [`lines.${i}`]: { ...line, order_ref: orderRef }, updated_at: new Date() } });
+    }
+    await OrderBatches.updateOne({ _id: batch._id }, { $set: { state: 'completed', finished_at: new Date(), updated_at: new Date() } });
+
+    const placed = batch.lines.filter(l => l.status === 'placed');
+    const failed = batch.lines.filter(l => l.status === 'failed');
+    const unknown = batch.lines.filter(l => l.status === 'unknown');
+    const refunded = roundMoney(failed.reduce((sum, l) => sum + l.cost, 0));
+    const report = batch.lines.slice(0, MASS_SUMMARY_LINES * 2).map(l =>
+      l.status === 'placed' ? `✅ ${l.n}. ${l.service_name} | ${l.qty} → Order #${l.order_id}`
+        : l.status === 'failed' ? `❌ ${l.n}. ${l.service_name} | ${l.qty} — ${l.error} (₹${l.cost} returned)`
+          : `⚠️ ${l.n}. ${l.service_name} | ${l.qty} — ${l.error || 'interrupted'}, support will check it`);
+    if (batch.lines.length > report.length) report.push(`…and ${batch.lines.length - report.length} more (see 📦 My Orders)`);
+    const summary = `📑 Mass order finished: ${placed.length} placed, ${failed.length} failed${unknown.length ? `, ${unknown.length} to be checked` : ''}.${refunded ? `\n💸 ₹${refunded} returned to your balance.` : ''}`;
+    await notifyUser(batch.user_id, `${summary}\n\n${report.join('\n')}`, { disable_web_page_preview: true });
+    if (placed.length) await notifyGroupOfOrder(batch.user_id, `📑 Mass order: ${placed.length} order(s)`);
+  }
+
+  // Runs batches one at a time. A line still 'placing' was cut off by a restart
+  // and may or may not have reached the provider, so it is left to an admin.
+  async function processOrderBatches() {
+    if (orderBatchesBusy) return;
+    orderBatchesBusy = true;
+    try {
+      let batch;
+      while ((batch = await OrderBatches.findOne({ state: 'running' }, { sort: { created_at: 1 } }))) {
+        const interrupted = batch.lines.map((l, i) => l.status === 'placing' ? i : -1).filter(i => i >= 0);
+        if (interrupted.length) {
+          const set = {};
+          for (const i of interrupted) {
+            const line = batch.lines[i];
+            const placed = await Orders.findOne({ _id: line.order_ref });
+            if (!placed) {
+              // recorded so that /refund can settle it
+              const service = await getService(line.service) || { key: line.service, name: line.service_name };
+              await recordUnknownOrder(line.order_ref, { id: batch.user_id, username: batch.username }, service, { ...line, subtotal: line.cost, discount: 0 }, { source: 'mass', batch_id: batch._id });
+            }
+            batch.lines[i] = placed && placed.status !== 'unknown' ? { ...line, status: 'placed', order_id: placed.order_id } : { ...line, status: 'unknown' };
+            set[`lines.${i}`] = batch.lines[i];
+          }
+          await OrderBatches.updateOne({ _id: batch._id }, { $set: set });
+          // lines left 'unknown' before the restart were reported then
+          const unknown = interrupted.map(i => batch.lines[i]).filter(l => l.status === 'unknown');
+          if (unknown.length) {
+            await notifyAdmins(`⚠️ Mass order ${batch._id} (user ${batch.user_id}) was interrupted. Check these lines with the provider; refund any that were not placed with /refund <ref>:\n\n${unknown.map(l => `line ${l.n}: ${l.service} | ${l.link} | ${l.qty} | ₹${l.cost} | ref ${l.order_ref}`).join('\n')}`);
+          }
+        }
+        await runOrderBatch(batch);
+      }
+    } catch (e) {
+      log.error('mass order worker failed', { err: e });
+    } finally {
+      orderBatchesBusy = false;
+    }
+  }
+
+  Object.assign(app, { processOrderBatches });
+}
@@ -0,0 +1,151 @@
+// ---------- Monitoring ----------
+// Correlation ids for every update, the Prometheus metrics behind /metrics,
+// the checks behind /health and the alerts admins get on Telegram. This runs
+// right after setupCore so its middleware wraps every other handler; what it
+// reads from later modules (statusCheckerLastRun, providerBalance, ...) is
+// looked up on `app` when needed.
+import { createRegistry } from './lib/metrics.js';
+import { log, withLogContext, newCorrelationId } from './lib/log.js';
+import { ORDER_STATUSES } from './lib/status.js';
+import { providerErrorRate } from './providers.js';
+
+const ALERT_MIN_CALLS = 10;                    // calls in the window before an error rate counts
+const ALERT_REPEAT_MS = 6 * 60 * 60 * 1000;    // reminder while a condition lasts
+const DB_PING_TIMEOUT_MS = 2000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export function setupMonitoring(app) {
+  const { STATUS_CHECK_INTERVAL_MIN, ALERT_PROVIDER_ERROR_RATE, ALERT_PROVIDER_MIN_BALANCE } = app.config;
+  const { bot, db, Orders, Payments, Providers, notifyAdmins } = app;
+
+  const registry = createRegistry();
+  const updates = registry.counter('smm_bot_updates_total', 'Telegram updates handled, by update type.');
+  const updateErrors = registry.counter('smm_bot_update_errors_total', 'Updates whose handler threw, by update type.');
+  const providerRequests = registry.counter('smm_provider_requests_total', 'Provider API calls, by provider, action and outcome (ok or error).');
+  const providerLatency = registry.histogram('smm_provider_request_duration_seconds', 'Provider API call duration, by provider and action.');
+  const broadcastMessages = registry.counter('smm_broadcast_messages_total', 'Broadcast deliveries, by result (sent or failed).');
+  const alertsRaised = registry.counter('smm_alerts_total', 'Alerts sent to admins, by kind.');
+  const providerBalanceGauge = registry.gauge('smm_provider_balance', 'Provider account balance at the last alert check.');
+  registry.gauge('smm_orders', 'Orders by status.', async () => {
+    const counts = await Orders.aggregate([{ $group: { _id: '$status', n: { $sum: 1 } } }]).toArray();
+    const byStatus = Object.fromEntries(counts.map(c => [c._id, c.n]));
+    return ORDER_STATUSES.map(status => ({ labels: { status }, value: byStatus[status] || 0 }));
+  });
+  registry.gauge('smm_payments_pending', 'Payment requests waiting for an admin.', () => Payments.countDocuments({ state: 'pending' }));
+  registry.gauge('smm_provider_error_rate', 'Share of failed calls among each provider\'s recent calls.', async () => {
+    const providers = await Providers.find({ enabled: true }).toArray();
+    return providers.map(p => ({ labels: { provider: p.name }, value: providerErrorRate(p) }));
+  });
+  registry.gauge('smm_status_checker_lag_seconds', 'Seconds since the status checker last finished a pass.', async () => {
+    const last = app.statusCheckerLastRun();
+    return last ? [{ labels: {}, value: (Date.now() - last) / 1000 }] : [];
+  });
+
+  // ---------- Correlation ids ----------
+  bot.use((ctx, next) => {
+    updates.inc({ type: ctx.updateType });
+    return withLogContext({ cid: newCorrelationId(), update_id: ctx.update.update_id, user_id: ctx.from ? ctx.from.id : null }, next);
+  });
+
+  // handleUpdate has left the update's log context by the time this runs
+  bot.catch((err, ctx) => {
+    updateErrors.inc({ type: ctx.updateType });
+    log.error('update handler failed', { err, update_id: ctx.update.update_id, update_type: ctx.updateType, user_id: ctx.from ? ctx.from.id : null });
+  });
+
+  // ---------- Health ----------
+  let botState = 'stopped';
+  let startedAt = null;
+
+  function setBotState(state) {
+    botState = state;
+    if (state === 'running') startedAt = new Date();
+  }
+
+  // The checker counts as stuck once three intervals pass without a finished
+  // pass; right after start it gets the same grace period for its first one.
+  function statusCheckerHealth() {
+    const maxLagMs = 3 * Math.max(1, STATUS_CHECK_INTERVAL_MIN) * 60 * 1000;
+    const last = app.statusCheckerLastRun();
+    if (last) return { ok: Date.now() - last < maxLagMs, last_run: last, lag_sec: Math.round((Date.now() - last) / 1000) };
+    return { ok: Boolean(startedAt) && Date.now() - startedAt < maxLagMs, last_run: null };
+  }
+
+  async function healthCheck() {
+    const checks = {};
+    const t0 = Date.now();
+    try {
+      await withTimeout(db.command({ ping: 1 }), DB_PING_TIMEOUT_MS);
+      checks.db = { ok: true, latency_ms: Date.now() - t0 };
+    } catch (e) {
+      checks.db = { ok: false, error: e.message };
+    }
+    checks.bot = { ok: botState === 'running', state: botState };
+    checks.status_checker = statusCheckerHealth();
+    const ok = Object.values(checks).every(c => c.ok);
+    return { status: ok ? 'ok' : 'degraded', checks, time: new Date() };
+  }
+
+  // ---------- Alerts ----------
+  const activeAlerts = new Map();   // key -> when admins were last told
+
+  async function raiseAlert(key, text) {
+    const last = activeAlerts.get(key);
+    if (last && Date.now() - last < ALERT_REPEAT_MS) return;
+    activeAlerts.set(key, Date.now());
+    alertsRaised.inc({ kind: key.split(':')[0] });
+    log.error('alert raised', { alert: key, text });
+    await notifyAdmins(`🚨 ${text}`);
+  }
+
+  async function clearAlert(key, text) {
+    if (!activeAlerts.delete(key)) return;
+    log.info('alert cleared', { alert: key });
+    await notifyAdmins(`✅ ${text}`);
+  }
+
+  async function checkAlerts() {
+    try {
+      for (const p of await Providers.find({ enabled: true }).toArray()) {
+        const rate = providerErrorRate(p);
+        const pct = Math.round(rate * 100);
+        if ((p.recent || []).length >= ALERT_MIN_CALLS && rate >= ALERT_PROVIDER_ERROR_RATE) {
+          await raiseAlert(`provider_errors:${p.name}`, `Provider ${p.name}: ${pct}% of the last ${p.recent.length} calls failed.${p.last_error ? `\nLast error: ${p.last_error}` : ''}`);
+        } else {
+          await clearAlert(`provider_errors:${p.name}`, `Provider ${p.name} error rate is back to ${pct}%.`);
+        }
+
+        if (!(ALERT_PROVIDER_MIN_BALANCE > 0)) continue;
+        // kept out of the error window: a failing poll is not a failing order
+        const res = await app.providerBalance(p, { record: false });
+        const balance = res && res.balance != null ? Number(res.balance) : NaN;
+        if (isNaN(balance)) continue;
+        providerBalanceGauge.set({ provider: p.name, currency: res.currency || '' }, balance);
+        if (balance < ALERT_PROVIDER_MIN_BALANCE) {
+          await raiseAlert(`provider_balance:${p.name}`, `Provider ${p.name} balance is low: ${balance} ${res.currency || ''} (alert below ${ALERT_PROVIDER_MIN_BALANCE}). Orders will start failing when it runs out.`);
+        } else {
+          await clearAlert(`provider_balance:${p.name}`, `Provider ${p.name} balance is ${balance} ${res.currency || ''} again.`);
+        }
+      }
+
+      const checker = statusCheckerHealth();
+      if (!checker.ok && startedAt) {
+        await raiseAlert('status_checker', `The order status checker has not finished a pass since ${checker.last_run ? checker.last_run.toLocaleString() : 'the bot started'}.`);
+      } else if (checker.ok) {
+        await clearAlert('status_checker', 'The order status checker is running again.');
+      }
+    } catch (e) {
+      log.error('alert check failed', { err: e });
+    }
+  }
+
+  Object.assign(app, {
+    metrics: { render: registry.render, providerRequests, providerLatency, broadcastMessages },
+    setBotState, healthCheck, checkAlerts
+  });
+}
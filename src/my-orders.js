@@ -0,0 +1,214 @@
+// ---------- My Orders ----------
+// A paginated list of the user's orders; each opens a detail card with the
+// provider's progress, the status history and any refills. Refill / Cancel
+// are offered when both the service (allow_refill / allow_cancel) and the
+// provider service the order was placed on support them. Refill requests are
+// kept in `refills` and polled alongside order statuses. A cancel is only a
+// request: the provider reports the order as cancelled or partial on a later
+// poll and settleOrder refunds whatever was not delivered.
+import { Markup } from 'telegraf';
+import { ObjectId } from 'mongodb';
+import { OPEN_STATUSES } from './lib/status.js';
+import { pageButtons } from './catalog.js';
+import { DEFAULT_PROVIDER } from './providers.js';
+
+const ORDERS_PAGE_SIZE = 8;
+const REFILL_COOLDOWN_HOURS = 24;   // per-service override: refill_cooldown_hours
+const REFILL_WINDOW_DAYS = 30;      // per-service override: refill_days (0 = no limit)
+const ORDER_STATUS_ICONS = { pending: '⏳', processing: '🔄', completed: '✅', partial: '⚠️', cancelled: '❌', unknown: '❓' };
+
+function parseOrderRef(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+function refillCooldownMs(service) {
+  return (service.refill_cooldown_hours ?? REFILL_COOLDOWN_HOURS) * 60 * 60 * 1000;
+}
+
+export function setupMyOrders(app) {
+  const { bot, Orders, ProviderServices, Refills, ScheduledOrders, getService, getProvider, providerCall } = app;
+
+  async function showOrders(ctx, page = 0) {
+    const filter = { user_id: ctx.from.id };
+    const total = await Orders.countDocuments(filter);
+    const scheduled = await ScheduledOrders.countDocuments({ user_id: ctx.from.id, status: 'scheduled' });
+    const scheduledButton = Markup.button.callback(`⏰ Scheduled (${scheduled})`, 'SCHEDULED');
+    if (!total) return ctx.reply('You have no orders yet.', Markup.inlineKeyboard([[Markup.button.callback('🛍 Services', 'SERVICES')], ...(scheduled ? [[scheduledButton]] : [])]));
+    const pages = Math.ceil(total / ORDERS_PAGE_SIZE);
+    page = Math.min(Math.max(0, page), pages - 1);
+    const orders = await Orders.find(filter).sort({ created_at: -1 }).skip(page * ORDERS_PAGE_SIZE).limit(ORDERS_PAGE_SIZE).toArray();
+    const rows = orders.map(o => [Markup.button.callback(
+      `${ORDER_STATUS_ICONS[o.status] || '•'} #${o.order_id ?? '?'} · ${o.service_name || o.service} · ${o.qty}`,
+      `ORD:${o._id}`
+    )]);
+    const nav = pageButtons(page, pages, p => `ORDERS:${p}`);
+    if (nav.length) rows.push(nav);
+    rows.push(scheduled ? [scheduledButton, Markup.button.callback('🏠 Home', 'HOME')] : [Markup.button.callback('🏠 Home', 'HOME')]);
+    await ctx.reply(`📦 Your orders${pages > 1 ? ` (page ${page + 1}/${pages})` : ''}\n\nTap an order for details.`, Markup.inlineKeyboard(rows));
+  }
+
+  async function providerSupports(order, service, action) {
+    const offered = await ProviderServices.findOne({ provider: order.provider || DEFAULT_PROVIDER, service: Number(order.provider_service_id) });
+    if (offered) return Boolean(offered[action]);
+    return Boolean(service && service[action]);
+  }
+
+  async function canOfferRefill(order, service) {
+    if (!['completed', 'partial'].includes(order.status)) return false;
+    if (!service || service.allow_refill === false) return false;
+    return providerSupports(order, service, 'refill');
+  }
+
+  async function canOfferCancel(order, service) {
+    if (!OPEN_STATUSES.includes(order.status) || order.cancel_requested_at) return false;
+    if (!service || service.allow_cancel === false) return false;
+    return providerSupports(order, service, 'cancel');
+  }
+
+  // Returns null when a refill may be requested now, otherwise the reason why not.
+  async function refillBlocker(order, service) {
+    if (!await canOfferRefill(order, service)) return 'This order cannot be refilled.';
+    const windowDays = service.refill_days ?? REFILL_WINDOW_DAYS;
+    if (windowDays > 0 && Date.now() - (order.finished_at || order.created_at) > windowDays * 24 * 60 * 60 * 1000) {
+      return `The ${windowDays}-day refill period for this order has ended.`;
+    }
+    const nextAt = order.last_refill_at ? order.last_refill_at.getTime() + refillCooldownMs(service) : 0;
+    if (nextAt > Date.now()) return `You can request the next refill after ${new Date(nextAt).toLocaleString()}.`;
+    if (await Refills.findOne({ order_ref: order._id, status: { $in: OPEN_STATUSES } })) return 'A refill for this order is already in progress.';
+    return null;
+  }
+
+  async function showOrderCard(ctx, orderRef) {
+    const o = orderRef && await Orders.findOne({ _id: orderRef, user_id: ctx.from.id });
+    if (!o) return ctx.reply('Order not found.');
+    const service = await getService(o.service);
+    const refills = await Refills.find({ order_ref: o._id }).sort({ created_at: -1 }).limit(5).toArray();
+    let text = `📦 Order #${o.order_id ?? '?'}\n\n`;
+    text += `📊 Service: ${o.service_name || o.service}\n`;
+    text += `🔗 Link: ${o.link}\n`;
+    text += `📈 Quantity: ${o.qty}\n`;
+    text += `💰 Cost: ₹${o.cost}${o.refunded_amount ? ` (₹${o.refunded_amount} refunded)` : ''}\n`;
+    text += `📍 Status: ${ORDER_STATUS_ICONS[o.status] || ''} ${o.status}${o.cancel_requested_at && OPEN_STATUSES.includes(o.status) ? ' (cancellation requested)' : ''}\n`;
+    if (o.start_count != null) text += `▶️ Start count: ${o.start_count}\n`;
+    if (o.remains != null) text += `⏳ Remains: ${o.remains}\n`;
+    text += `🕒 Placed: ${o.created_at.toLocaleString()}\n`;
+    const history = (o.status_history || []).slice(-8);
+    if (history.length) {
+      text += `\n🗂 History:\n${history.map(h => `• ${h.at.toLocaleString()} — ${h.status}${h.note ? ` (${h.note})` : ''}`).join('\n')}\n`;
+    }
+    if (refills.length) {
+      text += `\n🔁 Refills:\n${refills.map(r => `• ${r.created_at.toLocaleString()} — ${r.status}${r.error ? ` (${r.error})` : ''}`).join('\n')}\n`;
+    }
+    const actions = [];
+    if (await canOfferRefill(o, service)) actions.push(Markup.button.callback('🔁 Refill', `ORD_REFILL:${o._id}`));
+    if (await canOfferCancel(o, service)) actions.push(Markup.button.callback('❌ Cancel', `ORD_CANCEL:${o._id}`));
+    const rows = [];
+    if (actions.length) rows.push(actions);
+    rows.push([Markup.button.callback('🔄 Refresh', `ORD:${o._id}`), Markup.button.callback('⬅️ My Orders', 'ORDERS:0')]);
+    await ctx.reply(text, { disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) });
+  }
+
+  // Returns { refill } or { error } (with the failed refill when the provider refused).
+  async function requestRefill(order) {
+    const service = await getService(order.service);
+    const blocker = await refillBlocker(order, service);
+    if (blocker) return { error: blocker };
+    const provider = await getProvider(order.provider || DEFAULT_PROVIDER);
+    if (!provider || !provider.enabled) return { error: 'Refills for this order are unavailable right now. Please try again later.' };
+    // claiming the cooldown first keeps two fast taps from sending two refills
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - refillCooldownMs(service));
+    const claimed = await Orders.updateOne(
+      { _id: order._id, $or: [{ last_refill_at: null }, { last_refill_at: { $lte: cutoff } }] },
+      { $set: { last_refill_at: now } }
+    );
+    if (!claimed.modifiedCount) return { error: 'A refill was just requested for this order.' };
+
+    const res = await providerCall(provider, 'refill', { order: order.order_id });
+    const refill = {
+      order_ref: order._id,
+      order_id: order.order_id,
+      user_id: order.user_id,
+      service: order.service,
+      provider: provider.name,
+      provider_refill_id: res && res.refill != null ? String(res.refill) : null,
+      status: 'pending',
+      error: null,
+      created_at: now,
+      updated_at: now
+    };
+    if (!refill.provider_refill_id) {
+      Object.assign(refill, { status: 'failed', error: res && res.error ? String(res.error) : 'provider did not respond', finished_at: now });
+      // a refused request does not use up the cooldown
+      await Orders.updateOne({ _id: order._id, last_refill_at: now }, { $set: { last_refill_at: order.last_refill_at || null } });
+    }
+    await Refills.insertOne(refill);
+    if (refill.status === 'failed') return { error: `The provider refused the refill: ${refill.error}`, refill };
+    return { refill };
+  }
+
+  // Returns { order } or { error }.
+  async function requestCancel(order) {
+    const service = await getService(order.service);
+    if (!await canOfferCancel(order, service)) return { error: 'This order can no longer be cancelled.' };
+    const provider = await getProvider(order.provider || DEFAULT_PROVIDER);
+    if (!provider || !provider.enabled) return { error: 'Cancelling is unavailable right now. Please try again later.' };
+    const claimed = await Orders.updateOne(
+      { _id: order._id, status: { $in: OPEN_STATUSES }, cancel_requested_at: null },
+      { $set: { cancel_requested_at: new Date() } }
+    );
+    if (!claimed.modifiedCount) return { error: 'This order can no longer be cancelled.' };
+
+    const res = await providerCall(provider, 'cancel', { orders: String(order.order_id) });
+    const entry = Array.isArray(res) ? res.find(r => String(r.order) === String(order.order_id)) : null;
+    const accepted = entry && entry.cancel && !entry.cancel.error;
+    if (!accepted) {
+      await Orders.updateOne({ _id: order._id }, { $unset: { cancel_requested_at: '' } });
+      const reason = (entry && entry.cancel && entry.cancel.error) || (res && res.error) || 'provider did not respond';
+      return { error: `The provider refused to cancel this order: ${reason}` };
+    }
+    const updated = await Orders.findOneAndUpdate(
+      { _id: order._id },
+      { $set: { updated_at: new Date() }, $push: { status_history: { status: order.status, source: 'user', note: 'cancellation requested', at: new Date() } } },
+      { returnDocument: 'after' }
+    );
+    return { order: updated };
+  }
+
+  bot.action('MY_ORDERS', async (ctx) => { await ctx.answerCbQuery(); await showOrders(ctx); });
+  bot.command('myorders', async (ctx) => { await showOrders(ctx); });
+  bot.action(/^ORDERS:(\d+)$/, async (ctx) => { await ctx.answerCbQuery(); await showOrders(ctx, Number(ctx.match[1])); });
+  bot.action(/^ORD:(\w+)$/, async (ctx) => { await ctx.answerCbQuery(); await showOrderCard(ctx, parseOrderRef(ctx.match[1])); });
+
+  bot.action(/^ORD_REFILL:(\w+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const orderRef = parseOrderRef(ctx.match[1]);
+    const order = orderRef && await Orders.findOne({ _id: orderRef, user_id: ctx.from.id });
+    if (!order) return ctx.reply('Order not found.');
+    const res = await requestRefill(order);
+    if (res.error) return ctx.reply(`❌ ${res.error}`);
+    await ctx.reply(`🔁 Refill requested for Order #${order.order_id}. We will let you know when the provider finishes it.`);
+  });
+
+  bot.action(/^ORD_CANCEL:(\w+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const orderRef = parseOrderRef(ctx.match[1]);
+    const order = orderRef && await Orders.findOne({ _id: orderRef, user_id: ctx.from.id });
+    if (!order) return ctx.reply('Order not found.');
+    await ctx.reply(`Cancel Order #${order.order_id}? Anything not yet delivered will be refunded to your balance once the provider confirms.`, Markup.inlineKeyboard([
+      [Markup.button.callback('✅ Yes, cancel it', `ORD_CANCEL_YES:${order._id}`), Markup.button.callback('⬅️ Keep it', `ORD:${order._id}`)]
+    ]));
+  });
+
+  bot.action(/^ORD_CANCEL_YES:(\w+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const orderRef = parseOrderRef(ctx.match[1]);
+    const order = orderRef && await Orders.findOne({ _id: orderRef, user_id: ctx.from.id });
+    if (!order) return ctx.reply('Order not found.');
+    const res = await requestCancel(order);
+    if (res.error) return ctx.reply(`❌ ${res.error}`);
+    await ctx.reply(`🛑 Cancellation requested for Order #${order.order_id}. The refund is credited as soon as the provider confirms.`);
+  });
+
+  Object.assign(app, { requestRefill, requestCancel });
+}
@@ -0,0 +1,309 @@
+// ---------- Order flow ----------
+import { Markup } from 'telegraf';
+import { ObjectId } from 'mongodb';
+import { roundMoney, calcCost } from './lib/pricing.js';
+import { OPEN_STATUSES } from './lib/status.js';
+import { isValidLink } from './lib/links.js';
+import { TX_TYPES } from './lib/wallet.js';
+import { mainKeyboard } from './keyboards.js';
+import { stepButtons } from './conversation.js';
+import { log } from './lib/log.js';
+
+// Every change to the summary (coupon applied or removed) issues a new draft
+// id, so a Confirm button showing an older price can no longer be used.
+export function withDraft(data, coupon = null, discount = 0) {
+  return { ...data, coupon_code: coupon ? coupon.code : null, discount, cost: roundMoney(data.subtotal - discount), draft_id: new ObjectId().toString() };
+}
+
+export function setupOrders(app) {
+  const { GROUP_CHAT_ID, BOT_USERNAME } = app.config;
+  const { bot, Users, Orders, Sessions, Settings, Coupons, getService, leaveScene, scenes, enterScene, showService, checkCoupon, getSession, redeemCoupon, walletDebit, releaseCoupon, walletCredit, placeProviderOrder, getSetting, notifyAdmins } = app;
+
+  // Order flow: order:link -> order:qty -> order:confirm. The confirm step holds
+  // a draft with its own id; the Confirm button carries only that id, and
+  // confirming consumes the session, so an old or replayed button is refused.
+  async function orderService(ctx, session) {
+    const service = await getService(session.data.service);
+    if (service && service.enabled) return service;
+    await leaveScene(ctx.from.id);
+    await ctx.reply('❌ This service is no longer available. Order cancelled.', mainKeyboard);
+    return null;
+  }
+
+  scenes['order:link'] = {
+    async enter(ctx, data) {
+      const service = await getService(data.service);
+      await ctx.reply(`Please send the ${service.link_hint || 'link'}.`, Markup.inlineKeyboard([stepButtons()]));
+    },
+    async text(ctx, session) {
+      const service = await orderService(ctx, session);
+      if (!service) return;
+      const link = ctx.message.text.trim();
+      if (!isValidLink(service, link)) {
+        await ctx.reply(`❌ Invalid link. Please send a valid ${service.link_hint || 'link'}.`, Markup.inlineKeyboard([stepButtons()]));
+        return;
+      }
+      await enterScene(ctx, 'order:qty', { service: service.key, link });
+    },
+    async back(ctx, session) {
+      await leaveScene(ctx.from.id);
+      await showService(ctx, session.data.service);
+    }
+  };
+
+  scenes['order:qty'] = {
+    async enter(ctx, data) {
+      const service = await getService(data.service);
+      await ctx.reply(`Enter quantity (minimum ${service.min}, maximum ${service.max}):`, Markup.inlineKeyboard([stepButtons()]));
+    },
+    async text(ctx, session) {
+      const service = await orderService(ctx, session);
+      if (!service) return;
+      const retry = Markup.inlineKeyboard([stepButtons()]);
+      const qty = Number(ctx.message.text.trim());
+      if (!qty || qty <= 0 || !Number.isInteger(qty)) { await ctx.reply('❌ Invalid quantity. Enter a whole number.', retry); return; }
+      if (qty < service.min) { await ctx.reply(`❌ Minimum order is ${service.min}. Please enter a valid quantity.`, retry); return; }
+      if (qty > service.max) { await ctx.reply(`❌ Maximum order is ${service.max}. Please enter a valid quantity.`, retry); return; }
+
+      const link = session.data.link;
+      const dupe = await Orders.findOne({ user_id: ctx.from.id, link, service: service.key, status: { $in: OPEN_STATUSES } });
+      if (dupe) {
+        await leaveScene(ctx.from.id);
+        await ctx.reply('⚠️ Your previous order for this same link is not completed yet! Please wait until it completes before placing a new one.');
+        return;
+      }
+
+      const subtotal = calcCost(service, qty);
+      await enterScene(ctx, 'order:confirm', { service: service.key, link, qty, subtotal, discount: 0, cost: subtotal, coupon_code: null, draft_id: new ObjectId().toString() });
+    },
+    async back(ctx, session) {
+      await enterScene(ctx, 'order:link', { service: session.data.service });
+    }
+  };
+
+  scenes['order:confirm'] = {
+    async enter(ctx, data) {
+      const service = await getService(data.service);
+      const pricing = data.coupon_code
+        ? `💵 Price: ₹${data.subtotal}\n🏷 Coupon ${data.coupon_code}: -₹${data.discount}\n💰 Total Cost: ₹${data.cost}`
+        : `💰 Total Cost: ₹${data.cost}`;
+      const summary = `✅ Order Summary\n\n📸 Service: ${service.name}\n🔗 Link: ${data.link}\n📦 Quantity: ${data.qty}\n${pricing}\n\nConfirm order?`;
+      await ctx.reply(summary, Markup.inlineKeyboard([
+        [Markup.button.callback('✅ Confirm', `CONFIRM_ORDER:${data.draft_id}`)],
+        [data.coupon_code ? Markup.button.callback('🏷 Remove coupon', 'ORDER_COUPON_REMOVE') : Markup.button.callback('🏷 Apply coupon', 'ORDER_COUPON'), Markup.button.callback('⏰ Schedule', 'ORDER_SCHEDULE')],
+        stepButtons()
+      ]));
+    },
+    async text(ctx) {
+      await ctx.reply('Please use the ✅ Confirm or ❌ Cancel buttons above, or send /cancel.');
+    },
+    async back(ctx, session) {
+      const { service, link } = session.data;
+      await enterScene(ctx, 'order:qty', { service, link });
+    }
+  };
+
+  scenes['order:coupon'] = {
+    async enter(ctx) {
+      await ctx.reply('🏷 Send your coupon code:', Markup.inlineKeyboard([stepButtons()]));
+    },
+    async text(ctx, session) {
+      const data = session.data;
+      const check = await checkCoupon(ctx.message.text, ctx.from.id, 'order', data.subtotal, data.service);
+      if (check.error) {
+        await ctx.reply(`❌ ${check.error}`, Markup.inlineKeyboard([stepButtons()]));
+        return;
+      }
+      await enterScene(ctx, 'order:confirm', withDraft(data, check.coupon, check.discount));
+    },
+    async back(ctx, session) {
+      await enterScene(ctx, 'order:confirm', withDraft(session.data));
+    }
+  };
+
+  bot.action('ORDER_COUPON', async (ctx) => {
+    await ctx.answerCbQuery();
+    const session = await getSession(ctx.from.id);
+    if (!session || session.state !== 'order:confirm') return ctx.reply('⚠️ This order summary is no longer valid. Please start a new order.', mainKeyboard);
+    await enterScene(ctx, 'order:coupon', { ...session.data, draft_id: null });
+  });
+
+  bot.action('ORDER_COUPON_REMOVE', async (ctx) => {
+    await ctx.answerCbQuery();
+    const session = await getSession(ctx.from.id);
+    if (!session || session.state !== 'order:confirm') return ctx.reply('⚠️ This order summary is no longer valid. Please start a new order.', mainKeyboard);
+    await enterScene(ctx, 'order:confirm', withDraft(session.data));
+  });
+
+  async function startOrderFlow(ctx, key) {
+    const service = await getService(key);
+    if (!service || !service.enabled) return ctx.reply('❌ This service is not available right now.');
+    await enterScene(ctx, 'order:link', { service: key });
+  }
+
+  bot.action(/^ORDER:(.+)$/, async (ctx) => { await ctx.answerCbQuery(); await startOrderFlow(ctx, ctx.match[1]); });
+  bot.action('ORDER_LIKES', async (ctx) => { await ctx.answerCbQuery(); await startOrderFlow(ctx, 'likes'); });
+  bot.action('ORDER_VIEWS', async (ctx) => { await ctx.answerCbQuery(); await startOrderFlow(ctx, 'views'); });
+
+  // Claims the draft's coupon and takes its cost from the wallet, both keyed to
+  // the order id the draft will become. Returns { coupon } or
+  // { error: 'coupon' | 'balance' } with nothing charged.
+  async function chargeDraft(userId, data, orderRef) {
+    let coupon = null;
+    if (data.coupon_code) {
+      coupon = await Coupons.findOne({ code: data.coupon_code });
+      const redeemed = coupon && await redeemCoupon(coupon, userId, { order_id: orderRef }, data.discount);
+      if (!redeemed) return { error: 'coupon' };
+    }
+    // the conditional debit is what stops two fast confirms from spending the
+    // same balance twice
+    const debit = data.cost > 0
+      ? await walletDebit(userId, data.cost, TX_TYPES.ORDER_DEBIT, { ref_type: 'order', ref_id: orderRef, note: coupon ? `coupon ${coupon.code} -₹${data.discount}` : null }, { total_spent: data.cost })
+      : true;
+    if (!debit) {
+      if (coupon) await releaseCoupon(coupon, userId, { order_id: orderRef });
+      return { error: 'balance' };
+    }
+    return { coupon };
+  }
+
+  // Undoes chargeDraft for an order that was never placed.
+  async function releaseDraft(userId, data, orderRef, note) {
+    if (data.cost > 0) await walletCredit(userId, data.cost, TX_TYPES.REVERSAL, { ref_type: 'order', ref_id: orderRef, note }, { total_spent: -data.cost });
+    const coupon = data.coupon_code && await Coupons.findOne({ code: data.coupon_code });
+    if (coupon) await releaseCoupon(coupon, userId, { order_id: orderRef });
+  }
+
+  // Our own order number, from the `order_seq` setting. Provider order ids
+  // can repeat across providers and are missing on 'unknown' orders, so the
+  // reseller API hands out this one.
+  async function nextOrderNo() {
+    const seq = await Settings.findOneAndUpdate({ key: 'order_seq' }, { $inc: { value: 1 } }, { upsert: true, returnDocument: 'after' });
+    return seq.value;
+  }
+
+  // Runs at start: numbers orders from before order numbers, oldest first.
+  async function numberOrders() {
+    const unnumbered = await Orders.find({ order_no: { $exists: false } }, { projection: { _id: 1 } }).sort({ created_at: 1, _id: 1 }).toArray();
+    for (const o of unnumbered) await Orders.updateOne({ _id: o._id }, { $set: { order_no: await nextOrderNo() } });
+  }
+
+  async function orderDoc(orderRef, user, service, data, extra, prov, status) {
+    return {
+      _id: orderRef,
+      order_no: await nextOrderNo(),
+      order_id: prov.order_id || null,
+      user_id: user.id,
+      username: user.username || null,
+      service: service.key,
+      service_name: service.name,
+      provider: prov.provider || null,
+      provider_service_id: prov.provider_service_id || null,
+      link: data.link,
+      qty: data.qty,
+      subtotal: data.subtotal,
+      discount: data.discount || 0,
+      coupon_code: data.coupon_code || null,
+      cost: data.cost,
+      ...extra,
+      status,
+      status_history: [{ status, source: extra.source || 'bot', at: new Date() }],
+      provider_status: prov.response ? prov.response.status || null : null,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+  }
+
+  // Records a paid order that may or may not have reached the provider as
+  // 'unknown', so the money stays with it until an admin has checked and, if
+  // it was not placed, given it back with /refund <orderRef>. Admins are told
+  // by the caller.
+  async function recordUnknownOrder(orderRef, user, service, data, extra = {}, prov = {}) {
+    const order = await orderDoc(orderRef, user, service, data, extra, prov, 'unknown');
+    await Orders.insertOne(order);
+    log.warn('order outcome unknown', { order_ref: orderRef, order_user_id: user.id, provider: order.provider, service: service.key, cost: order.cost, source: extra.source || 'bot' });
+    return order;
+  }
+
+  // Sends an already-paid order to the provider and records it. Returns
+  // { order } or { error }; giving the money back is up to the caller, except
+  // with `unknown` set: the provider may have the order, so it is recorded as
+  // 'unknown' with the money held until an admin has checked.
+  async function submitOrder(orderRef, user, service, data, extra = {}) {
+    const prov = await placeProviderOrder(service, data.link, data.qty);
+    if (prov.unknown) {
+      const order = await recordUnknownOrder(orderRef, user, service, data, extra, prov);
+      await notifyAdmins(`⚠️ ${prov.provider} did not answer an order and may have placed it. Check with the provider; if it was not placed, refund it with /refund ${orderRef}\n\nuser ${user.id} | ${service.key} | ${data.link} | ${data.qty} | ₹${data.cost}`);
+      return { error: 'provider did not answer', unknown: true, order };
+    }
+    if (!prov.order_id) return { error: 'provider rejected order' };
+    const order = await orderDoc(orderRef, user, service, data, extra, prov, 'pending');
+    await Orders.insertOne(order);
+    await Users.updateOne({ user_id: user.id }, { $set: { last_order_at: new Date() }});
+    log.info('order placed', { order_id: order.order_id, order_user_id: user.id, provider: order.provider, service: service.key, qty: order.qty, cost: order.cost, source: extra.source || 'bot' });
+    return { order };
+  }
+
+  async function notifyGroupOfOrder(userId, what) {
+    const groupId = await getSetting('group_chat_id') || GROUP_CHAT_ID;
+    if (!groupId) return;
+    const gmsg = `📢 New Order Received!\n\n🆔 User ID: ${userId}\n${what}\n\n👉 You can also place your order now — ${BOT_USERNAME}`;
+    try { await bot.telegram.sendMessage(Number(groupId), gmsg); } catch (e) { log.error('group notify failed', { group_id: groupId, err: e }); }
+  }
+
+  bot.action(/^CONFIRM_ORDER:(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const draftId = ctx.match[1];
+    // consuming the session is what makes the draft single-use
+    const session = await Sessions.findOneAndDelete({
+      user_id: ctx.from.id,
+      state: 'order:confirm',
+      'data.draft_id': draftId,
+      expires_at: { $gt: new Date() }
+    });
+    if (!session || !ObjectId.isValid(draftId)) {
+      await ctx.reply('⚠️ This order summary is no longer valid. Please start a new order.', mainKeyboard);
+      return;
+    }
+    const data = session.data;
+    const service = await getService(data.service);
+    if (!service || !service.enabled) {
+      await ctx.reply('❌ This service is no longer available. Order cancelled.');
+      return;
+    }
+    const orderRef = new ObjectId(draftId);
+
+    // if the coupon ran out meanwhile, show the summary again at full price
+    // instead of silently charging more
+    const charge = await chargeDraft(ctx.from.id, data, orderRef);
+    if (charge.error === 'coupon') {
+      await ctx.reply(`❌ Coupon ${data.coupon_code} can no longer be used.`);
+      await enterScene(ctx, 'order:confirm', withDraft(data));
+      return;
+    }
+    if (charge.error) {
+      const fresh = await Users.findOne({ user_id: ctx.from.id }) || {};
+      await ctx.reply(`❌ Insufficient balance.\n💰 Your Balance: ₹${(fresh.balance||0)}\n🛒 Order Cost: ₹${data.cost}`);
+      return;
+    }
+
+    await ctx.reply('Placing your order... 🔄');
+
+    const { order, error, unknown } = await submitOrder(orderRef, ctx.from, service, data);
+    if (unknown) {
+      await ctx.reply(`⚠️ The provider did not confirm your order. Support will check whether it was placed; if it was not, ₹${data.cost} will be returned to your balance.`);
+      return;
+    }
+    if (error) {
+      await releaseDraft(ctx.from.id, data, orderRef, error);
+      await ctx.reply('❌ Failed to place order with provider. Please try again later.\nYour balance has not been charged.');
+      return;
+    }
+
+    const reply = `✅ Order Placed Successfully!\n\n📦 Order ID: ${order.order_id}\n📊 Service: ${service.name}\n🔗 Link: ${order.link}\n📈 Quantity: ${order.qty}\n💰 Cost: ₹${order.cost}`;
+    await ctx.reply(reply);
+    await notifyGroupOfOrder(ctx.from.id, `🛍️ Service: ${service.name}\n📦 Quantity: ${order.qty}`);
+  });
+
+  Object.assign(app, { orderService, chargeDraft, releaseDraft, submitOrder, recordUnknownOrder, numberOrders, notifyGroupOfOrder });
+}
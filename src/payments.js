@@ -0,0 +1,181 @@
+// ---------- Payment review (admin) ----------
+import { Markup } from 'telegraf';
+import { ObjectId } from 'mongodb';
+import { roundMoney } from './lib/pricing.js';
+import { TX_TYPES } from './lib/wallet.js';
+import { log } from './lib/log.js';
+
+function paymentReviewKeyboard(paymentId) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback('✅ Approve', `PAY_APPROVE:${paymentId}`), Markup.button.callback('❌ Reject', `PAY_REJECT:${paymentId}`)],
+    [Markup.button.callback('✏️ Approve different amount', `PAY_AMOUNT:${paymentId}`)]
+  ]);
+}
+
+export function parsePaymentId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+export function setupPayments(app) {
+  const { ADMIN_IDS, ADMIN_USERNAME, PAYMENT_EXPIRY_HOURS } = app.config;
+  const { bot, Users, Payments, walletCredit, checkCoupon, redeemCoupon, isAdmin, notifyUser } = app;
+
+  // Send the screenshot with review buttons to every admin chat and remember the
+  // message ids so all copies can be updated once one admin acts on it.
+  async function notifyAdminsOfPayment(paymentId, fileId, caption) {
+    const adminMessages = [];
+    for (const adminId of ADMIN_IDS) {
+      try {
+        const m = await bot.telegram.sendPhoto(adminId, fileId, { caption, ...paymentReviewKeyboard(paymentId) });
+        adminMessages.push({ chat_id: adminId, message_id: m.message_id });
+      } catch (e) { log.error('payment admin notify failed', { admin_id: adminId, payment_id: paymentId, err: e }); }
+    }
+    if (adminMessages.length) {
+      await Payments.updateOne({ _id: paymentId }, { $set: { admin_messages: adminMessages }});
+    }
+    return adminMessages.length > 0;
+  }
+
+  async function markAdminMessages(payment, outcome) {
+    for (const m of payment.admin_messages || []) {
+      try {
+        await bot.telegram.editMessageCaption(m.chat_id, m.message_id, undefined, `${outcome}\n\n🆔 User ID: ${payment.user_id}\n💰 Amount (User Wrote): ₹${payment.amount}\n🧾 Payment: ${payment._id}`);
+      } catch (e) { log.warn('payment admin message edit failed', { payment_id: payment._id, err: e }); }
+    }
+  }
+
+  // Move a pending payment to approved and credit the wallet. The state change is
+  // conditional on `pending`, so a payment can only ever be credited once no
+  // matter how many admins press the button.
+  async function approvePayment(paymentId, amount, admin) {
+    const amt = roundMoney(amount);
+    const payment = await Payments.findOneAndUpdate(
+      { _id: paymentId, state: 'pending' },
+      { $set: { state: 'approved', credited_amount: amt, decided_by: admin.id, decided_by_username: admin.username || null, decided_at: new Date(), updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!payment) return null;
+    const tx = await walletCredit(payment.user_id, amt, TX_TYPES.DEPOSIT, { ref_type: 'payment', ref_id: payment._id, actor_id: admin.id }, { total_deposited: amt });
+    await Users.updateOne({ user_id: payment.user_id, 'pending_payment.payment_id': payment._id }, { $unset: { pending_payment: '' }});
+    const bonus = payment.coupon_code ? await applyDepositCoupon(payment, amt) : null;
+    const adjusted = amt !== roundMoney(payment.amount) ? ` (you requested ₹${payment.amount})` : '';
+    const balanceAfter = (bonus && bonus.tx) || tx;
+    await notifyUser(payment.user_id, `✅ Your payment has been approved. ₹${amt} has been added to your balance${adjusted}.${bonus ? `\n${bonus.message}` : ''}\n💰 Balance: ₹${balanceAfter ? balanceAfter.balance_after.toFixed(2) : '-'}`);
+    await markAdminMessages(payment, `✅ Approved ₹${amt} by ${admin.username ? '@' + admin.username : admin.id}`);
+    return { payment, tx };
+  }
+
+  // Deposit coupons are only claimed once the deposit itself is approved.
+  async function applyDepositCoupon(payment, amount) {
+    const check = await checkCoupon(payment.coupon_code, payment.user_id, 'deposit', amount);
+    if (check.error) return { message: `🏷 Coupon ${payment.coupon_code} could not be applied: ${check.error}` };
+    if (!(check.discount > 0)) return null;
+    const redemption = await redeemCoupon(check.coupon, payment.user_id, { payment_id: payment._id }, check.discount);
+    if (!redemption) return { message: `🏷 Coupon ${payment.coupon_code} could not be applied: it is no longer available.` };
+    const tx = await walletCredit(payment.user_id, check.discount, TX_TYPES.DEPOSIT_BONUS, { ref_type: 'payment', ref_id: payment._id, note: `coupon ${check.coupon.code}` });
+    await Payments.updateOne({ _id: payment._id }, { $set: { bonus_amount: check.discount } });
+    return { tx, message: `🏷 Coupon ${check.coupon.code}: +₹${check.discount} bonus!` };
+  }
+
+  async function rejectPayment(paymentId, admin) {
+    const payment = await Payments.findOneAndUpdate(
+      { _id: paymentId, state: 'pending' },
+      { $set: { state: 'rejected', decided_by: admin.id, decided_by_username: admin.username || null, decided_at: new Date(), updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!payment) return null;
+    await Users.updateOne({ user_id: payment.user_id, 'pending_payment.payment_id': payment._id }, { $unset: { pending_payment: '' }});
+    await notifyUser(payment.user_id, `❌ Your payment request of ₹${payment.amount} was rejected. If you think this is a mistake, contact ${ADMIN_USERNAME}.`);
+    await markAdminMessages(payment, `❌ Rejected by ${admin.username ? '@' + admin.username : admin.id}`);
+    return payment;
+  }
+
+  async function paymentDecidedReply(ctx, paymentId) {
+    const p = await Payments.findOne({ _id: paymentId });
+    await ctx.reply(p ? `This payment is already ${p.state}.` : 'Payment not found.');
+  }
+
+  bot.action(/PAY_APPROVE:(.+)/, async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.answerCbQuery('Not authorized');
+    await ctx.answerCbQuery();
+    const paymentId = parsePaymentId(ctx.match[1]);
+    const pending = paymentId && await Payments.findOne({ _id: paymentId });
+    if (!pending || pending.state !== 'pending') return paymentDecidedReply(ctx, paymentId);
+    const res = await approvePayment(paymentId, pending.amount, ctx.from);
+    if (!res) return paymentDecidedReply(ctx, paymentId);
+    await ctx.reply(`✅ Approved ₹${res.payment.credited_amount} for ${res.payment.user_id}.`);
+  });
+
+  bot.action(/PAY_REJECT:(.+)/, async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.answerCbQuery('Not authorized');
+    await ctx.answerCbQuery();
+    const paymentId = parsePaymentId(ctx.match[1]);
+    const payment = paymentId && await rejectPayment(paymentId, ctx.from);
+    if (!payment) return paymentDecidedReply(ctx, paymentId);
+    await ctx.reply(`❌ Rejected payment ${payment._id} from ${payment.user_id}.`);
+  });
+
+  // Asks for the amount with a forced reply; the reply is matched back to the
+  // payment through the id in the prompt text, so no per-admin state is kept.
+  bot.action(/PAY_AMOUNT:(.+)/, async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.answerCbQuery('Not authorized');
+    await ctx.answerCbQuery();
+    const paymentId = parsePaymentId(ctx.match[1]);
+    const payment = paymentId && await Payments.findOne({ _id: paymentId });
+    if (!payment || payment.state !== 'pending') return paymentDecidedReply(ctx, paymentId);
+    await ctx.reply(`✏️ Reply to this message with the amount to credit for payment ${payment._id} (user wrote ₹${payment.amount}).`, { reply_markup: { force_reply: true } });
+  });
+
+  bot.on('text', async (ctx, next) => {
+    const replyTo = ctx.message.reply_to_message;
+    const m = replyTo && replyTo.text && replyTo.text.match(/amount to credit for payment ([0-9a-f]{24})/);
+    if (!m || !isAdmin(ctx.from.id)) return next();
+    const amount = Number(ctx.message.text.trim());
+    if (!amount || amount <= 0) return ctx.reply('❌ Invalid amount. Reply to the prompt again with a positive number.');
+    const paymentId = new ObjectId(m[1]);
+    const res = await approvePayment(paymentId, amount, ctx.from);
+    if (!res) return paymentDecidedReply(ctx, paymentId);
+    await ctx.reply(`✅ Approved ₹${res.payment.credited_amount} for ${res.payment.user_id} (requested ₹${res.payment.amount}).`);
+  });
+
+  bot.command('payments', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const parts = ctx.message.text.split(' ').filter(Boolean);
+    const state = parts[1] || 'pending';
+    if (!['pending', 'approved', 'rejected', 'expired'].includes(state)) return ctx.reply('Usage: /payments <pending|approved|rejected|expired>');
+    const list = await Payments.find({ state }).sort({ created_at: -1 }).limit(20).toArray();
+    if (!list.length) return ctx.reply(`No ${state} payments.`);
+    let text = `🧾 ${state} payments (latest ${list.length}):\n\n`;
+    for (const p of list) {
+      text += `${p._id} | ${p.user_id} @${p.username || '-'} | ₹${p.amount}`;
+      if (p.credited_amount != null) text += ` → ₹${p.credited_amount}`;
+      if (p.decided_by) text += ` | by ${p.decided_by}`;
+      if (state === 'pending') text += p.screenshot_file_id ? ' | 🖼' : ' | no screenshot';
+      text += `\n`;
+    }
+    await ctx.reply(text);
+    if (state === 'pending') {
+      for (const p of list.filter(p => p.screenshot_file_id).slice(0, 5)) {
+        try {
+          await ctx.replyWithPhoto(p.screenshot_file_id, { caption: `🧾 Payment ${p._id}\n🆔 User ID: ${p.user_id}\n💰 Amount: ₹${p.amount}`, ...paymentReviewKeyboard(p._id) });
+        } catch (e) { log.warn('payments list photo failed', { payment_id: p._id, err: e }); }
+      }
+    }
+  });
+
+  // Pending requests that nobody acted on are closed after PAYMENT_EXPIRY_HOURS.
+  async function expireStalePayments() {
+    try {
+      const cutoff = new Date(Date.now() - PAYMENT_EXPIRY_HOURS * 60 * 60 * 1000);
+      const stale = await Payments.find({ state: 'pending', created_at: { $lt: cutoff } }).toArray();
+      for (const p of stale) {
+        const res = await Payments.updateOne({ _id: p._id, state: 'pending' }, { $set: { state: 'expired', decided_at: new Date(), updated_at: new Date() }});
+        if (!res.modifiedCount) continue;
+        await Users.updateOne({ user_id: p.user_id, 'pending_payment.payment_id': p._id }, { $unset: { pending_payment: '' }});
+        await markAdminMessages(p, '⌛ Expired');
+      }
+    } catch (e) { log.error('payment expiry failed', { err: e }); }
+  }
+
+  Object.assign(app, { notifyAdminsOfPayment, approvePayment, rejectPayment, expireStalePayments });
+}
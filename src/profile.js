@@ -0,0 +1,27 @@
+// ---------- Profile ----------
+import { formatTransactions } from './lib/wallet.js';
+
+export function setupProfile(app) {
+  const { bot, Users, Orders, Transactions } = app;
+
+  bot.action('MY_PROFILE', async (ctx) => {
+    await ctx.answerCbQuery();
+    const user = await Users.findOne({ user_id: ctx.from.id }) || {};
+    const completed = await Orders.countDocuments({ user_id: ctx.from.id, status: 'completed' });
+    const pending = await Orders.countDocuments({ user_id: ctx.from.id, status: { $in: ['pending','processing'] } });
+    const text = `👤 Username: @${ctx.from.username || 'NoUsername'}\n💰 Balance: ₹${(user.balance||0).toFixed(2)}\n📦 Total Orders: ${completed + pending}\n✅ Completed: ${completed}\n⏳ Pending: ${pending}`;
+    await ctx.reply(text);
+  });
+  bot.command('profile', async (ctx) => {
+    const user = await Users.findOne({ user_id: ctx.from.id }) || {};
+    const completed = await Orders.countDocuments({ user_id: ctx.from.id, status: 'completed' });
+    const pending = await Orders.countDocuments({ user_id: ctx.from.id, status: { $in: ['pending','processing'] } });
+    const text = `👤 Username: @${ctx.from.username || 'NoUsername'}\n💰 Balance: ₹${(user.balance||0).toFixed(2)}\n📦 Total Orders: ${completed + pending}\n✅ Completed: ${completed}\n⏳ Pending: ${pending}`;
+    await ctx.reply(text);
+  });
+  bot.command('history', async (ctx) => {
+    const txs = await Transactions.find({ user_id: ctx.from.id }).sort({ created_at: -1 }).limit(15).toArray();
+    if (!txs.length) return ctx.reply('No wallet transactions yet.');
+    await ctx.reply(`📒 Your recent wallet transactions:\n\n${formatTransactions(txs)}`);
+  });
+}
@@ -0,0 +1,206 @@
+// ---------- Provider registry ----------
+// Upstream SMM panels live in `providers`, tried in the order each service's
+// `routes` lists them. Every call is recorded in a short rolling window so
+// /providers can show an error rate and failing panels can be demoted.
+import fetch from 'node-fetch';
+import { log } from './lib/log.js';
+
+// Speaks the standard SMM panel v2 API: a form POST of key, action and params.
+// Point a provider's url at scripts/mock-provider.js to work against a local
+// stand-in; tests can pass createApp their own client instead.
+export const httpSmmClient = {
+  async request(provider, action, params = {}) {
+    const body = new URLSearchParams();
+    body.append('key', provider.key);
+    body.append('action', action);
+    for (const [k, v] of Object.entries(params)) body.append(k, String(v));
+    const res = await fetch(provider.url, { method: 'POST', body });
+    return res.json();
+  }
+};
+
+export const DEFAULT_PROVIDER = 'viralsmm';
+const PROVIDER_WINDOW = 20;        // calls kept per provider for the error rate
+const PROVIDER_DOWN_STREAK = 3;    // consecutive failures before a provider is 'down'
+const PROVIDER_NAME_RE = /^[a-z0-9_-]{1,20}$/;
+
+export function providerErrorRate(p) {
+  const recent = p.recent || [];
+  return recent.length ? recent.filter(c => !c.ok).length / recent.length : 0;
+}
+
+export function formatRoutes(routes) {
+  return (routes || []).map(r => `${r.provider}#${r.service_id}`).join(' → ') || 'no routes';
+}
+
+const PROVIDER_USAGE = 'Usage:\n/provider add <name> <url> <apiKey> [priority]\n/provider edit <name> <url|key|priority> <value>\n/provider disable <name>\n/provider enable <name>';
+
+export function setupProviders(app) {
+  const { VIRALSMM_API_URL, VIRALSMM_API_KEY } = app.config;
+  const { bot, smm, Orders, Providers, metrics, notifyAdmins, isAdmin } = app;
+
+  async function seedProviders() {
+    if (await Providers.countDocuments() > 0) return;
+    await Providers.insertOne({
+      name: DEFAULT_PROVIDER,
+      url: VIRALSMM_API_URL,
+      key: VIRALSMM_API_KEY,
+      priority: 1,
+      enabled: true,
+      health: 'healthy',
+      fail_streak: 0,
+      recent: [],
+      created_at: new Date()
+    });
+    // orders placed before the registry existed all went to the env provider
+    await Orders.updateMany({ provider: { $exists: false } }, { $set: { provider: DEFAULT_PROVIDER } });
+  }
+
+  async function getProviders(filter = {}) {
+    return Providers.find(filter).sort({ priority: 1, name: 1 }).toArray();
+  }
+  async function getProvider(name) {
+    return Providers.findOne({ name });
+  }
+
+  async function recordProviderCall(provider, ok, error) {
+    const update = { $push: { recent: { $each: [{ ok, at: new Date() }], $slice: -PROVIDER_WINDOW } } };
+    if (ok) update.$set = { fail_streak: 0 };
+    else {
+      update.$inc = { fail_streak: 1 };
+      update.$set = { last_error: error, last_error_at: new Date() };
+    }
+    const p = await Providers.findOneAndUpdate({ _id: provider._id }, update, { returnDocument: 'after' });
+    if (!p) return;
+    const health = p.fail_streak >= PROVIDER_DOWN_STREAK ? 'down' : providerErrorRate(p) > 0.2 ? 'degraded' : 'healthy';
+    if (health !== p.health) {
+      await Providers.updateOne({ _id: p._id }, { $set: { health, health_changed_at: new Date() }});
+      if (health === 'down') await notifyAdmins(`🚨 Provider ${p.name} is down: ${error}`);
+      else if (p.health === 'down') await notifyAdmins(`✅ Provider ${p.name} is responding again (${health}).`);
+    }
+  }
+
+  // Every provider call goes through here so that it counts towards health;
+  // `record: false` keeps background polls out of the health window.
+  async function providerCall(provider, action, params = {}, { record = true } = {}) {
+    let json = null;
+    let error = null;
+    const started = Date.now();
+    try {
+      json = await smm.request(provider, action, params);
+      if (json && json.error) error = String(json.error);
+    } catch (e) {
+      log.error('provider call failed', { provider: provider.name, action, err: e });
+      error = e.message;
+    }
+    const seconds = (Date.now() - started) / 1000;
+    metrics.providerLatency.observe({ provider: provider.name, action }, seconds);
+    metrics.providerRequests.inc({ provider: provider.name, action, outcome: error ? 'error' : 'ok' });
+    if (error) log.warn('provider call returned an error', { provider: provider.name, action, error, duration_sec: seconds });
+    if (record) {
+      try { await recordProviderCall(provider, !error, error); } catch (e) { log.error('provider stats update failed', { provider: provider.name, err: e }); }
+    }
+    return json;
+  }
+  async function providerServices(provider) {
+    return providerCall(provider, 'services');
+  }
+  async function providerBalance(provider, options) {
+    return providerCall(provider, 'balance', {}, options);
+  }
+
+  // Try each of the service's routes in turn until one provider accepts the
+  // order. Providers that are currently down are kept as a last resort. Only an
+  // explicit `{ error }` moves on to the next route: after a timeout or an
+  // answer without an order id the provider may have taken the order anyway,
+  // so that comes back as `{ unknown: true }` instead of being placed twice.
+  async function placeProviderOrder(service, link, quantity) {
+    const providers = new Map((await getProviders({ enabled: true })).map(p => [p.name, p]));
+    const routes = (service.routes || []).filter(r => providers.has(r.provider));
+    routes.sort((a, b) => (providers.get(a.provider).health === 'down') - (providers.get(b.provider).health === 'down'));
+    const errors = [];
+    for (const r of routes) {
+      const provider = providers.get(r.provider);
+      const res = await providerCall(provider, 'add', { service: r.service_id, link, quantity });
+      const orderId = res && (res.order || res.id);
+      if (orderId) return { provider: provider.name, provider_service_id: r.service_id, order_id: orderId, response: res };
+      if (!res || !res.error) {
+        errors.push(`${provider.name}: no response`);
+        log.error('provider outcome unknown, not failing over', { service: service.key, provider: provider.name, errors });
+        return { unknown: true, provider: provider.name, provider_service_id: r.service_id, errors };
+      }
+      errors.push(`${provider.name}: ${res.error}`);
+    }
+    if (!routes.length) errors.push('no enabled provider route');
+    log.error('no provider accepted the order', { service: service.key, errors });
+    return { errors };
+  }
+
+  bot.command('providers', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const list = await getProviders();
+    if (!list.length) return ctx.reply('No providers configured. Use /provider add');
+    await ctx.reply('Checking provider balances... 🔄');
+    let text = '🔌 Providers:\n\n';
+    for (const p of list) {
+      const bal = p.enabled ? await providerBalance(p) : null;
+      const fresh = await getProvider(p.name) || p;
+      const balText = bal && bal.balance != null ? `${bal.balance} ${bal.currency || ''}`.trim() : 'unavailable';
+      const icon = !p.enabled ? '⚪' : fresh.health === 'down' ? '🔴' : fresh.health === 'degraded' ? '🟡' : '🟢';
+      text += `${icon} ${p.name} (priority ${p.priority})\n`;
+      text += `   💰 Balance: ${balText}\n`;
+      text += `   📉 Errors: ${Math.round(providerErrorRate(fresh) * 100)}% of last ${(fresh.recent || []).length} calls\n`;
+      if (fresh.last_error) text += `   ⚠️ Last error: ${fresh.last_error} (${fresh.last_error_at.toLocaleString()})\n`;
+    }
+    await ctx.reply(text);
+  });
+
+  // The /provider message holds the API key. Returns a note asking the admin
+  // to delete it by hand when the bot cannot.
+  async function deleteKeyMessage(ctx) {
+    try {
+      await ctx.deleteMessage();
+      return '';
+    } catch (e) {
+      log.warn('provider key message delete failed', { err: e });
+      return '\n\n⚠️ Could not delete your message with the API key. Please delete it yourself.';
+    }
+  }
+
+  bot.command('provider', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const [, sub, name, ...rest] = ctx.message.text.split(' ').filter(Boolean);
+    if (!sub || !name) return ctx.reply(PROVIDER_USAGE);
+
+    if (sub === 'add') {
+      const [url, key, priority] = rest;
+      if (!PROVIDER_NAME_RE.test(name) || !url || !key) return ctx.reply(PROVIDER_USAGE);
+      if (!/^https?:\/\//.test(url)) return ctx.reply('❌ URL must start with http:// or https://');
+      if (await getProvider(name)) return ctx.reply(`❌ Provider "${name}" already exists.`);
+      await Providers.insertOne({ name, url, key, priority: Number(priority) || 10, enabled: true, health: 'healthy', fail_streak: 0, recent: [], created_at: new Date() });
+      const note = await deleteKeyMessage(ctx);
+      return ctx.reply(`✅ Provider ${name} added. Route services to it with /service route.${note}`);
+    }
+
+    if (sub === 'edit') {
+      const [field, value] = rest;
+      if (!['url', 'key', 'priority'].includes(field) || value == null) return ctx.reply(PROVIDER_USAGE);
+      const v = field === 'priority' ? Number(value) : value;
+      if (field === 'priority' && isNaN(v)) return ctx.reply('❌ Invalid priority.');
+      const res = await Providers.updateOne({ name }, { $set: { [field]: v } });
+      if (!res.matchedCount) return ctx.reply(`Unknown provider "${name}".`);
+      const note = field === 'key' ? await deleteKeyMessage(ctx) : '';
+      return ctx.reply(`✅ ${name}.${field} updated${note}`);
+    }
+
+    if (sub === 'disable' || sub === 'enable') {
+      const res = await Providers.updateOne({ name }, { $set: { enabled: sub === 'enable' } });
+      if (!res.matchedCount) return ctx.reply(`Unknown provider "${name}".`);
+      return ctx.reply(`✅ ${name} ${sub}d`);
+    }
+
+    return ctx.reply(PROVIDER_USAGE);
+  });
+
+  Object.assign(app, { seedProviders, getProviders, getProvider, providerCall, providerServices, providerBalance, placeProviderOrder });
+}
@@ -0,0 +1,88 @@
+// ---------- Referral program ----------
+// New users who arrive through /start ref_<userid> are linked to that referrer
+// for good. Whenever one of their orders completes, the referrer earns the
+// `referral_commission_pct` setting's share of what the order finally cost.
+// Setting `referral_paused` stops new payouts without losing the links.
+import { roundMoney } from './lib/pricing.js';
+import { TX_TYPES, referralCommission } from './lib/wallet.js';
+
+const REFERRAL_CHAIN_DEPTH = 20;   // how far up the referrer chain the loop check walks
+
+export function setupReferrals(app) {
+  const { bot, Users, Orders, Transactions, getSetting, walletCredit, isAdmin, setSetting, notifyUser } = app;
+
+  async function getReferralSettings() {
+    const pct = Number(await getSetting('referral_commission_pct'));
+    const paused = Boolean(await getSetting('referral_paused'));
+    return { pct: isNaN(pct) ? 0 : pct, paused };
+  }
+
+  // Link a freshly created user to their referrer, refusing self-referrals,
+  // unknown referrers and anything that would make a referral loop.
+  async function attachReferrer(userId, payload) {
+    const m = /^ref_(\d+)$/.exec(payload || '');
+    if (!m) return null;
+    const referrerId = Number(m[1]);
+    if (referrerId === userId) return null;
+    let cursor = await Users.findOne({ user_id: referrerId });
+    if (!cursor) return null;
+    const referrer = cursor;
+    for (let depth = 0; cursor && cursor.referred_by && depth < REFERRAL_CHAIN_DEPTH; depth++) {
+      if (cursor.referred_by === userId) return null;
+      cursor = await Users.findOne({ user_id: cursor.referred_by });
+    }
+    const res = await Users.updateOne({ user_id: userId, referred_by: null }, { $set: { referred_by: referrerId, referred_at: new Date() } });
+    if (!res.modifiedCount) return null;
+    await Users.updateOne({ user_id: referrerId }, { $inc: { referral_count: 1 } });
+    return referrer;
+  }
+
+  // Pays the referrer once per order; the `referral_paid` flag is claimed in the
+  // same update that checks it, so a re-run of the checker cannot pay twice.
+  async function payReferralCommission(order) {
+    const { pct, paused } = await getReferralSettings();
+    if (paused || !(pct > 0)) return null;
+    const buyer = await Users.findOne({ user_id: order.user_id });
+    if (!buyer || !buyer.referred_by) return null;
+    const referrer = await Users.findOne({ user_id: buyer.referred_by });
+    if (!referrer || referrer.banned) return null;
+    const { spend, commission } = referralCommission(order, pct);
+    if (!(commission > 0)) return null;
+    const claimed = await Orders.updateOne({ _id: order._id, referral_paid: { $ne: true } }, { $set: { referral_paid: true, referral_commission: commission, referrer_id: referrer.user_id } });
+    if (!claimed.modifiedCount) return null;
+    const tx = await walletCredit(referrer.user_id, commission, TX_TYPES.REFERRAL_COMMISSION, { ref_type: 'order', ref_id: order._id, note: `${pct}% of ₹${spend} from ${order.user_id}` }, { referral_earnings: commission });
+    await notifyUser(referrer.user_id, `🎁 You earned ₹${commission} referral commission from a friend's order!`);
+    return tx;
+  }
+
+  async function showReferral(ctx) {
+    const user = await Users.findOne({ user_id: ctx.from.id }) || {};
+    const { pct, paused } = await getReferralSettings();
+    const link = `https://t.me/${ctx.botInfo.username}?start=ref_${ctx.from.id}`;
+    const terms = paused ? '⏸ Referral rewards are paused right now.' : `Earn ${pct}% of every completed order your friends place.`;
+    await ctx.reply(`🎁 Refer & Earn\n\n${terms}\n\n🔗 Your link:\n${link}\n\n👥 Referrals: ${user.referral_count || 0}\n💰 Earned: ₹${(user.referral_earnings || 0).toFixed(2)}`, { disable_web_page_preview: true });
+  }
+
+  bot.action('REFER', async (ctx) => { await ctx.answerCbQuery(); await showReferral(ctx); });
+  bot.command('refer', showReferral);
+
+  bot.command('referral', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const arg = ctx.message.text.split(' ').filter(Boolean)[1];
+    if (arg === 'pause' || arg === 'resume') {
+      await setSetting('referral_paused', arg === 'pause');
+    } else if (arg != null) {
+      const pct = Number(arg);
+      if (isNaN(pct) || pct < 0 || pct > 100) return ctx.reply('Usage: /referral <percent|pause|resume>');
+      await setSetting('referral_commission_pct', pct);
+    }
+    const { pct, paused } = await getReferralSettings();
+    const [referred, paid] = await Promise.all([
+      Users.countDocuments({ referred_by: { $ne: null } }),
+      Transactions.aggregate([{ $match: { type: TX_TYPES.REFERRAL_COMMISSION } }, { $group: { _id: null, total: { $sum: '$amount' } } }]).toArray()
+    ]);
+    ctx.reply(`🎁 Referral program: ${paused ? '⏸ paused' : '▶️ active'}\nCommission: ${pct}%\nReferred users: ${referred}\nPaid out: ₹${roundMoney(paid[0] ? paid[0].total : 0)}\n\nUsage: /referral <percent|pause|resume>`);
+  });
+
+  Object.assign(app, { attachReferrer, payReferralCommission });
+}
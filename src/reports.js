@@ -0,0 +1,254 @@
+// ---------- Reports ----------
+// /report and the daily summary share buildReport. Money figures follow the
+// dashboard: revenue is what users paid for orders placed in the period net
+// of refunds, provider cost is the charge the provider reported, and the
+// margin is the difference. Deposits count by approval time, refunds by the
+// time the ledger entry was written.
+import { roundMoney } from './lib/pricing.js';
+import { TX_TYPES } from './lib/wallet.js';
+import { log } from './lib/log.js';
+
+const REPORT_TOP_CUSTOMERS = 3;   // per service
+const EXPORT_MAX_ROWS = 50000;
+// days are the server's days everywhere, in the database's grouping too
+const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+function startOfDay(d) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+function addDays(d, n) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+}
+
+function formatDay(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// day | yesterday | week | month | <YYYY-MM-DD> <YYYY-MM-DD> (inclusive),
+// in server time. Returns { from, to, label } or null.
+export function parseReportRange(args) {
+  const today = startOfDay(new Date());
+  const [a, b] = args;
+  if (!a || a === 'day' || a === 'today') return { from: today, to: addDays(today, 1), label: 'today' };
+  if (a === 'yesterday') return { from: addDays(today, -1), to: today, label: 'yesterday' };
+  if (a === 'week') return { from: addDays(today, -6), to: addDays(today, 1), label: 'last 7 days' };
+  if (a === 'month') return { from: addDays(today, -29), to: addDays(today, 1), label: 'last 30 days' };
+  const day = s => {
+    const m = String(s || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+  };
+  const from = day(a);
+  const to = day(b || a);
+  if (!from || !to || to < from) return null;
+  return { from, to: addDays(to, 1), label: b ? `${a} to ${b}` : a };
+}
+
+// ----- CSV exports -----
+function csvCell(v) {
+  if (v == null) return '';
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === 'number' || typeof v === 'boolean') return String(v);
+  let s = String(v);
+  // keep spreadsheet apps from running cell contents as formulas
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function setupReports(app) {
+  const { DAILY_REPORT_HOUR, GROUP_CHAT_ID } = app.config;
+  const { bot, Users, Orders, Settings, Transactions, Payments, isAdmin, notifyAdmins, getSetting } = app;
+
+  let dailyReportBusy = false;
+
+  async function buildReport(from, to) {
+    const range = { $gte: from, $lt: to };
+    const [orders] = await Orders.aggregate([
+      { $match: { created_at: range } },
+      { $addFields: { net: { $subtract: ['$cost', { $ifNull: ['$refunded_amount', 0] }] } } },
+      { $facet: {
+        totals: [{ $group: { _id: null, orders: { $sum: 1 }, revenue: { $sum: '$net' }, provider_cost: { $sum: { $ifNull: ['$provider_charge', 0] } }, discounts: { $sum: { $ifNull: ['$discount', 0] } } } }],
+        statuses: [{ $group: { _id: '$status', n: { $sum: 1 } } }, { $sort: { n: -1 } }],
+        services: [
+          { $group: { _id: { service: '$service', user_id: '$user_id' }, name: { $first: { $ifNull: ['$service_name', '$service'] } }, username: { $first: '$username' }, spend: { $sum: '$net' }, orders: { $sum: 1 } } },
+          { $sort: { spend: -1 } },
+          { $group: { _id: '$_id.service', name: { $first: '$name' }, revenue: { $sum: '$spend' }, orders: { $sum: '$orders' }, customers: { $push: { user_id: '$_id.user_id', username: '$username', spend: '$spend', orders: '$orders' } } } },
+          { $project: { name: 1, revenue: 1, orders: 1, customers: { $slice: ['$customers', REPORT_TOP_CUSTOMERS] } } },
+          { $sort: { revenue: -1 } }
+        ]
+      } }
+    ]).toArray();
+    const [deposits] = await Payments.aggregate([
+      { $match: { state: 'approved', decided_at: range } },
+      { $group: { _id: null, n: { $sum: 1 }, amount: { $sum: '$credited_amount' }, bonus: { $sum: { $ifNull: ['$bonus_amount', 0] } } } }
+    ]).toArray();
+    const [refunds] = await Transactions.aggregate([
+      { $match: { type: TX_TYPES.REFUND, created_at: range } },
+      { $group: { _id: null, n: { $sum: 1 }, amount: { $sum: '$amount' } } }
+    ]).toArray();
+    const newUsers = await Users.countDocuments({ joined_at: range });
+
+    const totals = orders.totals[0] || {};
+    const revenue = roundMoney(totals.revenue || 0);
+    const providerCost = roundMoney(totals.provider_cost || 0);
+    return {
+      from, to,
+      orders: totals.orders || 0,
+      revenue,
+      provider_cost: providerCost,
+      gross_margin: roundMoney(revenue - providerCost),
+      discounts: roundMoney(totals.discounts || 0),
+      statuses: Object.fromEntries(orders.statuses.map(s => [s._id, s.n])),
+      deposits: { count: deposits ? deposits.n : 0, amount: roundMoney(deposits ? deposits.amount : 0), bonus: roundMoney(deposits ? deposits.bonus : 0) },
+      refunds: { count: refunds ? refunds.n : 0, amount: roundMoney(refunds ? refunds.amount : 0) },
+      new_users: newUsers,
+      services: orders.services.map(s => ({
+        service: s._id,
+        name: s.name,
+        orders: s.orders,
+        revenue: roundMoney(s.revenue),
+        top_customers: s.customers.map(c => ({ ...c, spend: roundMoney(c.spend) }))
+      }))
+    };
+  }
+
+  // Customer ids and usernames are left out where the text goes to the group.
+  function formatReport(r, label, { customers = true } = {}) {
+    const pct = r.revenue ? ` (${Math.round(r.gross_margin / r.revenue * 100)}%)` : '';
+    let text = `📈 Report: ${label}\n${formatDay(r.from)} – ${formatDay(addDays(r.to, -1))}\n\n`;
+    text += `📦 Orders: ${r.orders}${Object.keys(r.statuses).length ? ` (${Object.entries(r.statuses).map(([s, n]) => `${s} ${n}`).join(', ')})` : ''}\n`;
+    text += `💰 Revenue: ₹${r.revenue.toFixed(2)}${r.discounts ? ` after ₹${r.discounts.toFixed(2)} coupon discounts` : ''}\n`;
+    text += `🏭 Provider cost: ₹${r.provider_cost.toFixed(2)}\n`;
+    text += `📊 Gross margin: ₹${r.gross_margin.toFixed(2)}${pct}\n`;
+    text += `🧾 Deposits approved: ${r.deposits.count} (₹${r.deposits.amount.toFixed(2)}${r.deposits.bonus ? ` + ₹${r.deposits.bonus.toFixed(2)} bonus` : ''})\n`;
+    text += `💸 Refunds issued: ${r.refunds.count} (₹${r.refunds.amount.toFixed(2)})\n`;
+    text += `👥 New users: ${r.new_users}\n`;
+    if (r.services.length) {
+      text += `\n🛍 By service:\n`;
+      for (const s of r.services.slice(0, 10)) {
+        text += `• ${s.name}: ${s.orders} orders, ₹${s.revenue.toFixed(2)}\n`;
+        if (customers) text += s.top_customers.map(c => `    ${c.username ? '@' + c.username : c.user_id}: ₹${c.spend.toFixed(2)} (${c.orders})`).join('\n') + '\n';
+      }
+    }
+    return text;
+  }
+
+  bot.command('report', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const range = parseReportRange(ctx.message.text.split(' ').filter(Boolean).slice(1));
+    if (!range) return ctx.reply('Usage: /report [day|yesterday|week|month|<YYYY-MM-DD> [YYYY-MM-DD]]');
+    const report = await buildReport(range.from, range.to);
+    ctx.reply(formatReport(report, range.label));
+  });
+
+  const EXPORTS = {
+    orders: {
+      collection: () => Orders,
+      dateField: 'created_at',
+      columns: ['created_at', 'order_id', '_id', 'user_id', 'username', 'service', 'provider', 'provider_service_id', 'link', 'qty', 'subtotal', 'discount', 'coupon_code', 'cost', 'refunded_amount', 'provider_charge', 'status', 'finished_at']
+    },
+    payments: {
+      collection: () => Payments,
+      dateField: 'created_at',
+      columns: ['created_at', '_id', 'user_id', 'username', 'amount', 'state', 'credited_amount', 'bonus_amount', 'coupon_code', 'decided_by', 'decided_at']
+    },
+    ledger: {
+      collection: () => Transactions,
+      dateField: 'created_at',
+      columns: ['created_at', '_id', 'user_id', 'type', 'amount', 'balance_after', 'ref_type', 'ref_id', 'note', 'actor_id']
+    }
+  };
+
+  // Returns { csv, rows, truncated }.
+  async function buildExport(kind, from, to) {
+    const spec = EXPORTS[kind];
+    const lines = [spec.columns.join(',')];
+    const cursor = spec.collection().find({ [spec.dateField]: { $gte: from, $lt: to } }).sort({ [spec.dateField]: 1 }).limit(EXPORT_MAX_ROWS + 1);
+    let rows = 0;
+    for await (const doc of cursor) {
+      if (rows === EXPORT_MAX_ROWS) return { csv: lines.join('\n') + '\n', rows, truncated: true };
+      lines.push(spec.columns.map(c => csvCell(doc[c])).join(','));
+      rows++;
+    }
+    return { csv: lines.join('\n') + '\n', rows, truncated: false };
+  }
+
+  // /export <orders|payments|ledger|all> [range as for /report]
+  bot.command('export', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const [kind, ...rest] = ctx.message.text.split(' ').filter(Boolean).slice(1);
+    const kinds = kind === 'all' ? Object.keys(EXPORTS) : [kind];
+    const range = parseReportRange(rest);
+    if (!kind || !kinds.every(k => EXPORTS[k]) || !range) {
+      return ctx.reply(`Usage: /export <${Object.keys(EXPORTS).join('|')}|all> [day|yesterday|week|month|<YYYY-MM-DD> [YYYY-MM-DD]]`);
+    }
+    const stamp = `${formatDay(range.from)}_${formatDay(addDays(range.to, -1))}`;
+    for (const k of kinds) {
+      const { csv, rows, truncated } = await buildExport(k, range.from, range.to);
+      const note = truncated ? `\n⚠️ Only the first ${EXPORT_MAX_ROWS} rows; narrow the range for the rest.` : '';
+      await ctx.replyWithDocument({ source: Buffer.from(csv), filename: `${k}_${stamp}.csv` }, { caption: `${k}: ${rows} row(s), ${range.label}${note}` });
+    }
+  });
+
+  // ----- Daily summary -----
+  // Checked every 10 minutes; the first check after DAILY_REPORT_HOUR sends
+  // yesterday's report. The `daily_report_sent` setting holds the last day
+  // reported so a restart does not send it twice.
+  async function sendDailyReport() {
+    if (DAILY_REPORT_HOUR < 0 || dailyReportBusy) return;
+    const now = new Date();
+    if (now.getHours() < DAILY_REPORT_HOUR) return;
+    dailyReportBusy = true;
+    try {
+      const today = startOfDay(now);
+      const day = addDays(today, -1);
+      const key = formatDay(day);
+      if (await getSetting('daily_report_sent') === key) return;
+      // built before claiming the day, so a failure here is retried on the next check
+      const report = await buildReport(day, today);
+      const adminText = formatReport(report, `daily summary ${key}`);
+      const groupText = formatReport(report, `daily summary ${key}`, { customers: false });
+      const previous = await Settings.findOneAndUpdate({ key: 'daily_report_sent', value: { $ne: key } }, { $set: { value: key } });
+      if (!previous) return;
+      if (!await notifyAdmins(adminText)) {
+        // no admin got it, so the day is given back for the next check
+        await Settings.updateOne({ key: 'daily_report_sent', value: key }, { $set: { value: previous.value } });
+        return;
+      }
+      const groupId = await getSetting('group_chat_id') || GROUP_CHAT_ID;
+      if (groupId) {
+        try { await bot.telegram.sendMessage(Number(groupId), groupText); }
+        catch (e) { log.warn('daily report group send failed', { err: e }); }
+      }
+    } catch (e) {
+      log.error('daily report failed', { err: e });
+    } finally {
+      dailyReportBusy = false;
+    }
+  }
+
+  // Revenue is what users paid net of refunds; provider spend is the charge the
+  // provider reported on its status responses.
+  async function dailyStats(days) {
+    const since = addDays(startOfDay(new Date()), -(days - 1));
+    const rows = await Orders.aggregate([
+      { $match: { created_at: { $gte: since } } },
+      { $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$created_at', timezone: SERVER_TIMEZONE } },
+        orders: { $sum: 1 },
+        revenue: { $sum: { $subtract: ['$cost', { $ifNull: ['$refunded_amount', 0] }] } },
+        provider_spend: { $sum: { $ifNull: ['$provider_charge', 0] } }
+      } }
+    ]).toArray();
+    const byDay = new Map(rows.map(r => [r._id, r]));
+    const out = [];
+    for (let i = 0; i < days; i++) {
+      const day = formatDay(addDays(since, i));
+      const r = byDay.get(day) || {};
+      out.push({ day, orders: r.orders || 0, revenue: roundMoney(r.revenue || 0), provider_spend: roundMoney(r.provider_spend || 0) });
+    }
+    return out;
+  }
+
+  Object.assign(app, { buildReport, dailyStats, sendDailyReport });
+}
@@ -0,0 +1,122 @@
+// ---------- Reseller API keys ----------
+// Users who run their own panels automate against the /api/v2 endpoint with a
+// key from /apikey. A user has at most one key; only its SHA-256 is stored, so
+// the key is shown once and a lost key is replaced by rotating. Orders placed
+// with a key are checked, priced and paid for exactly like bot orders and are
+// then tracked by the status checker like any other order.
+import crypto from 'crypto';
+import { Markup } from 'telegraf';
+import { ObjectId } from 'mongodb';
+import { calcCost } from './lib/pricing.js';
+import { OPEN_STATUSES } from './lib/status.js';
+import { isValidLink } from './lib/links.js';
+
+const API_KEY_PREFIX = 'smm_';
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function apiKeyKeyboard(hasKey) {
+  if (!hasKey) return Markup.inlineKeyboard([[Markup.button.callback('🔑 Create API key', 'APIKEY_NEW')]]);
+  return Markup.inlineKeyboard([[Markup.button.callback('🔄 Rotate', 'APIKEY_NEW'), Markup.button.callback('🗑 Revoke', 'APIKEY_REVOKE')]]);
+}
+
+export function setupReseller(app) {
+  const { PUBLIC_URL } = app.config;
+  const { bot, Users, Orders, Services, getService, chargeDraft, releaseDraft, submitOrder } = app;
+
+  const endpoint = `${PUBLIC_URL || '<this server>'}/api/v2`;
+
+  async function showApiKey(ctx) {
+    const user = await Users.findOne({ user_id: ctx.from.id }) || {};
+    const key = user.api_key;
+    if (!key) {
+      return ctx.reply(`🔑 Reseller API\n\nPlace orders from your own panel with an SMM-panel-compatible API at ${endpoint}, paid from your bot balance.\n\nYou have no API key yet.`, apiKeyKeyboard(false));
+    }
+    const lastUsed = key.last_used_at ? key.last_used_at.toLocaleString() : 'never';
+    await ctx.reply(`🔑 Reseller API\n\nEndpoint: ${endpoint}\nKey: ${key.prefix}… (created ${key.created_at.toLocaleString()})\nLast used: ${lastUsed}\n\nRotating issues a new key and stops the current one at once.`, apiKeyKeyboard(true));
+  }
+
+  // Replaces the user's key; returns the new one in the clear, or null for an
+  // unknown user.
+  async function issueApiKey(userId) {
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const res = await Users.updateOne({ user_id: userId }, { $set: { api_key: { hash: hashApiKey(key), prefix: key.slice(0, API_KEY_PREFIX.length + 6), created_at: new Date(), last_used_at: null } } });
+    return res.matchedCount ? key : null;
+  }
+
+  async function revokeApiKey(userId) {
+    const res = await Users.updateOne({ user_id: userId, api_key: { $ne: null } }, { $unset: { api_key: '' } });
+    return res.modifiedCount > 0;
+  }
+
+  async function userForApiKey(key) {
+    if (!key || !String(key).startsWith(API_KEY_PREFIX)) return null;
+    return Users.findOne({ 'api_key.hash': hashApiKey(key) });
+  }
+
+  // Panels send the numeric `api_id`; the slug is taken as an alias.
+  async function apiService(id) {
+    id = String(id || '').trim();
+    if (!id) return null;
+    return /^\d+$/.test(id) ? Services.findOne({ api_id: Number(id) }) : getService(id);
+  }
+
+  // The API counterpart of the order flow and CONFIRM_ORDER. Returns { order }
+  // or { error } with the message panels show their users.
+  async function placeApiOrder(user, { service: id, link, quantity }) {
+    const service = await apiService(id);
+    if (!service || !service.enabled) return { error: 'Incorrect service ID' };
+    link = String(link || '').trim();
+    if (!isValidLink(service, link)) return { error: `Incorrect link: send a valid ${service.link_hint || 'link'}` };
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty <= 0) return { error: 'Incorrect quantity' };
+    if (qty < service.min) return { error: `Quantity less than minimal ${service.min}` };
+    if (qty > service.max) return { error: `Quantity more than maximum ${service.max}` };
+    if (await Orders.findOne({ user_id: user.user_id, link, service: service.key, status: { $in: OPEN_STATUSES } })) {
+      return { error: 'You have an active order with this link. Please wait until it completes.' };
+    }
+
+    const cost = calcCost(service, qty);
+    const data = { service: service.key, link, qty, subtotal: cost, discount: 0, cost, coupon_code: null };
+    const orderRef = new ObjectId();
+    const charge = await chargeDraft(user.user_id, data, orderRef);
+    if (charge.error) return { error: 'Not enough funds on balance' };
+    // no group announcement: a reseller's automation would flood the group
+    const res = await submitOrder(orderRef, { id: user.user_id, username: user.username }, service, data, { source: 'api' });
+    // held for an admin to check, so the panel gets it as a pending order
+    if (res.unknown) return { order: res.order };
+    if (res.error) {
+      await releaseDraft(user.user_id, data, orderRef, res.error);
+      return { error: 'Failed to place the order. Your balance has not been charged.' };
+    }
+    return res;
+  }
+
+  bot.command('apikey', showApiKey);
+
+  bot.action('APIKEY_NEW', async (ctx) => {
+    await ctx.answerCbQuery();
+    const key = await issueApiKey(ctx.from.id);
+    if (!key) return ctx.reply('Please send /start first.');
+    await ctx.reply(`🔑 Your new API key:\n\n${key}\n\nEndpoint: ${endpoint}\n\nKeep it secret; it spends your balance. It is shown only this once — if you lose it, rotate it from /apikey. Any previous key no longer works.`);
+  });
+
+  bot.action('APIKEY_REVOKE', async (ctx) => {
+    await ctx.answerCbQuery();
+    await ctx.reply('Revoke your API key? Panels using it stop working at once.', Markup.inlineKeyboard([
+      [Markup.button.callback('🗑 Yes, revoke it', 'APIKEY_REVOKE_YES'), Markup.button.callback('⬅️ Keep it', 'APIKEY')]
+    ]));
+  });
+
+  bot.action('APIKEY_REVOKE_YES', async (ctx) => {
+    await ctx.answerCbQuery();
+    if (!await revokeApiKey(ctx.from.id)) return ctx.reply('You have no API key.');
+    await ctx.reply('🗑 API key revoked. Create a new one from /apikey whenever you need it.');
+  });
+
+  bot.action('APIKEY', async (ctx) => { await ctx.answerCbQuery(); await showApiKey(ctx); });
+
+  Object.assign(app, { userForApiKey, placeApiOrder });
+}
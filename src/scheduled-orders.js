@@ -0,0 +1,223 @@
+// ---------- Scheduled orders ----------
+// From the order summary a user can pick a time instead of confirming. The
+// cost is taken (and any coupon claimed) right away, so the funds are
+// reserved, and the draft is stored in `scheduled_orders` under the id the
+// order will get. A worker places due orders every minute; if the provider
+// refuses or the user cancels first, the reservation is reversed. One that
+// throws or is cut off after it was sent may have reached the provider, so
+// it is held as an 'unknown' order for an admin to settle.
+import { Markup } from 'telegraf';
+import { ObjectId } from 'mongodb';
+import { stepButtons } from './conversation.js';
+import { withDraft } from './orders.js';
+import { mainKeyboard } from './keyboards.js';
+import { log } from './lib/log.js';
+
+const SCHEDULE_MAX_DAYS = 30;
+
+export function setupScheduledOrders(app) {
+  const { bot, Users, Orders, Sessions, ScheduledOrders, scenes, orderService, chargeDraft, enterScene, getSession, releaseDraft, getService, submitOrder, recordUnknownOrder, notifyGroupOfOrder, notifyAdmins, notifyUser } = app;
+
+  let scheduledOrdersBusy = false;
+
+  // "in 2h" / "45m" / "3d", "HH:MM" (next occurrence) or "YYYY-MM-DD HH:MM",
+  // all in the server's time zone. Returns a Date or null.
+  function parseScheduleTime(text, now = new Date()) {
+    const t = String(text).trim().toLowerCase();
+    let m = t.match(/^(?:in\s+)?(\d+)\s*(m|min|mins|minutes?|h|hrs?|hours?|d|days?)$/);
+    if (m) {
+      const unit = m[2][0] === 'm' ? 60 * 1000 : m[2][0] === 'h' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+      return new Date(now.getTime() + Number(m[1]) * unit);
+    }
+    m = t.match(/^(\d{4})-(\d{2})-(\d{2})[ t](\d{1,2}):(\d{2})$/);
+    if (m) {
+      const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]));
+      return d.getMonth() === Number(m[2]) - 1 && Number(m[4]) < 24 && Number(m[5]) < 60 ? d : null;
+    }
+    m = t.match(/^(\d{1,2}):(\d{2})$/);
+    if (m && Number(m[1]) < 24 && Number(m[2]) < 60) {
+      const d = new Date(now);
+      d.setHours(Number(m[1]), Number(m[2]), 0, 0);
+      if (d <= now) d.setDate(d.getDate() + 1);
+      return d;
+    }
+    return null;
+  }
+
+  scenes['order:schedule'] = {
+    async enter(ctx) {
+      await ctx.reply(`⏰ When should this order be placed?\n\nSend a time like "in 2h", "30m", "21:30" or "YYYY-MM-DD HH:MM" (server time, now ${new Date().toLocaleString()}). Up to ${SCHEDULE_MAX_DAYS} days ahead.`, Markup.inlineKeyboard([stepButtons()]));
+    },
+    async text(ctx, session) {
+      const runAt = parseScheduleTime(ctx.message.text);
+      const now = Date.now();
+      if (!runAt || runAt.getTime() < now + 60 * 1000 || runAt.getTime() > now + SCHEDULE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+        await ctx.reply(`❌ Please send a time between 1 minute and ${SCHEDULE_MAX_DAYS} days from now.`, Markup.inlineKeyboard([stepButtons()]));
+        return;
+      }
+      const data = session.data;
+      const service = await orderService(ctx, session);
+      if (!service) return;
+      const consumed = await Sessions.findOneAndDelete({ _id: session._id, state: 'order:schedule', 'data.draft_id': data.draft_id });
+      if (!consumed || !ObjectId.isValid(data.draft_id)) return;
+      const orderRef = new ObjectId(data.draft_id);
+      const charge = await chargeDraft(ctx.from.id, data, orderRef);
+      if (charge.error === 'coupon') {
+        await ctx.reply(`❌ Coupon ${data.coupon_code} can no longer be used.`);
+        await enterScene(ctx, 'order:confirm', withDraft(data));
+        return;
+      }
+      if (charge.error) {
+        const fresh = await Users.findOne({ user_id: ctx.from.id }) || {};
+        await ctx.reply(`❌ Insufficient balance.\n💰 Your Balance: ₹${(fresh.balance||0)}\n🛒 Order Cost: ₹${data.cost}`);
+        return;
+      }
+      await ScheduledOrders.insertOne({
+        _id: orderRef,
+        user_id: ctx.from.id,
+        username: ctx.from.username || null,
+        service: service.key,
+        service_name: service.name,
+        link: data.link,
+        qty: data.qty,
+        subtotal: data.subtotal,
+        discount: data.discount,
+        coupon_code: data.coupon_code,
+        cost: data.cost,
+        run_at: runAt,
+        status: 'scheduled',
+        created_at: new Date(),
+        updated_at: new Date()
+      });
+      await ctx.reply(`⏰ Order scheduled for ${runAt.toLocaleString()}.\n📊 Service: ${service.name}\n📦 Quantity: ${data.qty}\n💰 ₹${data.cost} is reserved from your balance until then.\n\nSee or cancel it under 📦 My Orders → ⏰ Scheduled.`, mainKeyboard);
+    },
+    async back(ctx, session) {
+      await enterScene(ctx, 'order:confirm', { ...session.data, draft_id: new ObjectId().toString() });
+    }
+  };
+
+  bot.action('ORDER_SCHEDULE', async (ctx) => {
+    await ctx.answerCbQuery();
+    const session = await getSession(ctx.from.id);
+    if (!session || session.state !== 'order:confirm') return ctx.reply('⚠️ This order summary is no longer valid. Please start a new order.', mainKeyboard);
+    await enterScene(ctx, 'order:schedule', { ...session.data, draft_id: new ObjectId().toString() });
+  });
+
+  async function showScheduledOrders(ctx) {
+    const list = await ScheduledOrders.find({ user_id: ctx.from.id, status: 'scheduled' }).sort({ run_at: 1 }).limit(20).toArray();
+    if (!list.length) return ctx.reply('You have no scheduled orders.', Markup.inlineKeyboard([[Markup.button.callback('⬅️ My Orders', 'ORDERS:0')]]));
+    const text = list.map((s, i) => `${i + 1}. ${s.run_at.toLocaleString()} | ${s.service_name} | ${s.qty} | ₹${s.cost}\n   ${s.link}`).join('\n');
+    const rows = list.map((s, i) => [Markup.button.callback(`❌ Cancel ${i + 1} (${s.run_at.toLocaleString()})`, `SCHED_CANCEL:${s._id}`)]);
+    rows.push([Markup.button.callback('⬅️ My Orders', 'ORDERS:0')]);
+    await ctx.reply(`⏰ Scheduled orders\n\n${text}`, { disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) });
+  }
+
+  bot.action('SCHEDULED', async (ctx) => { await ctx.answerCbQuery(); await showScheduledOrders(ctx); });
+  bot.command('scheduled', async (ctx) => { await showScheduledOrders(ctx); });
+
+  bot.action(/^SCHED_CANCEL:(\w+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const ref = ObjectId.isValid(ctx.match[1]) ? new ObjectId(ctx.match[1]) : null;
+    const s = ref && await ScheduledOrders.findOneAndUpdate(
+      { _id: ref, user_id: ctx.from.id, status: 'scheduled' },
+      { $set: { status: 'cancelled', updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!s) return ctx.reply('This scheduled order has already run or was cancelled.');
+    await releaseDraft(s.user_id, s, s._id, 'scheduled order cancelled');
+    await ctx.reply(`🛑 Scheduled order cancelled. ₹${s.cost} has been returned to your balance.`);
+  });
+
+  // For a scheduled order that was sent off but whose outcome was lost: the
+  // provider may have it, so it is recorded as 'unknown' (unless it already
+  // was recorded) with the money held, and admins are asked to check.
+  async function holdScheduled(s, why) {
+    const order = await Orders.findOne({ _id: s._id });
+    if (order) return order.status === 'unknown' ? { error: 'provider did not answer', unknown: true, order } : { order };
+    const service = await getService(s.service) || { key: s.service, name: s.service_name };
+    const held = await recordUnknownOrder(s._id, { id: s.user_id, username: s.username }, service, s, { source: 'schedule', scheduled_for: s.run_at });
+    await notifyAdmins(`⚠️ Scheduled order ${s._id} ${why} and may have reached the provider. Check with the provider; if it was not placed, refund it with /refund ${s._id}\n\nuser ${s.user_id} | ${s.service} | ${s.link} | ${s.qty} | ₹${s.cost}`);
+    return { error: 'internal error', unknown: true, order: held };
+  }
+
+  // 'placing' marks the point past which the provider may have the order.
+  async function submitScheduled(s) {
+    const service = await getService(s.service);
+    if (!service || !service.enabled) return { error: 'service no longer available' };
+    await ScheduledOrders.updateOne({ _id: s._id }, { $set: { status: 'placing', updated_at: new Date() } });
+    try {
+      return await submitOrder(s._id, { id: s.user_id, username: s.username }, service, s, { source: 'schedule', scheduled_for: s.run_at });
+    } catch (e) {
+      log.error('scheduled order submit failed', { scheduled_id: s._id, err: e });
+      return holdScheduled(s, 'failed while placing');
+    }
+  }
+
+  async function finishScheduled(s, res) {
+    if (res.unknown) {
+      await ScheduledOrders.updateOne({ _id: s._id }, { $set: { status: 'unknown', error: res.error, updated_at: new Date() } });
+      await notifyUser(s.user_id, `⚠️ The provider did not confirm your scheduled ${s.service_name} order (${s.qty}). Support will check whether it was placed; if it was not, ₹${s.cost} will be returned to your balance.`);
+      return;
+    }
+    if (res.error) {
+      await releaseDraft(s.user_id, s, s._id, `scheduled order failed: ${res.error}`);
+      await ScheduledOrders.updateOne({ _id: s._id }, { $set: { status: 'failed', error: res.error, updated_at: new Date() } });
+      await notifyUser(s.user_id, `❌ Your scheduled ${s.service_name} order (${s.qty}) could not be placed: ${res.error}.\n₹${s.cost} has been returned to your balance.`);
+      return;
+    }
+    await ScheduledOrders.updateOne({ _id: s._id }, { $set: { status: 'placed', order_id: res.order.order_id, updated_at: new Date() } });
+    await notifyUser(s.user_id, `✅ Your scheduled order was placed!\n\n📦 Order ID: ${res.order.order_id}\n📊 Service: ${s.service_name}\n📈 Quantity: ${s.qty}\n💰 Cost: ₹${s.cost}`);
+    await notifyGroupOfOrder(s.user_id, `🛍️ Service: ${s.service_name}\n📦 Quantity: ${s.qty}`);
+  }
+
+  async function runScheduledOrders() {
+    if (scheduledOrdersBusy) return;
+    scheduledOrdersBusy = true;
+    try {
+      while (true) {
+        // claiming moves it out of 'scheduled', so a cancel can no longer race the run
+        const s = await ScheduledOrders.findOneAndUpdate(
+          { status: 'scheduled', run_at: { $lte: new Date() } },
+          { $set: { status: 'running', updated_at: new Date() } },
+          { sort: { run_at: 1 }, returnDocument: 'after' }
+        );
+        if (!s) break;
+        await finishScheduled(s, await submitScheduled(s));
+      }
+    } catch (e) {
+      log.error('scheduled orders run failed', { err: e });
+    } finally {
+      scheduledOrdersBusy = false;
+    }
+  }
+
+  // Runs at start, for scheduled orders cut off by the last shutdown. One
+  // still 'running' never reached the provider, so its funds go back; one
+  // 'placing' was placed if it reached `orders`, otherwise it is held.
+  async function recoverScheduledOrders() {
+    if (scheduledOrdersBusy) return;
+    scheduledOrdersBusy = true;
+    try {
+      for (const s of await ScheduledOrders.find({ status: { $in: ['running', 'placing'] } }).toArray()) {
+        if (s.status === 'running') {
+          await releaseDraft(s.user_id, s, s._id, 'scheduled order interrupted');
+          await ScheduledOrders.updateOne({ _id: s._id }, { $set: { status: 'failed', error: 'interrupted', updated_at: new Date() } });
+          await notifyUser(s.user_id, `❌ Your scheduled ${s.service_name} order (${s.qty}) was interrupted before it was placed.\n₹${s.cost} has been returned to your balance.`);
+          continue;
+        }
+        const res = await holdScheduled(s, 'was cut off by a restart');
+        if (res.unknown) {
+          await finishScheduled(s, res);
+          continue;
+        }
+        await ScheduledOrders.updateOne({ _id: s._id }, { $set: { status: 'placed', order_id: res.order.order_id, updated_at: new Date() } });
+      }
+    } catch (e) {
+      log.error('scheduled orders recovery failed', { err: e });
+    } finally {
+      scheduledOrdersBusy = false;
+    }
+  }
+
+  Object.assign(app, { runScheduledOrders, recoverScheduledOrders });
+}
@@ -0,0 +1,27 @@
+// ---------- Command: /start ----------
+import { mainKeyboard } from './keyboards.js';
+
+export function setupStart(app) {
+  const { bot, Users, attachReferrer, notifyUser } = app;
+
+  bot.start(async (ctx) => {
+    const res = await Users.updateOne({ user_id: ctx.from.id }, { $setOnInsert: {
+      user_id: ctx.from.id,
+      username: ctx.from.username || null,
+      balance: 0,
+      total_spent: 0,
+      joined_at: new Date(),
+      banned: false,
+      referred_by: null
+    }}, { upsert: true });
+    // only brand-new users can be referred
+    if (res.upsertedCount) {
+      const payload = ctx.message.text.split(' ')[1];
+      const referrer = await attachReferrer(ctx.from.id, payload);
+      if (referrer) {
+        await notifyUser(referrer.user_id, `👥 @${ctx.from.username || ctx.from.id} joined with your referral link!`);
+      }
+    }
+    await ctx.replyWithMarkdown(`👋 *Welcome!* \nUse buttons below to operate the bot.`, mainKeyboard);
+  });
+}
@@ -0,0 +1,183 @@
+// ---------- Auto Status Checker ----------
+// Pages through every open order, polling each provider with the multi-order
+// `orders` parameter, then settles what changed: full refunds for cancelled
+// orders, `remains × unit price` back for partial ones. Orders still open after
+// ORDER_STALE_HOURS (including ones the provider no longer knows) are escalated
+// to admins once.
+import { roundMoney, settlementRefund } from './lib/pricing.js';
+import { OPEN_STATUSES, mapProviderStatus, mapRefillStatus } from './lib/status.js';
+import { TX_TYPES } from './lib/wallet.js';
+import { DEFAULT_PROVIDER } from './providers.js';
+import { log, withLogContext, newCorrelationId } from './lib/log.js';
+
+const STATUS_BATCH_SIZE = 100;   // order ids per provider `status` call
+
+export function setupStatusChecker(app) {
+  const { ORDER_STALE_HOURS, STATUS_CHECK_INTERVAL_MIN } = app.config;
+  const { Orders, Refills, providerCall, walletCredit, payReferralCommission, getProviders, notifyAdmins, notifyUser } = app;
+
+  async function pollRefillBatch(provider, refills) {
+    const res = await providerCall(provider, 'refill_status', { refills: refills.map(r => r.provider_refill_id).join(',') });
+    if (!Array.isArray(res)) return;
+    for (const r of refills) {
+      const entry = res.find(e => String(e.refill) === r.provider_refill_id);
+      if (!entry) continue;
+      const raw = entry.status && typeof entry.status === 'object' ? entry.status.error : entry.status;
+      const status = mapRefillStatus(raw) || r.status;
+      const set = { provider_status: String(raw || ''), updated_at: new Date() };
+      if (status !== r.status) Object.assign(set, { status }, OPEN_STATUSES.includes(status) ? {} : { finished_at: new Date() });
+      const upd = await Refills.updateOne({ _id: r._id, status: r.status }, { $set: set });
+      if (!upd.modifiedCount || status === r.status) continue;
+      let msg = null;
+      if (status === 'completed') msg = `🔁 The refill for Order #${r.order_id} has been completed.`;
+      if (status === 'rejected') msg = `⚠️ The provider rejected the refill for Order #${r.order_id}${raw ? ` (${raw})` : ''}.`;
+      if (msg) await notifyUser(r.user_id, msg);
+    }
+  }
+
+  // Called from the status checker: pages through open refills by _id like the
+  // order pass, one refill_status call per provider and page.
+  async function checkRefillStatuses(providers) {
+    let lastId = null;
+    while (true) {
+      const filter = { status: { $in: OPEN_STATUSES }, provider_refill_id: { $ne: null } };
+      if (lastId) filter._id = { $gt: lastId };
+      const page = await Refills.find(filter).sort({ _id: 1 }).limit(STATUS_BATCH_SIZE).toArray();
+      if (!page.length) break;
+      lastId = page[page.length - 1]._id;
+      const byProvider = new Map();
+      for (const r of page) {
+        if (!byProvider.has(r.provider)) byProvider.set(r.provider, []);
+        byProvider.get(r.provider).push(r);
+      }
+      for (const [name, refills] of byProvider) {
+        const provider = providers.get(name);
+        if (provider) await pollRefillBatch(provider, refills);
+      }
+      if (page.length < STATUS_BATCH_SIZE) break;
+    }
+  }
+
+  let statusCheckerBusy = false;
+  let lastRunAt = null;   // end of the last pass that got through every open order
+
+  async function settleOrder(o, res) {
+    const providerStatusText = String(res.status || '');
+    const status = mapProviderStatus(providerStatusText) || o.status;
+    const fields = {
+      provider_status: providerStatusText || null,
+      provider_error: null,
+      updated_at: new Date()
+    };
+    if (res.remains != null) fields.remains = Number(res.remains);
+    if (res.start_count != null) fields.start_count = Number(res.start_count);
+    if (res.charge != null) fields.provider_charge = Number(res.charge);
+    if (status === o.status) {
+      await Orders.updateOne({ _id: o._id }, { $set: fields });
+      return;
+    }
+
+    const refund = settlementRefund(o, status, res.remains);
+    if (!OPEN_STATUSES.includes(status)) Object.assign(fields, { refunded_amount: roundMoney((o.refunded_amount || 0) + refund), finished_at: new Date() });
+    // conditional on the old status and refund so a refund can only be issued once
+    const upd = await Orders.updateOne(
+      { _id: o._id, status: o.status, refunded_amount: o.refunded_amount || { $in: [null, 0] } },
+      { $set: { ...fields, status }, $push: { status_history: { status, source: 'provider', at: new Date() } } }
+    );
+    if (!upd.modifiedCount) return;
+    log.info('order status changed', { from: o.status, to: status, provider_status: providerStatusText, refund });
+
+    if (refund > 0) {
+      await walletCredit(o.user_id, refund, TX_TYPES.REFUND, { ref_type: 'order', ref_id: o._id, note: `provider status: ${providerStatusText}` }, { total_spent: -refund });
+    }
+    if (status === 'completed' || status === 'partial') {
+      try { await payReferralCommission({ ...o, refunded_amount: fields.refunded_amount }); } catch (e) { log.error('referral commission failed', { err: e }); }
+    }
+    let msg = null;
+    if (status === 'completed') msg = `🎉 Your Order #${o.order_id} has been completed!`;
+    else if (status === 'partial') msg = `⚠️ Your Order #${o.order_id} was partially completed (${o.qty - Math.min(o.qty, fields.remains || 0)}/${o.qty}). ₹${refund} for the undelivered part has been returned to your balance.`;
+    else if (status === 'cancelled') msg = `💸 Your Order #${o.order_id} was cancelled. ₹${refund} has been returned to your balance.`;
+    if (msg) await notifyUser(o.user_id, msg);
+  }
+
+  async function pollProviderBatch(provider, orders, now, stale) {
+    const res = await providerCall(provider, 'status', { orders: orders.map(o => o.order_id).join(',') });
+    if (!res || typeof res !== 'object' || res.error) return;
+    for (const o of orders) {
+      const r = res[String(o.order_id)];
+      if (!r) continue;
+      await withLogContext({ order_id: o.order_id, order_user_id: o.user_id }, async () => {
+        try {
+          if (r.error) {
+            await Orders.updateOne({ _id: o._id }, { $set: { provider_error: String(r.error), updated_at: now }});
+            o.provider_error = String(r.error);
+            log.warn('provider reports an order error', { provider: provider.name, error: o.provider_error });
+            return;
+          }
+          await settleOrder(o, r);
+        } catch (e) { log.error('order settlement failed', { err: e }); }
+      });
+    }
+    for (const o of orders) {
+      if (o.escalated_at || now - o.created_at < ORDER_STALE_HOURS * 60 * 60 * 1000) continue;
+      const fresh = await Orders.findOne({ _id: o._id, status: { $in: OPEN_STATUSES } });
+      if (fresh) stale.push(fresh);
+    }
+  }
+
+  async function checkOrderStatuses() {
+    if (statusCheckerBusy) return;
+    statusCheckerBusy = true;
+    try {
+      const providers = new Map((await getProviders()).map(p => [p.name, p]));
+      const now = new Date();
+      const stale = [];
+      let lastId = null;
+      while (true) {
+        const filter = { status: { $in: OPEN_STATUSES } };
+        if (lastId) filter._id = { $gt: lastId };
+        const page = await Orders.find(filter).sort({ _id: 1 }).limit(STATUS_BATCH_SIZE).toArray();
+        if (!page.length) break;
+        lastId = page[page.length - 1]._id;
+        const byProvider = new Map();
+        for (const o of page) {
+          const name = o.provider || DEFAULT_PROVIDER;
+          if (!byProvider.has(name)) byProvider.set(name, []);
+          byProvider.get(name).push(o);
+        }
+        for (const [name, orders] of byProvider) {
+          const provider = providers.get(name);
+          if (!provider) {
+            stale.push(...orders.filter(o => !o.escalated_at && now - o.created_at >= ORDER_STALE_HOURS * 60 * 60 * 1000));
+            continue;
+          }
+          await pollProviderBatch(provider, orders, now, stale);
+        }
+        if (page.length < STATUS_BATCH_SIZE) break;
+      }
+      await checkRefillStatuses(providers);
+      if (stale.length) {
+        await Orders.updateMany({ _id: { $in: stale.map(o => o._id) } }, { $set: { escalated_at: now }});
+        const lines = stale.slice(0, 30).map(o => `#${o.order_id} | ${o.provider || DEFAULT_PROVIDER} | user ${o.user_id} | ${o.status} | ${o.created_at.toLocaleString()}${o.provider_error ? ` | ${o.provider_error}` : ''}`);
+        await notifyAdmins(`🕒 ${stale.length} order(s) still open after ${ORDER_STALE_HOURS}h:\n\n${lines.join('\n')}${stale.length > 30 ? '\n…' : ''}\n\nCheck them with the provider and refund if needed.`);
+      }
+      lastRunAt = new Date();
+    } catch (e) {
+      log.error('status checker pass failed', { err: e });
+    } finally {
+      statusCheckerBusy = false;
+    }
+  }
+
+  function runStatusChecker() {
+    log.info('status checker scheduled', { interval_min: STATUS_CHECK_INTERVAL_MIN });
+    const pass = () => withLogContext({ cid: newCorrelationId(), job: 'status_checker' }, checkOrderStatuses);
+    return setInterval(pass, Math.max(1, STATUS_CHECK_INTERVAL_MIN) * 60 * 1000);
+  }
+
+  function statusCheckerLastRun() {
+    return lastRunAt;
+  }
+
+  Object.assign(app, { checkOrderStatuses, runStatusChecker, statusCheckerLastRun });
+}
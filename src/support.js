@@ -0,0 +1,291 @@
+// ---------- Support tickets ----------
+// Users open a ticket with a subject, an optional order id and a first
+// message. Each user message is relayed to the support chat (SUPPORT_CHAT_ID,
+// in the SUPPORT_THREAD_ID topic if set) or, without one, to every admin. An
+// admin answers by replying to a relayed message; the answer goes back to the
+// user. A ticket is 'open' while it waits for an admin, 'answered' while it
+// waits for the user, and 'closed' once either side closes it.
+import { Markup } from 'telegraf';
+import { ObjectId } from 'mongodb';
+import { stepButtons } from './conversation.js';
+import { pageButtons } from './catalog.js';
+import { mainKeyboard } from './keyboards.js';
+import { log } from './lib/log.js';
+
+const TICKET_STATUSES = ['open', 'answered', 'closed'];
+const TICKET_STATUS_ICONS = { open: '🟢', answered: '💬', closed: '⚪' };
+const TICKET_MAX_OPEN = 3;         // unclosed tickets per user
+const TICKET_SUBJECT_MAX = 100;
+const TICKET_MESSAGE_MAX = 2000;
+const TICKETS_PAGE_SIZE = 8;
+
+function parseTicketId(id) {
+  return ObjectId.isValid(id) ? new ObjectId(id) : null;
+}
+
+function ticketKeyboard(ticket) {
+  if (ticket.status === 'closed') return Markup.inlineKeyboard([[Markup.button.callback('⬅️ My tickets', 'TICKETS:0')]]);
+  return Markup.inlineKeyboard([
+    [Markup.button.callback('💬 Reply', `TICKET_REPLY:${ticket._id}`), Markup.button.callback('✅ Close', `TICKET_CLOSE:${ticket._id}`)],
+    [Markup.button.callback('⬅️ My tickets', 'TICKETS:0')]
+  ]);
+}
+
+function formatThread(ticket, limit) {
+  return ticket.messages.slice(-limit).map(m => `${m.from === 'admin' ? '🛟 Support' : '👤 You'} · ${m.at.toLocaleString()}\n${m.text}`).join('\n\n');
+}
+
+export function setupSupport(app) {
+  const { ADMIN_IDS, SUPPORT_CHAT_ID, SUPPORT_THREAD_ID } = app.config;
+  const { bot, Orders, Settings, Tickets, scenes, enterScene, leaveScene, getSession, isAdmin, notifyUser } = app;
+
+  async function nextTicketNo() {
+    const seq = await Settings.findOneAndUpdate({ key: 'ticket_seq' }, { $inc: { value: 1 } }, { upsert: true, returnDocument: 'after' });
+    return seq.value;
+  }
+
+  // Sends `text` to the support chat or to every admin and remembers the
+  // message ids, so a reply to any of them can be matched back to the ticket.
+  async function relayToAdmins(ticket, text) {
+    const targets = SUPPORT_CHAT_ID ? [SUPPORT_CHAT_ID] : ADMIN_IDS;
+    const extra = { ...Markup.inlineKeyboard([[Markup.button.callback('✅ Close ticket', `TICKET_CLOSE:${ticket._id}`)]]) };
+    if (SUPPORT_CHAT_ID && SUPPORT_THREAD_ID) extra.message_thread_id = SUPPORT_THREAD_ID;
+    const relays = [];
+    for (const chatId of targets) {
+      try {
+        const m = await bot.telegram.sendMessage(chatId, text, extra);
+        relays.push({ chat_id: chatId, message_id: m.message_id });
+      } catch (e) { log.error('ticket relay failed', { ticket_no: ticket.ticket_no, chat_id: chatId, err: e }); }
+    }
+    if (relays.length) await Tickets.updateOne({ _id: ticket._id }, { $push: { relays: { $each: relays } } });
+    return relays.length > 0;
+  }
+
+  function relayText(ticket, from, text) {
+    const order = ticket.order_id ? `\n📦 Order: #${ticket.order_id}` : '';
+    return `🎫 Ticket #${ticket.ticket_no} — ${ticket.subject}\n👤 ${from.username ? '@' + from.username : 'NoUsername'} (${ticket.user_id})${order}\n\n${text}\n\n↩️ Reply to this message to answer.`;
+  }
+
+  async function addUserMessage(ctx, ticket, text) {
+    const updated = await Tickets.findOneAndUpdate(
+      { _id: ticket._id, status: { $ne: 'closed' } },
+      { $set: { status: 'open', updated_at: new Date() }, $push: { messages: { from: 'user', actor_id: ctx.from.id, text, at: new Date() } } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return null;
+    await relayToAdmins(updated, relayText(updated, ctx.from, text));
+    return updated;
+  }
+
+  // Returns { ticket } or { error }.
+  async function closeTicket(ticketId, actor) {
+    const byAdmin = isAdmin(actor.id);
+    const filter = { _id: ticketId, status: { $ne: 'closed' } };
+    if (!byAdmin) filter.user_id = actor.id;
+    const ticket = await Tickets.findOneAndUpdate(
+      filter,
+      { $set: { status: 'closed', closed_at: new Date(), closed_by: actor.id, updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!ticket) return { error: 'This ticket is already closed.' };
+    if (byAdmin) {
+      await notifyUser(ticket.user_id, `✅ Ticket #${ticket.ticket_no} (${ticket.subject}) has been closed by support. Open a new one from 💬 Support if you need more help.`);
+    } else {
+      await relayToAdmins(ticket, `🔒 Ticket #${ticket.ticket_no} — ${ticket.subject} was closed by the user.`);
+    }
+    return { ticket };
+  }
+
+  scenes['support:subject'] = {
+    async enter(ctx) {
+      await ctx.reply('🎫 New support ticket\n\nWhat is it about? Send a short subject.', Markup.inlineKeyboard([stepButtons(false)]));
+    },
+    async text(ctx) {
+      const subject = ctx.message.text.trim();
+      if (subject.length > TICKET_SUBJECT_MAX) {
+        await ctx.reply(`❌ Please keep the subject under ${TICKET_SUBJECT_MAX} characters.`, Markup.inlineKeyboard([stepButtons(false)]));
+        return;
+      }
+      await enterScene(ctx, 'support:order', { subject });
+    }
+  };
+
+  scenes['support:order'] = {
+    async enter(ctx) {
+      await ctx.reply('📦 If this is about an order, send its order ID. Otherwise tap Skip.', Markup.inlineKeyboard([
+        [Markup.button.callback('⏭ Skip', 'TICKET_NO_ORDER')],
+        stepButtons()
+      ]));
+    },
+    async text(ctx, session) {
+      const orderId = Number(ctx.message.text.trim().replace(/^#/, ''));
+      const order = orderId && await Orders.findOne({ user_id: ctx.from.id, order_id: orderId }, { sort: { created_at: -1 } });
+      if (!order) {
+        await ctx.reply('❌ No order of yours has that ID. Send the ID shown in 📦 My Orders, or tap Skip.', Markup.inlineKeyboard([[Markup.button.callback('⏭ Skip', 'TICKET_NO_ORDER')], stepButtons()]));
+        return;
+      }
+      await enterScene(ctx, 'support:message', { ...session.data, order_id: order.order_id, order_ref: String(order._id) });
+    },
+    async back(ctx) {
+      await enterScene(ctx, 'support:subject');
+    }
+  };
+
+  scenes['support:message'] = {
+    async enter(ctx) {
+      await ctx.reply('✍️ Now describe the problem in one message.', Markup.inlineKeyboard([stepButtons()]));
+    },
+    async text(ctx, session) {
+      const text = ctx.message.text.trim();
+      if (text.length > TICKET_MESSAGE_MAX) {
+        await ctx.reply(`❌ Please keep it under ${TICKET_MESSAGE_MAX} characters.`, Markup.inlineKeyboard([stepButtons()]));
+        return;
+      }
+      await leaveScene(ctx.from.id);
+      const { subject, order_id, order_ref } = session.data;
+      const ticket = {
+        ticket_no: await nextTicketNo(),
+        user_id: ctx.from.id,
+        username: ctx.from.username || null,
+        subject,
+        order_id: order_id || null,
+        order_ref: order_ref ? new ObjectId(order_ref) : null,
+        status: 'open',
+        messages: [{ from: 'user', actor_id: ctx.from.id, text, at: new Date() }],
+        relays: [],
+        created_at: new Date(),
+        updated_at: new Date()
+      };
+      await Tickets.insertOne(ticket);
+      await relayToAdmins(ticket, relayText(ticket, ctx.from, text));
+      await ctx.reply(`✅ Ticket #${ticket.ticket_no} opened. Support will answer here; you can follow it under 💬 Support → 🗂 My tickets.`, mainKeyboard);
+    },
+    async back(ctx, session) {
+      await enterScene(ctx, 'support:order', session.data);
+    }
+  };
+
+  scenes['support:reply'] = {
+    async enter(ctx) {
+      await ctx.reply('✍️ Send your message for support.', Markup.inlineKeyboard([stepButtons(false)]));
+    },
+    async text(ctx, session) {
+      const text = ctx.message.text.trim();
+      if (text.length > TICKET_MESSAGE_MAX) {
+        await ctx.reply(`❌ Please keep it under ${TICKET_MESSAGE_MAX} characters.`, Markup.inlineKeyboard([stepButtons(false)]));
+        return;
+      }
+      await leaveScene(ctx.from.id);
+      const ticket = await Tickets.findOne({ _id: new ObjectId(session.data.ticket_id), user_id: ctx.from.id });
+      const updated = ticket && await addUserMessage(ctx, ticket, text);
+      if (!updated) return ctx.reply('This ticket is closed. Open a new one from 💬 Support.', mainKeyboard);
+      await ctx.reply(`📨 Sent on ticket #${updated.ticket_no}.`, mainKeyboard);
+    }
+  };
+
+  async function showSupport(ctx) {
+    await ctx.reply('💬 Support\n\nOpen a ticket and our team will answer you here.', Markup.inlineKeyboard([
+      [Markup.button.callback('✉️ New ticket', 'TICKET_NEW'), Markup.button.callback('🗂 My tickets', 'TICKETS:0')],
+      [Markup.button.callback('🏠 Home', 'HOME')]
+    ]));
+  }
+
+  async function showTickets(ctx, page = 0) {
+    const filter = { user_id: ctx.from.id };
+    const total = await Tickets.countDocuments(filter);
+    if (!total) return ctx.reply('You have no support tickets yet.', Markup.inlineKeyboard([[Markup.button.callback('✉️ New ticket', 'TICKET_NEW')]]));
+    const pages = Math.ceil(total / TICKETS_PAGE_SIZE);
+    page = Math.min(Math.max(0, page), pages - 1);
+    const tickets = await Tickets.find(filter).sort({ updated_at: -1 }).skip(page * TICKETS_PAGE_SIZE).limit(TICKETS_PAGE_SIZE).toArray();
+    const rows = tickets.map(t => [Markup.button.callback(`${TICKET_STATUS_ICONS[t.status]} #${t.ticket_no} · ${t.subject}`.slice(0, 60), `TICKET:${t._id}`)]);
+    const nav = pageButtons(page, pages, p => `TICKETS:${p}`);
+    if (nav.length) rows.push(nav);
+    rows.push([Markup.button.callback('✉️ New ticket', 'TICKET_NEW'), Markup.button.callback('🏠 Home', 'HOME')]);
+    await ctx.reply(`🗂 Your tickets${pages > 1 ? ` (page ${page + 1}/${pages})` : ''}\n\n🟢 waiting for support · 💬 answered · ⚪ closed`, Markup.inlineKeyboard(rows));
+  }
+
+  async function showTicket(ctx, ticketId) {
+    const t = ticketId && await Tickets.findOne({ _id: ticketId, user_id: ctx.from.id });
+    if (!t) return ctx.reply('Ticket not found.');
+    let text = `🎫 Ticket #${t.ticket_no} — ${t.subject}\n`;
+    text += `📍 Status: ${TICKET_STATUS_ICONS[t.status]} ${t.status}\n`;
+    if (t.order_id) text += `📦 Order: #${t.order_id}\n`;
+    text += `🕒 Opened: ${t.created_at.toLocaleString()}\n\n${formatThread(t, 10)}`;
+    await ctx.reply(text, ticketKeyboard(t));
+  }
+
+  bot.action('SUPPORT', async (ctx) => { await ctx.answerCbQuery(); await showSupport(ctx); });
+  bot.command('support', showSupport);
+  bot.action(/^TICKETS:(\d+)$/, async (ctx) => { await ctx.answerCbQuery(); await showTickets(ctx, Number(ctx.match[1])); });
+  bot.action(/^TICKET:(\w+)$/, async (ctx) => { await ctx.answerCbQuery(); await showTicket(ctx, parseTicketId(ctx.match[1])); });
+
+  bot.action('TICKET_NEW', async (ctx) => {
+    await ctx.answerCbQuery();
+    const open = await Tickets.countDocuments({ user_id: ctx.from.id, status: { $ne: 'closed' } });
+    if (open >= TICKET_MAX_OPEN) return ctx.reply(`You already have ${open} open tickets. Please continue in one of them under 🗂 My tickets.`);
+    await enterScene(ctx, 'support:subject');
+  });
+
+  bot.action('TICKET_NO_ORDER', async (ctx) => {
+    await ctx.answerCbQuery();
+    const session = await getSession(ctx.from.id);
+    if (!session || session.state !== 'support:order') return ctx.reply('⌛ This step has expired.', mainKeyboard);
+    await enterScene(ctx, 'support:message', session.data);
+  });
+
+  bot.action(/^TICKET_REPLY:(\w+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const ticketId = parseTicketId(ctx.match[1]);
+    const ticket = ticketId && await Tickets.findOne({ _id: ticketId, user_id: ctx.from.id });
+    if (!ticket) return ctx.reply('Ticket not found.');
+    if (ticket.status === 'closed') return ctx.reply('This ticket is closed. Open a new one from 💬 Support.');
+    await enterScene(ctx, 'support:reply', { ticket_id: String(ticket._id) });
+  });
+
+  bot.action(/^TICKET_CLOSE:(\w+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const ticketId = parseTicketId(ctx.match[1]);
+    const { ticket, error } = ticketId ? await closeTicket(ticketId, ctx.from) : { error: 'Ticket not found.' };
+    if (error) return ctx.reply(error);
+    await ctx.reply(`✅ Ticket #${ticket.ticket_no} closed.`);
+  });
+
+  // An admin's reply to a relayed message is the answer to that ticket.
+  bot.on('text', async (ctx, next) => {
+    const replyTo = ctx.message.reply_to_message;
+    if (!replyTo || !isAdmin(ctx.from.id)) return next();
+    const ticket = await Tickets.findOne({ relays: { $elemMatch: { chat_id: ctx.chat.id, message_id: replyTo.message_id } } });
+    if (!ticket) return next();
+    if (ticket.status === 'closed') return ctx.reply(`Ticket #${ticket.ticket_no} is closed; the user was not messaged.`);
+    const text = ctx.message.text.trim();
+    try {
+      await bot.telegram.sendMessage(ticket.user_id, `🛟 Support — ticket #${ticket.ticket_no} (${ticket.subject})\n\n${text}`, ticketKeyboard(ticket));
+    } catch (e) {
+      log.warn('ticket answer failed', { ticket_no: ticket.ticket_no, to_user: ticket.user_id, err: e });
+      return ctx.reply(`❌ Could not message the user: ${e.message}`);
+    }
+    await Tickets.updateOne(
+      { _id: ticket._id, status: { $ne: 'closed' } },
+      { $set: { status: 'answered', updated_at: new Date() }, $push: { messages: { from: 'admin', actor_id: ctx.from.id, text, at: new Date() } } }
+    );
+    await ctx.reply(`📨 Sent to the user on ticket #${ticket.ticket_no}.`);
+  });
+
+  // /tickets [open|answered|closed] lists tickets; /tickets <number> shows one.
+  bot.command('tickets', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return ctx.reply('Not authorized');
+    const arg = ctx.message.text.split(' ').filter(Boolean)[1] || 'open';
+    if (Number(arg)) {
+      const t = await Tickets.findOne({ ticket_no: Number(arg) });
+      if (!t) return ctx.reply('Ticket not found.');
+      const order = t.order_id ? ` | order #${t.order_id}` : '';
+      const thread = t.messages.slice(-10).map(m => `${m.from === 'admin' ? `🛟 ${m.actor_id}` : '👤 user'} · ${m.at.toLocaleString()}\n${m.text}`).join('\n\n');
+      return ctx.reply(`🎫 #${t.ticket_no} — ${t.subject}\n${t.status} | ${t.user_id} @${t.username || '-'}${order}\n\n${thread}`);
+    }
+    if (!TICKET_STATUSES.includes(arg)) return ctx.reply(`Usage: /tickets [${TICKET_STATUSES.join('|')}] or /tickets <number>`);
+    const list = await Tickets.find({ status: arg }).sort({ updated_at: -1 }).limit(20).toArray();
+    if (!list.length) return ctx.reply(`No ${arg} tickets.`);
+    const lines = list.map(t => `#${t.ticket_no} | ${t.user_id} @${t.username || '-'} | ${t.subject} | ${t.updated_at.toLocaleString()}`);
+    await ctx.reply(`🎫 ${arg} tickets (latest ${list.length}):\n\n${lines.join('\n')}\n\n/tickets <number> shows the conversation.`);
+  });
+}
@@ -0,0 +1,207 @@
+// ---------- Admin REST API ----------
+// Token-authenticated JSON API under /admin/api. ADMIN_API_TOKENS maps each
+// token to the Telegram admin it acts as ("<adminId>:<token>,..."), so every
+// change made here is attributed in the ledger and histories exactly like the
+// matching bot command.
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { parsePaymentId } from '../payments.js';
+import { parseAudience, validateBroadcast } from '../broadcasts.js';
+import { parseReportRange } from '../reports.js';
+import { parseRateLimits } from '../access.js';
+import { asyncRoute } from './auth.js';
+import { log } from '../lib/log.js';
+
+const API_PAGE_SIZE = 50;
+const EDITABLE_SETTINGS = {
+  group_chat_id: v => (v === null || v === '' ? null : Number(v)),
+  markup_rules: v => (v && typeof v === 'object' ? v : null),
+  rate_limits: parseRateLimits,
+  referral_commission_pct: v => (Number(v) >= 0 && Number(v) <= 100 ? Number(v) : null),
+  referral_paused: v => v === true || v === 'true'
+};
+
+function page(req) {
+  return Math.max(0, Number(req.query.page) || 0);
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseDate(v) {
+  const d = v ? new Date(v) : null;
+  return d && !isNaN(d) ? d : null;
+}
+
+export function createAdminApi(app, { requireAdminToken }) {
+  const { Users, Orders, Settings, BroadcastLogs, Transactions, Payments, Refills, setUserBan, adjustBalance, findOrder, setOrderStatus, refundOrder, approvePayment, rejectPayment, setSetting, resetRateLimits, audienceFilter, createBroadcastJob, cancelBroadcast, buildReport, dailyStats } = app;
+
+  const adminApi = express.Router();
+  adminApi.use(express.json());
+  adminApi.use(requireAdminToken);
+
+  adminApi.get('/users', asyncRoute(async (req, res) => {
+    const q = String(req.query.q || '').trim();
+    const filter = {};
+    if (q) filter.$or = Number(q) ? [{ user_id: Number(q) }] : [{ username: { $regex: escapeRegex(q.replace(/^@/, '')), $options: 'i' } }];
+    if (req.query.banned != null) filter.banned = req.query.banned === 'true';
+    const users = await Users.find(filter).sort({ joined_at: -1 }).skip(page(req) * API_PAGE_SIZE).limit(API_PAGE_SIZE).toArray();
+    res.json({ users });
+  }));
+
+  adminApi.get('/users/:id', asyncRoute(async (req, res) => {
+    const user = await Users.findOne({ user_id: Number(req.params.id) });
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    const [orders, payments, transactions] = await Promise.all([
+      Orders.find({ user_id: user.user_id }).sort({ created_at: -1 }).limit(20).toArray(),
+      Payments.find({ user_id: user.user_id }).sort({ created_at: -1 }).limit(20).toArray(),
+      Transactions.find({ user_id: user.user_id }).sort({ created_at: -1 }).limit(20).toArray()
+    ]);
+    res.json({ user, orders, payments, transactions });
+  }));
+
+  adminApi.post('/users/:id/ban', asyncRoute(async (req, res) => {
+    const r = await setUserBan(Number(req.params.id), true, req.body.reason, req.adminId);
+    if (r.error) return res.status(404).json(r);
+    res.json(r);
+  }));
+
+  adminApi.post('/users/:id/unban', asyncRoute(async (req, res) => {
+    const r = await setUserBan(Number(req.params.id), false, req.body.reason, req.adminId);
+    if (r.error) return res.status(404).json(r);
+    res.json(r);
+  }));
+
+  adminApi.post('/users/:id/balance', asyncRoute(async (req, res) => {
+    const r = await adjustBalance(Number(req.params.id), Number(req.body.amount), req.body.note, req.adminId);
+    if (r.error) return res.status(400).json(r);
+    res.json(r);
+  }));
+
+  adminApi.get('/orders', asyncRoute(async (req, res) => {
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.service) filter.service = String(req.query.service);
+    if (req.query.user_id) filter.user_id = Number(req.query.user_id);
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from || to) filter.created_at = { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+    const orders = await Orders.find(filter).sort({ created_at: -1 }).skip(page(req) * API_PAGE_SIZE).limit(API_PAGE_SIZE).toArray();
+    res.json({ orders });
+  }));
+
+  adminApi.post('/orders/:id/status', asyncRoute(async (req, res) => {
+    const order = await findOrder(req.params.id);
+    if (!order) return res.status(404).json({ error: 'order not found' });
+    const r = await setOrderStatus(order, String(req.body.status), req.adminId);
+    if (r.error) return res.status(400).json(r);
+    res.json(r);
+  }));
+
+  adminApi.post('/orders/:id/refund', asyncRoute(async (req, res) => {
+    const order = await findOrder(req.params.id);
+    if (!order) return res.status(404).json({ error: 'order not found' });
+    const amount = req.body.amount != null ? Number(req.body.amount) : null;
+    const r = await refundOrder(order, amount, req.adminId);
+    if (r.error) return res.status(400).json(r);
+    res.json(r);
+  }));
+
+  adminApi.get('/refills', asyncRoute(async (req, res) => {
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.user_id) filter.user_id = Number(req.query.user_id);
+    const refills = await Refills.find(filter).sort({ created_at: -1 }).skip(page(req) * API_PAGE_SIZE).limit(API_PAGE_SIZE).toArray();
+    res.json({ refills });
+  }));
+
+  adminApi.get('/payments', asyncRoute(async (req, res) => {
+    const filter = {};
+    if (req.query.state) filter.state = String(req.query.state);
+    if (req.query.user_id) filter.user_id = Number(req.query.user_id);
+    const payments = await Payments.find(filter).sort({ created_at: -1 }).skip(page(req) * API_PAGE_SIZE).limit(API_PAGE_SIZE).toArray();
+    res.json({ payments });
+  }));
+
+  adminApi.post('/payments/:id/approve', asyncRoute(async (req, res) => {
+    const paymentId = parsePaymentId(req.params.id);
+    const payment = paymentId && await Payments.findOne({ _id: paymentId });
+    if (!payment) return res.status(404).json({ error: 'payment not found' });
+    const amount = req.body.amount != null ? Number(req.body.amount) : payment.amount;
+    if (!(amount > 0)) return res.status(400).json({ error: 'invalid amount' });
+    const r = await approvePayment(paymentId, amount, { id: req.adminId, username: null });
+    if (!r) return res.status(409).json({ error: `payment is already ${payment.state}` });
+    res.json(r);
+  }));
+
+  adminApi.post('/payments/:id/reject', asyncRoute(async (req, res) => {
+    const paymentId = parsePaymentId(req.params.id);
+    const payment = paymentId && await rejectPayment(paymentId, { id: req.adminId, username: null });
+    if (!payment) return res.status(409).json({ error: 'payment not found or already decided' });
+    res.json({ payment });
+  }));
+
+  adminApi.get('/settings', asyncRoute(async (req, res) => {
+    const settings = await Settings.find({}).toArray();
+    res.json({ settings: Object.fromEntries(settings.map(s => [s.key, s.value])) });
+  }));
+
+  adminApi.put('/settings/:key', asyncRoute(async (req, res) => {
+    const cast = EDITABLE_SETTINGS[req.params.key];
+    if (!cast) return res.status(400).json({ error: `not editable; editable keys: ${Object.keys(EDITABLE_SETTINGS).join(', ')}` });
+    const value = cast(req.body.value);
+    if (value === null && req.body.value !== null && req.body.value !== '') return res.status(400).json({ error: 'invalid value' });
+    await setSetting(req.params.key, value);
+    if (req.params.key === 'rate_limits') resetRateLimits();   // as /ratelimit does
+    res.json({ key: req.params.key, value });
+  }));
+
+  adminApi.get('/broadcasts', asyncRoute(async (req, res) => {
+    const broadcasts = await BroadcastLogs.find({}).sort({ created_at: -1 }).skip(page(req) * API_PAGE_SIZE).limit(API_PAGE_SIZE).toArray();
+    res.json({ broadcasts });
+  }));
+
+  // body: { message, photo_file_id?, buttons?: [{ text, url }], audience?: "inactive:30", dry_run? }
+  adminApi.post('/broadcasts', asyncRoute(async (req, res) => {
+    const audience = parseAudience(req.body.audience);
+    if (!audience) return res.status(400).json({ error: 'audience must be all, depositors, inactive:<days> or spent:<amount>' });
+    const buttons = Array.isArray(req.body.buttons) ? req.body.buttons.map(b => ({ text: String(b.text || '').trim(), url: String(b.url || '').trim() })) : [];
+    const spec = { message: String(req.body.message || '').trim(), photo_file_id: req.body.photo_file_id || null, buttons, audience };
+    const invalid = validateBroadcast(spec);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (req.body.dry_run) return res.json({ dry_run: true, recipients: await Users.countDocuments(audienceFilter(audience)) });
+    res.status(202).json({ broadcast: await createBroadcastJob(spec, req.adminId) });
+  }));
+
+  adminApi.get('/broadcasts/:id', asyncRoute(async (req, res) => {
+    const broadcast = ObjectId.isValid(req.params.id) && await BroadcastLogs.findOne({ _id: new ObjectId(req.params.id) });
+    if (!broadcast) return res.status(404).json({ error: 'broadcast not found' });
+    res.json({ broadcast });
+  }));
+
+  adminApi.post('/broadcasts/:id/cancel', asyncRoute(async (req, res) => {
+    const broadcast = ObjectId.isValid(req.params.id) && await cancelBroadcast(new ObjectId(req.params.id), req.adminId);
+    if (!broadcast) return res.status(409).json({ error: 'broadcast not found or already finished' });
+    res.json({ broadcast });
+  }));
+
+  // ?range=day|yesterday|week|month, or ?from=YYYY-MM-DD&to=YYYY-MM-DD
+  adminApi.get('/report', asyncRoute(async (req, res) => {
+    const range = parseReportRange(req.query.from ? [req.query.from, req.query.to].filter(Boolean) : [req.query.range].filter(Boolean));
+    if (!range) return res.status(400).json({ error: 'invalid range' });
+    res.json({ label: range.label, ...await buildReport(range.from, range.to) });
+  }));
+
+  adminApi.get('/stats', asyncRoute(async (req, res) => {
+    const days = Math.min(Math.max(1, Number(req.query.days) || 30), 365);
+    res.json({ days: await dailyStats(days) });
+  }));
+
+  adminApi.use((err, req, res, next) => {
+    log.error('admin api request failed', { err, method: req.method, path: req.originalUrl, admin_id: req.adminId });
+    res.status(500).json({ error: 'internal error' });
+  });
+
+  return adminApi;
+}
@@ -0,0 +1,53 @@
+// ---------- Admin auth ----------
+// The API takes an ADMIN_API_TOKENS token as a Bearer token, the dashboard
+// from the cookie set at /admin/login.
+import crypto from 'crypto';
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [k, ...v] = part.trim().split('=');
+    if (k === name) return decodeURIComponent(v.join('='));
+  }
+  return null;
+}
+
+export function bearerToken(req) {
+  const auth = req.headers.authorization || '';
+  return auth.startsWith('Bearer ') ? auth.slice(7) : null;
+}
+
+// constant-time comparison
+export function tokenMatches(token, expected) {
+  if (!token) return false;
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// express 4 does not catch rejected promises from handlers
+export const asyncRoute = fn => (req, res, next) => fn(req, res, next).catch(next);
+
+export function adminAuth(config) {
+  const { ADMIN_API_TOKENS } = config;
+
+  function adminForToken(token) {
+    for (const { adminId, token: t } of ADMIN_API_TOKENS) {
+      if (tokenMatches(token, t)) return adminId;
+    }
+    return null;
+  }
+
+  function requireAdminToken(req, res, next) {
+    const token = bearerToken(req) || readCookie(req, 'admin_token');
+    const adminId = adminForToken(token);
+    if (!adminId) {
+      if (req.baseUrl === '/admin') return res.redirect('/admin/login');   // dashboard, not the API
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    req.adminId = adminId;
+    next();
+  }
+
+  return { adminForToken, requireAdminToken };
+}
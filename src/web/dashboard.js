@@ -0,0 +1,69 @@
+// ---------- Admin dashboard ----------
+// Server-rendered overview on top of the same data as /admin/api/stats.
+import express from 'express';
+import { roundMoney } from '../lib/pricing.js';
+import { OPEN_STATUSES } from '../lib/status.js';
+import { asyncRoute } from './auth.js';
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function barChart(title, rows, field, prefix = '') {
+  const w = 14, h = 120, gap = 4;
+  const max = Math.max(1, ...rows.map(r => r[field]));
+  const bars = rows.map((r, i) => {
+    const bh = Math.round((r[field] / max) * h);
+    return `<rect x="${i * (w + gap)}" y="${h - bh}" width="${w}" height="${bh}" fill="#4a7bd0"><title>${r.day}: ${prefix}${r[field]}</title></rect>`;
+  }).join('');
+  const total = roundMoney(rows.reduce((sum, r) => sum + r[field], 0));
+  return `<div class="chart"><h3>${escapeHtml(title)} <small>${prefix}${total}</small></h3><svg width="${rows.length * (w + gap)}" height="${h}">${bars}</svg></div>`;
+}
+
+function dashboardPage(body) {
+  return `<!doctype html><html><head><meta charset="utf-8"><title>SMM Bot Admin</title>
+<style>body{font-family:sans-serif;margin:24px;color:#222}table{border-collapse:collapse;margin-bottom:24px}td,th{border:1px solid #ddd;padding:4px 8px;font-size:14px}.chart{display:inline-block;margin:0 24px 24px 0;vertical-align:top}.cards div{display:inline-block;padding:12px 16px;margin:0 12px 12px 0;background:#f3f5f9;border-radius:6px}</style>
+</head><body><h1>📊 SMM Bot Admin</h1>${body}</body></html>`;
+}
+
+export function createDashboard(app, { adminForToken, requireAdminToken }) {
+  const { Users, Orders, Payments, dailyStats } = app;
+
+  const adminDashboard = express.Router();
+  adminDashboard.use(express.urlencoded({ extended: false }));
+
+  adminDashboard.get('/login', (req, res) => {
+    res.send(dashboardPage(`<form method="post" action="/admin/login"><input type="password" name="token" placeholder="API token" autofocus> <button>Sign in</button></form>`));
+  });
+
+  adminDashboard.post('/login', (req, res) => {
+    if (!adminForToken(req.body.token)) return res.status(401).send(dashboardPage('<p>Invalid token. <a href="/admin/login">Try again</a></p>'));
+    res.setHeader('Set-Cookie', `admin_token=${encodeURIComponent(req.body.token)}; HttpOnly; SameSite=Strict; Path=/admin; Max-Age=${7 * 24 * 60 * 60}`);
+    res.redirect('/admin');
+  });
+
+  adminDashboard.get('/', requireAdminToken, asyncRoute(async (req, res) => {
+    const days = Math.min(Math.max(1, Number(req.query.days) || 30), 365);
+    const [stats, usersCount, running, pendingCount, pendingPayments, recentOrders] = await Promise.all([
+      dailyStats(days),
+      Users.countDocuments(),
+      Orders.countDocuments({ status: { $in: OPEN_STATUSES } }),
+      Payments.countDocuments({ state: 'pending' }),
+      Payments.find({ state: 'pending' }).sort({ created_at: -1 }).limit(20).toArray(),
+      Orders.find({}).sort({ created_at: -1 }).limit(20).toArray()
+    ]);
+    const revenue = roundMoney(stats.reduce((s, r) => s + r.revenue, 0));
+    const spend = roundMoney(stats.reduce((s, r) => s + r.provider_spend, 0));
+    const body = `
+<div class="cards"><div>👥 Users<br><b>${usersCount}</b></div><div>⏳ Running orders<br><b>${running}</b></div><div>💰 Revenue (${days}d)<br><b>₹${revenue}</b></div><div>🏭 Provider spend (${days}d)<br><b>₹${spend}</b></div><div>📈 Margin (${days}d)<br><b>₹${roundMoney(revenue - spend)}</b></div><div>🧾 Pending payments<br><b>${pendingCount}</b></div></div>
+<p>${[7, 30, 90].map(d => `<a href="/admin?days=${d}">${d} days</a>`).join(' · ')}</p>
+${barChart('Revenue', stats, 'revenue', '₹')}${barChart('Orders', stats, 'orders')}${barChart('Provider spend', stats, 'provider_spend', '₹')}
+<h2>Pending payments${pendingCount > pendingPayments.length ? ` <small>(latest ${pendingPayments.length})</small>` : ''}</h2>
+<table><tr><th>Payment</th><th>User</th><th>Amount</th><th>Created</th></tr>${pendingPayments.map(p => `<tr><td>${p._id}</td><td>${p.user_id} @${escapeHtml(p.username || '-')}</td><td>₹${p.amount}</td><td>${p.created_at.toLocaleString()}</td></tr>`).join('')}</table>
+<h2>Recent orders</h2>
+<table><tr><th>Order</th><th>User</th><th>Service</th><th>Qty</th><th>Cost</th><th>Status</th><th>Provider</th><th>Created</th></tr>${recentOrders.map(o => `<tr><td>${escapeHtml(o.order_id)}</td><td>${o.user_id}</td><td>${escapeHtml(o.service_name || o.service)}</td><td>${o.qty}</td><td>₹${o.cost}</td><td>${escapeHtml(o.status)}</td><td>${escapeHtml(o.provider || '')}</td><td>${o.created_at.toLocaleString()}</td></tr>`).join('')}</table>`;
+    res.send(dashboardPage(body));
+  }));
+
+  return adminDashboard;
+}
@@ -0,0 +1,135 @@
+// ---------- Reseller API ----------
+// An SMM-panel-compatible endpoint (the "API v2" most panels speak) under
+// /api/v2, so customers' own panels can order through us. Requests carry
+// `key` and `action` plus the action's parameters, form-encoded or JSON, by
+// POST or GET; every answer is JSON and failures are `{ error }`. Services go
+// by their numeric `api_id` and orders by our `order_no`, as panels expect.
+// Each key is held to the `api` rate limit.
+import express from 'express';
+import { roundMoney, refundableAmount } from '../lib/pricing.js';
+import { asyncRoute } from './auth.js';
+import { log } from '../lib/log.js';
+
+const CURRENCY = 'INR';
+const MAX_ORDERS_PER_REQUEST = 100;   // multi-order `status` and `cancel`
+const PANEL_STATUSES = { pending: 'Pending', processing: 'In progress', completed: 'Completed', partial: 'Partial', cancelled: 'Canceled', unknown: 'Pending' };
+
+function splitIds(v) {
+  return String(v || '').split(',').map(s => s.trim()).filter(Boolean).slice(0, MAX_ORDERS_PER_REQUEST);
+}
+
+function panelStatus(order) {
+  return {
+    charge: String(refundableAmount(order)),
+    start_count: String(order.start_count ?? 0),
+    status: PANEL_STATUSES[order.status] || order.status,
+    remains: String(order.remains ?? (order.status === 'completed' ? 0 : order.qty)),
+    currency: CURRENCY
+  };
+}
+
+export function createResellerApi(app) {
+  const { Users, Orders, Services, userForApiKey, placeApiOrder, requestRefill, requestCancel, getRateLimits, hitRateLimit, logAbuse } = app;
+
+  async function findUserOrders(user, ids) {
+    const nos = ids.map(Number).filter(n => Number.isInteger(n) && n > 0);
+    const orders = await Orders.find({ user_id: user.user_id, order_no: { $in: nos } }).toArray();
+    return new Map(orders.map(o => [String(o.order_no), o]));
+  }
+
+  async function findUserOrder(user, id) {
+    id = String(id || '').trim();
+    return id ? (await findUserOrders(user, [id])).get(id) : null;
+  }
+
+  const actions = {
+    async services() {
+      const services = await Services.find({ enabled: true }).sort({ category: 1, name: 1 }).toArray();
+      return services.map(s => ({
+        service: s.api_id,
+        name: s.name,
+        type: 'Default',
+        category: s.category || 'Other',
+        rate: String(s.price_per_1k),
+        min: String(s.min),
+        max: String(s.max),
+        // as last synced from the primary route's provider
+        refill: s.allow_refill !== false && Boolean(s.refill),
+        cancel: s.allow_cancel !== false && Boolean(s.cancel)
+      }));
+    },
+
+    async add(user, p) {
+      const res = await placeApiOrder(user, p);
+      if (res.error) return res;
+      return { order: res.order.order_no };
+    },
+
+    async status(user, p) {
+      if (p.orders) {
+        const ids = splitIds(p.orders);
+        const found = await findUserOrders(user, ids);
+        return Object.fromEntries(ids.map(id => [id, found.has(id) ? panelStatus(found.get(id)) : { error: 'Incorrect order ID' }]));
+      }
+      const order = await findUserOrder(user, p.order);
+      return order ? panelStatus(order) : { error: 'Incorrect order ID' };
+    },
+
+    async balance(user) {
+      return { balance: roundMoney(user.balance || 0).toFixed(2), currency: CURRENCY };
+    },
+
+    async refill(user, p) {
+      const order = await findUserOrder(user, p.order);
+      if (!order) return { error: 'Incorrect order ID' };
+      const res = await requestRefill(order);
+      if (res.error) return { error: res.error };
+      return { refill: String(res.refill._id) };
+    },
+
+    async cancel(user, p) {
+      const ids = splitIds(p.orders || p.order);
+      const found = await findUserOrders(user, ids);
+      const out = [];
+      for (const id of ids) {
+        const order = found.get(id);
+        const res = order ? await requestCancel(order) : { error: 'Incorrect order ID' };
+        out.push({ order: Number(id) || id, cancel: res.error ? { error: res.error } : 1 });
+      }
+      return out;
+    }
+  };
+
+  const api = express.Router();
+  api.use(express.urlencoded({ extended: false }));
+  api.use(express.json());
+
+  api.all('/', asyncRoute(async (req, res) => {
+    const p = { ...req.query, ...(req.body || {}) };
+    const user = await userForApiKey(p.key);
+    if (!user) return res.status(401).json({ error: 'Invalid API key' });
+    if (user.banned) return res.status(403).json({ error: 'Your account is banned' });
+
+    const rule = (await getRateLimits()).api;
+    const verdict = rule ? hitRateLimit(user.user_id, 'api', rule) : 'ok';
+    if (verdict !== 'ok') {
+      if (verdict === 'first') await logAbuse({ id: user.user_id, username: user.username }, 'api', rule);
+      res.set('Retry-After', String(rule.window_sec));
+      return res.status(429).json({ error: 'Too many requests' });
+    }
+    if (!user.api_key.last_used_at || Date.now() - user.api_key.last_used_at > 60 * 1000) {
+      await Users.updateOne({ user_id: user.user_id }, { $set: { 'api_key.last_used_at': new Date() } });
+    }
+
+    const action = Object.hasOwn(actions, p.action) && actions[p.action];
+    if (!action) return res.status(400).json({ error: 'Incorrect request' });
+    res.json(await action(user, p));
+  }));
+
+  api.use((err, req, res, next) => {
+    log.error('reseller api request failed', { err });
+    res.status(500).json({ error: 'internal error' });
+  });
+
+  return api;
+}
@@ -0,0 +1,27 @@
+// ---------- HTTP server ----------
+// Health endpoint (for UptimeRobot; 503 while degraded), Prometheus metrics,
+// the reseller API, the admin REST API and the dashboard.
+import express from 'express';
+import { adminAuth, asyncRoute, bearerToken, tokenMatches } from './auth.js';
+import { createAdminApi } from './admin-api.js';
+import { createDashboard } from './dashboard.js';
+import { createResellerApi } from './reseller-api.js';
+
+export function createServer(app) {
+  const server = express();
+  const auth = adminAuth(app.config);
+  server.get('/', (req, res) => res.send('OK - bot is alive'));
+  server.get('/health', asyncRoute(async (req, res) => {
+    const health = await app.healthCheck();
+    res.status(health.status === 'ok' ? 200 : 503).json(health);
+  }));
+  server.get('/metrics', asyncRoute(async (req, res) => {
+    const { METRICS_TOKEN } = app.config;
+    if (METRICS_TOKEN && !tokenMatches(bearerToken(req), METRICS_TOKEN)) return res.status(401).send('unauthorized\n');
+    res.type('text/plain; version=0.0.4').send(await app.metrics.render());
+  }));
+  server.use('/api/v2', createResellerApi(app));
+  server.use('/admin/api', createAdminApi(app, auth));
+  server.use('/admin', createDashboard(app, auth));
+  return server;
+}
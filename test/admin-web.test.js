@@ -0,0 +1,50 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { createHarness, ADMIN_ID } from './support/harness.js';
+import { createServer } from '../src/web/server.js';
+
+const TOKEN = 'admin-secret';
+const AUTH = { authorization: `Bearer ${TOKEN}` };
+let h;
+let server;
+let base;
+
+beforeEach(async () => {
+  h = await createHarness({ ADMIN_API_TOKENS: [{ adminId: ADMIN_ID, token: TOKEN }] });
+  server = createServer(h.app).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  server.closeAllConnections();
+  server.close();
+  await once(server, 'close');
+  await h.close();
+});
+
+async function putSetting(key, value) {
+  const res = await fetch(`${base}/admin/api/settings/${key}`, { method: 'PUT', headers: { ...AUTH, 'content-type': 'application/json' }, body: JSON.stringify({ value }) });
+  return { status: res.status, body: await res.json() };
+}
+
+test('the dashboard counts every pending payment, not just the listed ones', async () => {
+  const now = Date.now();
+  await h.app.Payments.insertMany(Array.from({ length: 25 }, (_, i) => ({ user_id: 1000 + i, amount: 100, state: 'pending', created_at: new Date(now - i * 1000) })));
+  const html = await (await fetch(`${base}/admin`, { headers: AUTH })).text();
+  assert.match(html, /🧾 Pending payments<br><b>25<\/b>/);
+  assert.match(html, /<h2>Pending payments <small>\(latest 20\)<\/small><\/h2>/);
+});
+
+test('rate limits set through the API are checked and applied at once', async () => {
+  assert.equal((await putSetting('rate_limits', { api: { limit: 0, window_sec: 60 } })).status, 400);
+  assert.equal((await putSetting('rate_limits', { bogus: { limit: 1, window_sec: 60 } })).status, 400);
+  assert.equal((await putSetting('rate_limits', [])).status, 400);
+
+  assert.equal((await h.app.getRateLimits()).message.limit, 20);   // cached
+  const { status, body } = await putSetting('rate_limits', { message: { limit: '3', window_sec: 30 } });
+  assert.equal(status, 200);
+  assert.deepEqual(body.value, { message: { limit: 3, window_sec: 30 } });
+  assert.deepEqual((await h.app.getRateLimits()).message, { limit: 3, window_sec: 30 });
+});
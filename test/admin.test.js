@@ -0,0 +1,97 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, ADMIN_ID } from './support/harness.js';
+
+const USER = 444;
+let h;
+
+beforeEach(async () => {
+  h = await createHarness();
+  await h.send(USER, '/start');
+});
+
+afterEach(() => h.close());
+
+test('admin commands are refused to everyone else', async () => {
+  for (const cmd of ['/addbalance 444 100', '/ban 555', '/setstatus 1000 completed', '/refund 1000', '/providers']) {
+    await h.send(USER, cmd);
+    assert.equal(h.telegram.lastTextTo(USER), 'Not authorized', cmd);
+  }
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 0);
+});
+
+test('/addbalance credits and debits through the ledger', async () => {
+  await h.send(ADMIN_ID, '/addbalance 444 50 goodwill');
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /Added ₹50 to 444\. New balance: ₹50\.00/);
+  assert.match(h.telegram.lastTextTo(USER), /₹50 has been added/);
+
+  await h.send(ADMIN_ID, '/addbalance 444 -20');
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 30);
+
+  await h.send(ADMIN_ID, '/addbalance 444 -100');
+  assert.equal(h.telegram.lastTextTo(ADMIN_ID), 'User 444 not found or balance too low.');
+
+  const txs = await h.app.Transactions.find({ user_id: USER }).sort({ created_at: 1 }).toArray();
+  assert.deepEqual(txs.map(t => [t.type, t.amount, t.balance_after, t.actor_id]), [
+    ['admin_adjustment', 50, 50, ADMIN_ID],
+    ['admin_adjustment', -20, 30, ADMIN_ID]
+  ]);
+  assert.equal(txs[0].note, 'goodwill');
+});
+
+test('/ban shuts a user out until /unban', async () => {
+  await h.send(ADMIN_ID, '/ban 444 spam');
+  assert.equal(h.telegram.lastTextTo(ADMIN_ID), '🚫 Banned 444.');
+  const banned = await h.app.Users.findOne({ user_id: USER });
+  assert.equal(banned.banned, true);
+  assert.equal(banned.ban_reason, 'spam');
+
+  await h.send(USER, '/profile');
+  assert.match(h.telegram.lastTextTo(USER), /You are banned from using this bot\.\nReason: spam/);
+  await h.press(USER, 'ADD_FUND');
+  assert.equal(await h.app.Sessions.countDocuments({ user_id: USER }), 0);
+
+  await h.send(ADMIN_ID, '/ban 9001');
+  assert.equal(h.telegram.lastTextTo(ADMIN_ID), 'Admins cannot be banned.');
+
+  await h.send(ADMIN_ID, '/unban 444');
+  await h.press(USER, 'ADD_FUND');
+  assert.equal((await h.app.Sessions.findOne({ user_id: USER })).state, 'fund:amount');
+});
+
+test('/setstatus overrides an order status and records who did it', async () => {
+  await h.app.walletCredit(USER, 10, 'deposit');
+  const order = await h.placeOrder(USER, { qty: 1000 });
+
+  await h.send(ADMIN_ID, `/setstatus ${order.order_id} completed`);
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /Order #1000 is now completed/);
+  const updated = await h.app.Orders.findOne({ _id: order._id });
+  assert.equal(updated.status, 'completed');
+  assert.equal(updated.manual_status, true);
+  assert.deepEqual(updated.status_history.map(s => [s.status, s.source]), [['pending', 'bot'], ['completed', 'admin']]);
+
+  await h.send(ADMIN_ID, `/setstatus ${order.order_id} lost`);
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /Unknown status/);
+});
+
+test('/ledger splits long histories across messages', async () => {
+  for (let i = 0; i < 100; i++) await h.app.walletCredit(USER, 1, 'deposit', { ref_type: 'payment', ref_id: `payment-${i}` });
+  const before = h.telegram.textsTo(ADMIN_ID).length;
+  await h.send(ADMIN_ID, '/ledger 444 100');
+  const texts = h.telegram.textsTo(ADMIN_ID).slice(before);
+  assert.ok(texts.length > 1);
+  assert.ok(texts.every(t => t.length <= 4096));
+  assert.match(texts[0], /^📒 Ledger for 444 \(balance ₹100\.00\)/);
+  assert.equal(texts.join('\n\n').match(/Deposit: \+₹1\.00/g).length, 100);
+});
+
+test('/provider add asks the admin to delete the key message when the bot cannot', async () => {
+  h.telegram.deleteMessage = async () => { throw new Error('message can\'t be deleted'); };
+  await h.send(ADMIN_ID, '/provider add other https://other.example/api/v2 secret-key');
+  assert.equal((await h.app.Providers.findOne({ name: 'other' })).key, 'secret-key');
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /Provider other added[^]*Could not delete your message with the API key/);
+
+  delete h.telegram.deleteMessage;
+  await h.send(ADMIN_ID, '/provider edit other key new-key');
+  assert.equal(h.telegram.lastTextTo(ADMIN_ID), '✅ other.key updated');
+});
@@ -0,0 +1,83 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, ADMIN_ID } from './support/harness.js';
+
+const USER = 111;
+let h;
+
+beforeEach(async () => {
+  h = await createHarness();
+  await h.send(USER, '/start');
+});
+
+afterEach(() => h.close());
+
+async function requestDeposit(amount) {
+  await h.press(USER, 'ADD_FUND');
+  await h.send(USER, String(amount));
+  await h.sendPhoto(USER);
+  return h.app.Payments.findOne({ user_id: USER, state: 'pending' });
+}
+
+test('an approved deposit credits the wallet through the ledger', async () => {
+  const payment = await requestDeposit(150);
+  assert.equal(payment.amount, 150);
+  assert.equal(payment.screenshot_file_id, 'photo-file-id');
+  assert.equal(h.telegram.sent('sendPhoto', ADMIN_ID).length, 1);
+
+  await h.press(ADMIN_ID, `PAY_APPROVE:${payment._id}`);
+
+  const user = await h.app.Users.findOne({ user_id: USER });
+  assert.equal(user.balance, 150);
+  assert.equal(user.total_deposited, 150);
+  const txs = await h.app.Transactions.find({ user_id: USER }).toArray();
+  assert.equal(txs.length, 1);
+  assert.equal(txs[0].type, 'deposit');
+  assert.equal(txs[0].amount, 150);
+  assert.equal(txs[0].balance_after, 150);
+  assert.match(h.telegram.lastTextTo(USER), /₹150 has been added to your balance/);
+
+  // a second press on the same button does not pay twice
+  await h.press(ADMIN_ID, `PAY_APPROVE:${payment._id}`);
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 150);
+  assert.equal(h.telegram.lastTextTo(ADMIN_ID), 'This payment is already approved.');
+});
+
+test('a rejected deposit leaves the balance alone', async () => {
+  const payment = await requestDeposit(50);
+  await h.press(ADMIN_ID, `PAY_REJECT:${payment._id}`);
+  assert.equal((await h.app.Payments.findOne({ _id: payment._id })).state, 'rejected');
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 0);
+  assert.equal(await h.app.Transactions.countDocuments({ user_id: USER }), 0);
+});
+
+test('amounts below the minimum are refused', async () => {
+  await h.press(USER, 'ADD_FUND');
+  await h.send(USER, '5');
+  assert.match(h.telegram.lastTextTo(USER), /Invalid amount/);
+  assert.equal(await h.app.Payments.countDocuments({}), 0);
+});
+
+test('amounts above the limit or not finite are refused, the rest rounded to paise', async () => {
+  await h.press(USER, 'ADD_FUND');
+  for (const text of ['Infinity', '1e9', '100001']) {
+    await h.send(USER, text);
+    assert.match(h.telegram.lastTextTo(USER), /Invalid amount\. Enter a number from ₹10 to ₹100000/, text);
+  }
+  assert.equal(await h.app.Payments.countDocuments({}), 0);
+  await h.send(USER, '25.123456');
+  assert.equal((await h.app.Payments.findOne({})).amount, 25.12);
+});
+
+test('a screenshot without a deposit request is turned away', async () => {
+  await h.sendPhoto(USER);
+  assert.match(h.telegram.lastTextTo(USER), /first select \*Add Fund\*/);
+  assert.equal(h.telegram.sent('sendPhoto', ADMIN_ID).length, 0);
+});
+
+test('only admins can approve payments', async () => {
+  const payment = await requestDeposit(100);
+  await h.press(USER, `PAY_APPROVE:${payment._id}`);
+  assert.equal((await h.app.Payments.findOne({ _id: payment._id })).state, 'pending');
+  assert.deepEqual(h.telegram.sent('answerCallbackQuery').pop().text, 'Not authorized');
+});
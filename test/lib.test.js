@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { roundMoney, calcCost, couponDiscount, applyMarkup, refundableAmount, partialRefundAmount, settlementRefund } from '../src/lib/pricing.js';
+import { mapProviderStatus, mapRefillStatus } from '../src/lib/status.js';
+import { isValidLink } from '../src/lib/links.js';
+import { ledgerEntry, planRefund, referralCommission } from '../src/lib/wallet.js';
+import { createRegistry } from '../src/lib/metrics.js';
+
+test('pricing rounds to paise and prices per thousand', () => {
+  assert.equal(roundMoney(0.1 + 0.2), 0.3);
+  assert.equal(calcCost({ price_per_1k: 1.2 }, 1500), 1.8);
+  assert.equal(calcCost({ price_per_1k: 0.9 }, 1001), 0.9);
+});
+
+test('coupon discounts never exceed the amount', () => {
+  assert.equal(couponDiscount({ discount_type: 'percent', value: 10 }, 55), 5.5);
+  assert.equal(couponDiscount({ discount_type: 'flat', value: 50 }, 20), 20);
+});
+
+test('markup rules apply as a percent or a flat amount', () => {
+  assert.equal(applyMarkup(0.8, { type: 'percent', value: 25 }), 1);
+  assert.equal(applyMarkup(0.8, { type: 'fixed', value: 0.15 }), 0.95);
+});
+
+test('settlement refunds are capped by what is left to refund', () => {
+  const order = { cost: 10, qty: 1000, refunded_amount: 0 };
+  assert.equal(refundableAmount(order), 10);
+  assert.equal(partialRefundAmount(order, 250), 2.5);
+  assert.equal(partialRefundAmount(order, 5000), 10);
+  assert.equal(settlementRefund(order, 'cancelled'), 10);
+  assert.equal(settlementRefund(order, 'partial', 250), 2.5);
+  assert.equal(settlementRefund(order, 'completed', 0), 0);
+  assert.equal(settlementRefund({ ...order, refunded_amount: 9 }, 'partial', 500), 1);
+});
+
+test('provider statuses map onto the order lifecycle', () => {
+  assert.equal(mapProviderStatus('Pending'), 'pending');
+  assert.equal(mapProviderStatus('In progress'), 'processing');
+  assert.equal(mapProviderStatus('Completed'), 'completed');
+  assert.equal(mapProviderStatus('Partial'), 'partial');
+  assert.equal(mapProviderStatus('Canceled'), 'cancelled');
+  assert.equal(mapProviderStatus('Refunded'), 'cancelled');
+  assert.equal(mapProviderStatus('Something new'), null);
+  assert.equal(mapRefillStatus('Partial'), 'completed');
+  assert.equal(mapRefillStatus('Rejected'), 'rejected');
+});
+
+test('links are checked against the service pattern', () => {
+  const service = { link_pattern: 'instagram\\.com/p/' };
+  assert.equal(isValidLink(service, 'https://www.Instagram.com/p/abc'), true);
+  assert.equal(isValidLink(service, 'https://instagram.com/reel/abc'), false);
+  assert.equal(isValidLink({}, 'http://example.com'), true);
+  assert.equal(isValidLink({}, 'example.com'), false);
+  assert.equal(isValidLink({ link_pattern: '(' }, 'https://instagram.com/p/abc'), false);
+});
+
+test('ledger entries carry the balance left after the change', () => {
+  const at = new Date(0);
+  assert.deepEqual(ledgerEntry({ user_id: 7, balance: 12.345 }, 'deposit', 10, { ref_type: 'payment', ref_id: 'p1' }, at), {
+    user_id: 7, type: 'deposit', amount: 10, balance_after: 12.35, ref_type: 'payment', ref_id: 'p1', note: null, actor_id: null, created_at: at
+  });
+});
+
+test('admin refunds are planned against the remaining cost', () => {
+  const order = { cost: 10, refunded_amount: 4 };
+  assert.deepEqual(planRefund(order, null), { amount: 6, full: true });
+  assert.deepEqual(planRefund(order, 2), { amount: 2, full: false });
+  assert.deepEqual(planRefund(order, 7), { error: 'At most ₹6 is left to refund on this order.' });
+  assert.deepEqual(planRefund(order, -1), { error: 'Invalid refund amount.' });
+  assert.deepEqual(planRefund({ cost: 10, refunded_amount: 10 }, null), { error: 'This order is already fully refunded.' });
+});
+
+test('referral commission is a share of the net spend', () => {
+  assert.deepEqual(referralCommission({ cost: 20, refunded_amount: 5 }, 5), { spend: 15, commission: 0.75 });
+});
+
+test('the metrics registry renders the Prometheus text format', async () => {
+  const registry = createRegistry();
+  const calls = registry.counter('calls_total', 'Calls.');
+  const latency = registry.histogram('latency_seconds', 'Latency.', [0.1, 1]);
+  registry.gauge('queue', 'Queue length.', async () => [{ labels: { name: 'a"b' }, value: 3 }]);
+  calls.inc({ action: 'add' });
+  calls.inc({ action: 'add' }, 2);
+  latency.observe({}, 0.5);
+  assert.equal(await registry.render(), [
+    '# HELP calls_total Calls.', '# TYPE calls_total counter', 'calls_total{action="add"} 3',
+    '# HELP latency_seconds Latency.', '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{le="0.1"} 0', 'latency_seconds_bucket{le="1"} 1', 'latency_seconds_bucket{le="+Inf"} 1',
+    'latency_seconds_sum 0.5', 'latency_seconds_count 1',
+    '# HELP queue Queue length.', '# TYPE queue gauge', 'queue{name="a\\"b"} 3'
+  ].join('\n') + '\n');
+});
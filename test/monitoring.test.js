@@ -0,0 +1,147 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { createHarness, ADMIN_ID } from './support/harness.js';
+import { createServer } from '../src/web/server.js';
+import { setLogLevel, setLogOutput } from '../src/lib/log.js';
+
+const USER = 888;
+let h;
+let server;
+let base;
+
+async function listen(overrides) {
+  h = await createHarness(overrides);
+  server = createServer(h.app).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  base = `http://127.0.0.1:${server.address().port}`;
+  await h.send(USER, '/start');
+}
+
+beforeEach(() => listen());
+
+async function restart(overrides) {
+  server.closeAllConnections();
+  server.close();
+  await h.close();
+  await listen(overrides);
+}
+
+afterEach(async () => {
+  server.closeAllConnections();
+  server.close();
+  await once(server, 'close');
+  await h.close();
+});
+
+async function get(path, headers = {}) {
+  const res = await fetch(base + path, { headers });
+  return { status: res.status, text: await res.text() };
+}
+
+// Collects the lines logged while fn runs.
+async function captureLogs(fn) {
+  const lines = [];
+  setLogOutput(line => lines.push(line));
+  setLogLevel('info');
+  try { await fn(); } finally {
+    setLogLevel('silent');
+    setLogOutput(null);
+  }
+  return lines;
+}
+
+test('/health is degraded until the bot runs and the checker has finished a pass', async () => {
+  let res = await get('/health');
+  assert.equal(res.status, 503);
+  let health = JSON.parse(res.text);
+  assert.equal(health.status, 'degraded');
+  assert.equal(health.checks.db.ok, true);
+  assert.deepEqual(health.checks.bot, { ok: false, state: 'stopped' });
+
+  h.app.setBotState('running');
+  assert.equal(JSON.parse((await get('/health')).text).checks.status_checker.ok, true);   // grace period after start
+  await h.app.checkOrderStatuses();
+  res = await get('/health');
+  assert.equal(res.status, 200);
+  assert.equal(JSON.parse(res.text).status, 'ok');
+
+  h.db.unreachable = true;
+  res = await get('/health');
+  assert.equal(res.status, 503);
+  health = JSON.parse(res.text);
+  assert.deepEqual(health.checks.db, { ok: false, error: 'connection refused' });
+});
+
+test('/metrics reports orders, payments, providers and updates', async () => {
+  await h.app.walletCredit(USER, 10, 'deposit');
+  await h.placeOrder(USER, { qty: 1000 });
+  await h.app.checkOrderStatuses();
+
+  const { status, text } = await get('/metrics');
+  assert.equal(status, 200);
+  assert.match(text, /^smm_orders\{status="pending"\} 1$/m);
+  assert.match(text, /^smm_orders\{status="completed"\} 0$/m);
+  assert.match(text, /^smm_payments_pending 0$/m);
+  assert.match(text, /^smm_provider_requests_total\{provider="viralsmm",action="add",outcome="ok"\} 1$/m);
+  assert.match(text, /^smm_provider_request_duration_seconds_count\{provider="viralsmm",action="status"\} 1$/m);
+  assert.match(text, /^smm_provider_error_rate\{provider="viralsmm"\} 0$/m);
+  assert.match(text, /^smm_status_checker_lag_seconds \d/m);
+  assert.match(text, /^smm_bot_updates_total\{type="callback_query"\} \d+$/m);
+});
+
+test('/metrics takes a bearer token when METRICS_TOKEN is set', async () => {
+  await restart({ METRICS_TOKEN: 'scrape-me' });
+  assert.equal((await get('/metrics')).status, 401);
+  assert.equal((await get('/metrics', { authorization: 'Bearer nope' })).status, 401);
+  assert.equal((await get('/metrics', { authorization: 'Bearer scrape-me' })).status, 200);
+});
+
+test('log lines of an update share its correlation id', async () => {
+  await h.app.walletCredit(USER, 10, 'deposit');
+  const lines = await captureLogs(() => h.placeOrder(USER, { qty: 1000 }));
+  const placed = lines.find(l => l.msg === 'order placed');
+  assert.equal(placed.level, 'info');
+  assert.equal(placed.user_id, USER);
+  assert.equal(placed.order_id, 1000);
+  assert.match(placed.cid, /^[0-9a-f]{12}$/);
+  assert.ok(placed.update_id);
+
+  // the mock provider says Pending first, then In progress
+  const polled = await captureLogs(async () => { await h.app.checkOrderStatuses(); await h.app.checkOrderStatuses(); });
+  assert.deepEqual(polled.filter(l => l.msg === 'order status changed').map(l => [l.order_id, l.from, l.to]), [[1000, 'pending', 'processing']]);
+});
+
+test('a failing handler is logged and counted instead of crashing the bot', async () => {
+  const findOne = h.app.Users.findOne;
+  h.app.Users.findOne = async () => { throw new Error('db gone'); };
+  const lines = await captureLogs(() => h.send(USER, '/profile'));
+  h.app.Users.findOne = findOne;
+  const failed = lines.find(l => l.msg === 'update handler failed');
+  assert.equal(failed.error, 'db gone');
+  assert.equal(failed.user_id, USER);
+  assert.match((await get('/metrics')).text, /^smm_bot_update_errors_total\{type="message"\} 1$/m);
+});
+
+test('admins are alerted once about a low provider balance', async () => {
+  await restart({ ALERT_PROVIDER_MIN_BALANCE: 5000 });   // the mock provider holds 1000
+  await h.app.checkAlerts();
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /🚨 Provider viralsmm balance is low: 1000 INR/);
+  const sent = h.telegram.textsTo(ADMIN_ID).length;
+  await h.app.checkAlerts();
+  assert.equal(h.telegram.textsTo(ADMIN_ID).length, sent);
+  assert.match((await get('/metrics')).text, /^smm_provider_balance\{provider="viralsmm",currency="INR"\} 1000$/m);
+  assert.deepEqual((await h.app.Providers.findOne({ name: 'viralsmm' })).recent, []);   // polls stay out of the error window
+});
+
+test('a high provider error rate is alerted and cleared', async () => {
+  const failing = Array.from({ length: 10 }, () => ({ ok: false, at: new Date() }));
+  await h.app.Providers.updateOne({ name: 'viralsmm' }, { $set: { recent: failing, last_error: 'Incorrect request' } });
+  await h.app.checkAlerts();
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /🚨 Provider viralsmm: 100% of the last 10 calls failed\.\nLast error: Incorrect request/);
+  assert.match((await get('/metrics')).text, /^smm_alerts_total\{kind="provider_errors"\} 1$/m);
+
+  await h.app.Providers.updateOne({ name: 'viralsmm' }, { $set: { recent: [] } });
+  await h.app.checkAlerts();
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /✅ Provider viralsmm error rate is back to 0%/);
+});
@@ -0,0 +1,162 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { createHarness, ADMIN_ID } from './support/harness.js';
+
+const USER = 222;
+let h;
+
+beforeEach(async () => {
+  h = await createHarness();
+  await h.send(USER, '/start');
+});
+
+afterEach(() => h.close());
+
+test('a confirmed order is placed with the provider and debited', async () => {
+  await h.app.walletCredit(USER, 20, 'deposit');
+  const order = await h.placeOrder(USER, { qty: 2000 });
+
+  assert.ok(order, 'order recorded');
+  assert.equal(order.order_id, 1000);   // the mock provider's first id
+  assert.equal(order.provider, 'viralsmm');
+  assert.equal(order.provider_service_id, 11505);
+  assert.equal(order.cost, 2.4);
+  assert.equal(order.status, 'pending');
+
+  const user = await h.app.Users.findOne({ user_id: USER });
+  assert.equal(user.balance, 17.6);
+  assert.equal(user.total_spent, 2.4);
+  const debit = await h.app.Transactions.findOne({ user_id: USER, type: 'order_debit' });
+  assert.equal(debit.amount, -2.4);
+  assert.equal(debit.balance_after, 17.6);
+  assert.equal(String(debit.ref_id), String(order._id));
+  assert.match(h.telegram.lastTextTo(USER), /Order Placed Successfully/);
+});
+
+test('an order the wallet cannot cover is not placed', async () => {
+  await h.app.walletCredit(USER, 1, 'deposit');
+  const order = await h.placeOrder(USER, { qty: 1000 });
+  assert.equal(order, null);
+  assert.match(h.telegram.lastTextTo(USER), /Insufficient balance/);
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 1);
+});
+
+test('links that do not fit the service are asked for again', async () => {
+  await h.press(USER, 'ORDER:likes');
+  await h.send(USER, 'https://instagram.com/reel/xyz');
+  assert.match(h.telegram.lastTextTo(USER), /Invalid link/);
+  assert.equal((await h.app.Sessions.findOne({ user_id: USER })).state, 'order:link');
+});
+
+test('a confirm button only works once', async () => {
+  await h.app.walletCredit(USER, 20, 'deposit');
+  await h.press(USER, 'ORDER:likes');
+  await h.send(USER, 'https://instagram.com/p/once');
+  await h.send(USER, '1000');
+  const { data } = await h.app.Sessions.findOne({ user_id: USER });
+  await h.press(USER, `CONFIRM_ORDER:${data.draft_id}`);
+  await h.press(USER, `CONFIRM_ORDER:${data.draft_id}`);
+  assert.equal(await h.app.Orders.countDocuments({ user_id: USER }), 1);
+  assert.match(h.telegram.lastTextTo(USER), /no longer valid/);
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 18.8);
+});
+
+test('an order the provider rejects is given back', async () => {
+  await h.app.walletCredit(USER, 20, 'deposit');
+  await h.app.Services.updateOne({ key: 'likes' }, { $set: { routes: [{ provider: 'viralsmm', service_id: 1 }] } });
+  const order = await h.placeOrder(USER, { qty: 1000 });
+  assert.equal(order, null);
+  assert.match(h.telegram.lastTextTo(USER), /Your balance has not been charged/);
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 20);
+  assert.equal(await h.app.Transactions.countDocuments({ user_id: USER, type: 'reversal' }), 1);
+});
+
+test('a provider error fails over to the next route', async () => {
+  await h.app.walletCredit(USER, 20, 'deposit');
+  await h.app.Services.updateOne({ key: 'likes' }, { $set: { routes: [{ provider: 'viralsmm', service_id: 1 }, { provider: 'viralsmm', service_id: 11505 }] } });
+  const order = await h.placeOrder(USER, { qty: 1000 });
+  assert.equal(order.provider_service_id, 11505);
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 18.8);
+});
+
+test('a provider that does not answer is not failed over but left to an admin', async () => {
+  await h.app.walletCredit(USER, 20, 'deposit');
+  await h.app.Providers.insertOne({ name: 'silent', url: 'http://127.0.0.1:1/api/v2', key: 'k', priority: 2, enabled: true, health: 'healthy', fail_streak: 0, recent: [], created_at: new Date() });
+  await h.app.Services.updateOne({ key: 'likes' }, { $set: { routes: [{ provider: 'silent', service_id: 1 }, { provider: 'viralsmm', service_id: 11505 }] } });
+  const order = await h.placeOrder(USER, { qty: 1000 });
+  assert.deepEqual([order.status, order.order_id, order.provider], ['unknown', null, 'silent']);
+  assert.match(h.telegram.lastTextTo(USER), /did not confirm your order/);
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), new RegExp(`silent did not answer an order.*refund it with /refund ${order._id}\\n\\nuser 222 \\| likes \\| https://instagram\\.com/p/abc \\| 1000 \\| ₹1\\.2`, 's'));
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 18.8);
+  assert.equal(await h.app.Transactions.countDocuments({ user_id: USER, type: 'reversal' }), 0);
+
+  // the admin finds it was never placed
+  await h.send(ADMIN_ID, `/refund ${order._id}`);
+  const settled = await h.app.Orders.findOne({ _id: order._id });
+  assert.deepEqual([settled.status, settled.refunded_amount], ['cancelled', 1.2]);
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 20);
+  assert.equal(await h.app.Transactions.countDocuments({ user_id: USER, type: 'refund' }), 1);
+});
+
+// A due scheduled order with its cost already reserved, as the schedule scene leaves it.
+async function scheduleOrder(fields = {}) {
+  const _id = new ObjectId();
+  await h.app.walletDebit(USER, 1.2, 'order_debit', { ref_type: 'order', ref_id: _id });
+  await h.app.ScheduledOrders.insertOne({ _id, user_id: USER, username: 'user222', service: 'likes', service_name: 'Instagram Likes', link: 'https://instagram.com/p/later', qty: 1000, subtotal: 1.2, discount: 0, coupon_code: null, cost: 1.2, run_at: new Date(Date.now() - 1000), status: 'scheduled', created_at: new Date(), updated_at: new Date(), ...fields });
+  return _id;
+}
+
+test('a scheduled order that throws while placing is held for an admin, not refunded', async () => {
+  await h.app.walletCredit(USER, 20, 'deposit');
+  const id = await scheduleOrder();
+  const insertOne = h.app.Orders.insertOne;
+  h.app.Orders.insertOne = async () => { h.app.Orders.insertOne = insertOne; throw new Error('write failed'); };   // after the provider took it
+  await h.app.runScheduledOrders();
+  const s = await h.app.ScheduledOrders.findOne({ _id: id });
+  assert.deepEqual([s.status, (await h.app.Orders.findOne({ _id: id })).status], ['unknown', 'unknown']);
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 18.8);
+  assert.match(h.telegram.lastTextTo(USER), /did not confirm your scheduled Instagram Likes order/);
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), new RegExp(`Scheduled order ${id} failed while placing[^]*refund it with /refund ${id}`));
+
+  await h.send(ADMIN_ID, `/refund ${id}`);
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 20);
+});
+
+test('scheduled orders cut off by a restart are settled at start', async () => {
+  await h.app.walletCredit(USER, 20, 'deposit');
+  const placed = await scheduleOrder({ status: 'placing' });
+  await h.app.Orders.insertOne({ _id: placed, order_id: 4242, user_id: USER, service: 'likes', qty: 1000, cost: 1.2, status: 'pending', created_at: new Date() });
+  const lost = await scheduleOrder({ status: 'placing', link: 'https://instagram.com/p/lost' });
+  const unsent = await scheduleOrder({ status: 'running' });
+
+  await h.app.recoverScheduledOrders();
+  assert.deepEqual(await h.app.ScheduledOrders.findOne({ _id: placed }, { projection: { _id: 0, status: 1, order_id: 1 } }), { status: 'placed', order_id: 4242 });
+  assert.equal((await h.app.ScheduledOrders.findOne({ _id: lost })).status, 'unknown');
+  assert.equal((await h.app.Orders.findOne({ _id: lost })).status, 'unknown');
+  assert.equal((await h.app.ScheduledOrders.findOne({ _id: unsent })).status, 'failed');
+  assert.equal((await h.app.Users.findOne({ user_id: USER })).balance, 17.6);   // only the unsent one is returned
+  const alerts = h.telegram.textsTo(ADMIN_ID);
+  assert.equal(alerts.length, 1);
+  assert.match(alerts[0], new RegExp(`Scheduled order ${lost} was cut off by a restart[^]*/refund ${lost}\\n\\nuser 222 \\| likes \\| https://instagram\\.com/p/lost`));
+});
+
+test('the status checker polls every open refill, not just the first page', async () => {
+  await h.app.Refills.insertMany(Array.from({ length: 150 }, (_, i) => ({ order_ref: new ObjectId(), order_id: i, user_id: USER, provider: 'viralsmm', provider_refill_id: String(9000 + i), status: 'pending', created_at: new Date() })));
+  await h.app.checkOrderStatuses();
+  assert.equal(await h.app.Refills.countDocuments({ provider_status: { $exists: false } }), 0);
+});
+
+test('a mass order cut off by a restart reports only the lines it left unchecked', async () => {
+  const line = (n, fields) => ({ n, service: 'likes', service_name: 'Instagram Likes', link: `https://instagram.com/p/m${n}`, qty: 1000, cost: 1.2, ...fields });
+  const batchId = new ObjectId();
+  await h.app.OrderBatches.insertOne({
+    _id: batchId, user_id: USER, username: 'user222', total: 2.4, state: 'running', created_at: new Date(), updated_at: new Date(),
+    lines: [line(1, { status: 'unknown', error: 'provider did not answer', order_ref: new ObjectId() }), line(2, { status: 'placing', order_ref: new ObjectId() })]
+  });
+  await h.app.processOrderBatches();
+  const alert = h.telegram.textsTo(ADMIN_ID).find(t => t.includes(`Mass order ${batchId}`));
+  assert.match(alert, /line 2: likes/);
+  assert.doesNotMatch(alert, /line 1:/);
+  assert.equal((await h.app.OrderBatches.findOne({ _id: batchId })).state, 'completed');
+});
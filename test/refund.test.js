@@ -0,0 +1,97 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, ADMIN_ID } from './support/harness.js';
+
+const USER = 333;
+let h;
+
+beforeEach(async () => {
+  h = await createHarness();
+  await h.send(USER, '/start');
+  await h.app.walletCredit(USER, 100, 'deposit');
+});
+
+afterEach(() => h.close());
+
+// The mock provider reports Pending, then In progress, then the final status.
+async function pollUntilSettled() {
+  for (let i = 0; i < 3; i++) await h.app.checkOrderStatuses();
+}
+
+async function balance() {
+  return (await h.app.Users.findOne({ user_id: USER })).balance;
+}
+
+test('a cancelled order is refunded in full by the status checker', async () => {
+  const order = await h.placeOrder(USER, { link: 'https://instagram.com/p/a#cancel', qty: 5000 });
+  assert.equal(await balance(), 94);
+
+  await pollUntilSettled();
+
+  const settled = await h.app.Orders.findOne({ _id: order._id });
+  assert.equal(settled.status, 'cancelled');
+  assert.equal(settled.refunded_amount, 6);
+  assert.equal(await balance(), 100);
+  const refund = await h.app.Transactions.findOne({ user_id: USER, type: 'refund' });
+  assert.equal(refund.amount, 6);
+  assert.match(h.telegram.lastTextTo(USER), /was cancelled\. ₹6 has been returned/);
+
+  // further polls do not pay out again
+  await h.app.checkOrderStatuses();
+  assert.equal(await h.app.Transactions.countDocuments({ user_id: USER, type: 'refund' }), 1);
+});
+
+test('a partial order refunds the undelivered share', async () => {
+  const order = await h.placeOrder(USER, { link: 'https://instagram.com/p/b#partial', qty: 4000 });
+  await pollUntilSettled();
+
+  const settled = await h.app.Orders.findOne({ _id: order._id });
+  assert.equal(settled.status, 'partial');
+  assert.equal(settled.remains, 1000);
+  assert.equal(settled.refunded_amount, 1.2);
+  assert.equal(await balance(), 96.4);
+});
+
+test('a completed order keeps its cost', async () => {
+  const order = await h.placeOrder(USER, { qty: 1000 });
+  await pollUntilSettled();
+  assert.equal((await h.app.Orders.findOne({ _id: order._id })).status, 'completed');
+  assert.equal(await balance(), 98.8);
+});
+
+test('/refund pays back part of an order, then the rest, and no more', async () => {
+  const order = await h.placeOrder(USER, { qty: 5000 });
+
+  await h.send(ADMIN_ID, `/refund ${order.order_id} 2`);
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /Refunded ₹2 on order #1000/);
+  assert.equal(await balance(), 96);
+
+  await h.send(ADMIN_ID, `/refund ${order.order_id} 5`);
+  assert.equal(h.telegram.lastTextTo(ADMIN_ID), '❌ At most ₹4 is left to refund on this order.');
+
+  await h.send(ADMIN_ID, `/refund ${order.order_id}`);
+  assert.equal(await balance(), 100);
+  const refunded = await h.app.Orders.findOne({ _id: order._id });
+  assert.equal(refunded.refunded_amount, 6);
+  assert.equal(refunded.status, 'cancelled');
+
+  await h.send(ADMIN_ID, `/refund ${order.order_id}`);
+  assert.equal(h.telegram.lastTextTo(ADMIN_ID), '❌ This order is already fully refunded.');
+});
+
+test('the status checker does not refund what an admin already refunded', async () => {
+  const order = await h.placeOrder(USER, { link: 'https://instagram.com/p/c#cancel', qty: 5000 });
+  await h.send(ADMIN_ID, `/refund ${order.order_id} 2`);
+  await pollUntilSettled();
+  assert.equal((await h.app.Orders.findOne({ _id: order._id })).refunded_amount, 6);
+  assert.equal(await balance(), 100);
+});
+
+test('split refunds that add up to the cost in paise are accepted', async () => {
+  const order = await h.placeOrder(USER, { qty: 500 });
+  await h.app.Orders.updateOne({ _id: order._id }, { $set: { cost: 0.3 } });
+  await h.send(ADMIN_ID, `/refund ${order.order_id} 0.1`);
+  await h.send(ADMIN_ID, `/refund ${order.order_id} 0.2`);
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /Refunded ₹0\.2 on order/);
+  assert.equal(await h.app.Transactions.countDocuments({ user_id: USER, type: 'refund' }), 2);
+});
@@ -0,0 +1,63 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// days must split at local midnight, not UTC's
+process.env.TZ = 'Asia/Kolkata';
+const { createHarness, ADMIN_ID } = await import('./support/harness.js');
+
+let h;
+
+beforeEach(async () => {
+  h = await createHarness({ DAILY_REPORT_HOUR: 0 });
+});
+
+afterEach(() => h.close());
+
+function localDay(daysAgo, hours, minutes) {
+  const d = new Date();
+  d.setDate(d.getDate() - daysAgo);
+  d.setHours(hours, minutes, 0, 0);
+  return d;
+}
+
+test('daily stats bucket orders by the server\'s days', async () => {
+  await h.app.Orders.insertMany([
+    { order_id: 1, user_id: 1, cost: 10, status: 'completed', created_at: localDay(0, 0, 30) },   // 19:00 UTC the day before
+    { order_id: 2, user_id: 1, cost: 5, status: 'completed', created_at: localDay(1, 23, 45) },
+    { order_id: 3, user_id: 1, cost: 7, status: 'completed', created_at: localDay(2, 12, 0) }     // before the window
+  ]);
+  const stats = await h.app.dailyStats(2);
+  const day = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  assert.deepEqual(stats.map(r => [r.day, r.orders, r.revenue]), [
+    [day(localDay(1, 12, 0)), 1, 5],
+    [day(localDay(0, 12, 0)), 1, 10]
+  ]);
+});
+
+test('a daily report that fails to build is tried again', async () => {
+  await h.app.Orders.insertOne({ order_id: 1, user_id: 1, cost: 10, status: 'completed', created_at: localDay(1, 12, 0) });
+  h.app.Orders.aggregate = () => { throw new Error('db gone'); };
+  await h.app.sendDailyReport();
+  assert.equal(await h.app.getSetting('daily_report_sent'), null);
+  assert.equal(h.telegram.textsTo(ADMIN_ID).length, 0);
+
+  delete h.app.Orders.aggregate;
+  await h.app.sendDailyReport();
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /daily summary/);
+  assert.ok(await h.app.getSetting('daily_report_sent'));
+  await h.app.sendDailyReport();
+  assert.equal(h.telegram.textsTo(ADMIN_ID).length, 1);
+});
+
+test('a daily report no admin received is sent again on the next check', async () => {
+  await h.app.Orders.insertOne({ order_id: 1, user_id: 1, cost: 10, status: 'completed', created_at: localDay(1, 12, 0) });
+  const before = await h.app.getSetting('daily_report_sent');
+  h.telegram.sendMessage = async () => { throw new Error('Bad Gateway'); };
+  await h.app.sendDailyReport();
+  assert.equal(await h.app.getSetting('daily_report_sent'), before);
+
+  delete h.telegram.sendMessage;
+  await h.app.sendDailyReport();
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /daily summary/);
+  assert.notEqual(await h.app.getSetting('daily_report_sent'), before);
+});
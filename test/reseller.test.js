@@ -0,0 +1,187 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { createHarness } from './support/harness.js';
+import { createServer } from '../src/web/server.js';
+
+const USER = 666;
+let h;
+let server;
+let url;
+
+beforeEach(async () => {
+  h = await createHarness();
+  server = createServer(h.app).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  url = `http://127.0.0.1:${server.address().port}/api/v2`;
+  await h.send(USER, '/start');
+  await h.app.walletCredit(USER, 100, 'deposit');
+});
+
+afterEach(async () => {
+  server.closeAllConnections();
+  server.close();
+  await once(server, 'close');
+  await h.close();
+});
+
+async function createKey() {
+  await h.press(USER, 'APIKEY_NEW');
+  return h.telegram.lastTextTo(USER).match(/smm_\w+/)[0];
+}
+
+async function call(params) {
+  const res = await fetch(url, { method: 'POST', body: new URLSearchParams(params) });
+  return { status: res.status, body: await res.json() };
+}
+
+async function balance() {
+  return (await h.app.Users.findOne({ user_id: USER })).balance;
+}
+
+test('requests need a valid key', async () => {
+  assert.deepEqual(await call({ action: 'balance' }), { status: 401, body: { error: 'Invalid API key' } });
+  assert.equal((await call({ key: 'smm_nope', action: 'balance' })).status, 401);
+
+  const key = await createKey();
+  assert.deepEqual((await call({ key, action: 'balance' })).body, { balance: '100.00', currency: 'INR' });
+  assert.equal((await call({ key, action: 'toString' })).body.error, 'Incorrect request');
+  assert.ok((await h.app.Users.findOne({ user_id: USER })).api_key.last_used_at);
+});
+
+test('/apikey shows the key once, then only its prefix', async () => {
+  const key = await createKey();
+  const user = await h.app.Users.findOne({ user_id: USER });
+  assert.notEqual(user.api_key.hash, key);
+  await h.send(USER, '/apikey');
+  const text = h.telegram.lastTextTo(USER);
+  assert.ok(text.includes(`${key.slice(0, 10)}…`));
+  assert.ok(!text.includes(key));
+});
+
+test('rotating replaces the key and revoking removes it', async () => {
+  const first = await createKey();
+  const second = await createKey();
+  assert.equal((await call({ key: first, action: 'balance' })).status, 401);
+  assert.equal((await call({ key: second, action: 'balance' })).status, 200);
+
+  await h.press(USER, 'APIKEY_REVOKE_YES');
+  assert.match(h.telegram.lastTextTo(USER), /API key revoked/);
+  assert.equal((await call({ key: second, action: 'balance' })).status, 401);
+  await h.press(USER, 'APIKEY_REVOKE_YES');
+  assert.equal(h.telegram.lastTextTo(USER), 'You have no API key.');
+});
+
+test('orders placed through the API are charged and tracked like bot orders', async () => {
+  const key = await createKey();
+  const services = (await call({ key, action: 'services' })).body;
+  assert.deepEqual(services.map(s => s.service), [1, 2]);
+  assert.deepEqual(services.find(s => s.service === 1), { service: 1, name: 'Instagram Likes', type: 'Default', category: 'Instagram', rate: '1.2', min: '500', max: '50000', refill: false, cancel: false });
+
+  const { body } = await call({ key, action: 'add', service: '1', link: 'https://instagram.com/p/api', quantity: 5000 });
+  assert.equal(body.order, 1);   // our order number, not the provider's 1000
+  assert.equal(await balance(), 94);
+  const order = await h.app.Orders.findOne({ order_id: 1000 });
+  assert.equal(order.user_id, USER);
+  assert.equal(order.source, 'api');
+  assert.deepEqual(order.status_history.map(s => s.source), ['api']);
+  assert.equal((await h.app.Transactions.findOne({ ref_id: order._id })).type, 'order_debit');
+
+  assert.deepEqual((await call({ key, action: 'status', order: 1 })).body, { charge: '6', start_count: '0', status: 'Pending', remains: '5000', currency: 'INR' });
+  for (let i = 0; i < 3; i++) await h.app.checkOrderStatuses();
+  assert.equal((await call({ key, action: 'status', order: 1 })).body.status, 'Completed');
+  assert.deepEqual((await call({ key, action: 'status', orders: '1,999' })).body['999'], { error: 'Incorrect order ID' });
+});
+
+test('API orders go through the same checks as the bot', async () => {
+  const key = await createKey();
+  const add = async (fields) => (await call({ key, action: 'add', service: 'likes', link: 'https://instagram.com/p/x', quantity: 1000, ...fields })).body;
+  assert.equal((await add({ service: 'nope' })).error, 'Incorrect service ID');
+  assert.equal((await add({ service: 99 })).error, 'Incorrect service ID');
+  assert.match((await add({ link: 'https://example.com' })).error, /Incorrect link/);
+  assert.equal((await add({ quantity: 10 })).error, 'Quantity less than minimal 500');
+  assert.equal((await add({ quantity: 10.5 })).error, 'Incorrect quantity');
+  assert.equal((await add({ quantity: 50000 * 2 })).error, 'Quantity more than maximum 50000');
+
+  assert.ok((await add({})).order);
+  assert.match((await add({})).error, /active order with this link/);
+  assert.equal(await balance(), 98.8);
+  assert.equal((await add({ link: 'https://instagram.com/p/y', quantity: 50000 })).order, 2);
+  assert.equal((await add({ link: 'https://instagram.com/p/z', quantity: 50000 })).error, 'Not enough funds on balance');
+  assert.equal(await balance(), 38.8);
+});
+
+test('other users\' orders are invisible', async () => {
+  await h.send(777, '/start');
+  await h.app.walletCredit(777, 10, 'deposit');
+  await h.placeOrder(777, { qty: 1000 });
+  const key = await createKey();
+  assert.deepEqual((await call({ key, action: 'status', order: 1 })).body, { error: 'Incorrect order ID' });
+  assert.deepEqual((await call({ key, action: 'cancel', orders: '1' })).body, [{ order: 1, cancel: { error: 'Incorrect order ID' } }]);
+  assert.equal((await call({ key, action: 'refill', order: 1 })).body.error, 'Incorrect order ID');
+});
+
+test('refill and cancel follow the bot\'s rules', async () => {
+  await h.app.runServiceSync();   // the mock provider offers refill and cancel for likes
+  const key = await createKey();
+  await call({ key, action: 'add', service: 'likes', link: 'https://instagram.com/p/one', quantity: 1000 });
+  await call({ key, action: 'add', service: 'likes', link: 'https://instagram.com/p/two', quantity: 1000 });
+
+  assert.match((await call({ key, action: 'refill', order: 1 })).body.error, /cannot be refilled/);
+  assert.deepEqual((await call({ key, action: 'cancel', orders: '1' })).body, [{ order: 1, cancel: 1 }]);
+  assert.ok((await h.app.Orders.findOne({ order_id: 1000 })).cancel_requested_at);
+
+  for (let i = 0; i < 3; i++) await h.app.checkOrderStatuses();
+  assert.equal((await call({ key, action: 'status', order: 1 })).body.status, 'Canceled');
+  const { body } = await call({ key, action: 'refill', order: 2 });
+  assert.ok(body.refill);
+  assert.equal((await h.app.Refills.findOne({})).order_id, 1001);
+});
+
+test('each key is rate limited', async () => {
+  await h.app.setSetting('rate_limits', { api: { limit: 2, window_sec: 60 } });
+  h.app.resetRateLimits();
+  const key = await createKey();
+  assert.equal((await call({ key, action: 'balance' })).status, 200);
+  assert.equal((await call({ key, action: 'balance' })).status, 200);
+  const limited = await call({ key, action: 'balance' });
+  assert.deepEqual(limited, { status: 429, body: { error: 'Too many requests' } });
+  assert.equal(await h.app.AbuseLogs.countDocuments({ user_id: USER, kind: 'api' }), 1);
+});
+
+test('banned users cannot use their key', async () => {
+  const key = await createKey();
+  await h.app.Users.updateOne({ user_id: USER }, { $set: { banned: true } });
+  assert.equal((await call({ key, action: 'balance' })).status, 403);
+});
+
+test('services keep their numeric id, and ones from before ids existed get one', async () => {
+  await h.app.Services.insertOne({ key: 'legacy', name: 'Old Service', category: 'Other', routes: [{ provider: 'viralsmm', service_id: 20001 }], price_per_1k: 25, min: 50, max: 10000, enabled: true, created_at: new Date() });
+  await h.app.seedServices();
+  assert.equal((await h.app.getService('legacy')).api_id, 3);
+  await h.app.seedServices();
+  assert.deepEqual((await h.app.Services.find({}).sort({ api_id: 1 }).toArray()).map(s => [s.key, s.api_id]), [['likes', 1], ['views', 2], ['legacy', 3]]);
+});
+
+test('an order the provider did not answer is handed out as pending', async () => {
+  await h.app.Providers.insertOne({ name: 'silent', url: 'http://127.0.0.1:1/api/v2', key: 'k', priority: 2, enabled: true, health: 'healthy', fail_streak: 0, recent: [], created_at: new Date() });
+  await h.app.Services.updateOne({ key: 'likes' }, { $set: { routes: [{ provider: 'silent', service_id: 1 }] } });
+  const key = await createKey();
+  const { body } = await call({ key, action: 'add', service: 1, link: 'https://instagram.com/p/api', quantity: 1000 });
+  assert.deepEqual(body, { order: 1 });
+  assert.equal(await balance(), 98.8);
+  assert.deepEqual((await call({ key, action: 'status', order: 1 })).body, { charge: '1.2', start_count: '0', status: 'Pending', remains: '1000', currency: 'INR' });
+});
+
+test('orders are numbered by us, and ones from before numbers existed get one', async () => {
+  await h.app.Orders.insertMany([
+    { order_id: 1000, provider: 'viralsmm', user_id: USER, service: 'likes', qty: 1000, cost: 1.2, status: 'pending', created_at: new Date(Date.now() - 2000) },
+    { order_id: 1000, provider: 'other', user_id: USER, service: 'likes', qty: 2000, cost: 2.4, status: 'pending', created_at: new Date(Date.now() - 1000) }
+  ]);
+  await h.app.numberOrders();
+  await h.app.numberOrders();
+  assert.deepEqual((await h.app.Orders.find({}).sort({ order_no: 1 }).toArray()).map(o => [o.provider, o.order_no]), [['viralsmm', 1], ['other', 2]]);
+  const key = await createKey();
+  const { body } = await call({ key, action: 'status', orders: '1,2' });
+  assert.deepEqual([body['1'].remains, body['2'].remains], ['1000', '2000']);
+});
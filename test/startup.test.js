@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../src/config.js';
+import { createApp } from '../src/app.js';
+import { createMongoClient } from '../src/db.js';
+
+// index.js never runs under the harness; this builds the same real client and
+// app, short of connecting.
+test('index.js can build its MongoDB client and the app on the real driver', async () => {
+  const config = loadConfig({ BOT_TOKEN: 'TEST:TOKEN', MONGO_URI: 'mongodb://127.0.0.1:27017', LOG_LEVEL: 'silent' });
+  const client = createMongoClient(config);
+  try {
+    const app = createApp({ config, db: client.db(config.DB_NAME) });
+    assert.equal(app.Orders.collectionName, 'orders');
+  } finally {
+    await client.close();
+  }
+});
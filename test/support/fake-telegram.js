@@ -0,0 +1,43 @@
+// Bot API client that never leaves the process: every call is recorded and
+// answered with a plausible result.
+import { Telegram } from 'telegraf';
+
+export const BOT_INFO = { id: 1000, is_bot: true, first_name: 'SMM Bot', username: 'smm_test_bot' };
+
+export class FakeTelegram extends Telegram {
+  constructor() {
+    super('TEST:TOKEN', {});
+    this.calls = [];
+    this.nextMessageId = 1;
+  }
+
+  async callApi(method, payload = {}) {
+    this.calls.push({ method, payload });
+    if (method === 'getMe') return BOT_INFO;
+    if (/^(send|forward|copy|edit)/.test(method)) {
+      return { message_id: this.nextMessageId++, date: Math.floor(Date.now() / 1000), chat: { id: payload.chat_id }, text: payload.text };
+    }
+    return true;
+  }
+
+  // Calls of `method`, optionally only those to one chat.
+  sent(method, chatId = null) {
+    return this.calls.filter(c => c.method === method && (chatId == null || String(c.payload.chat_id) === String(chatId))).map(c => c.payload);
+  }
+
+  // Text of every message sent or edited for `chatId`.
+  textsTo(chatId) {
+    return this.calls
+      .filter(c => String(c.payload.chat_id) === String(chatId) && (c.payload.text || c.payload.caption))
+      .map(c => c.payload.text || c.payload.caption);
+  }
+
+  lastTextTo(chatId) {
+    const texts = this.textsTo(chatId);
+    return texts[texts.length - 1] || null;
+  }
+
+  reset() {
+    this.calls = [];
+  }
+}
@@ -0,0 +1,93 @@
+// Builds the real bot on an in-memory database, a fake Bot API client and a
+// mock SMM provider listening on a free local port, and feeds it updates the
+// way Telegram would.
+import { once } from 'events';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../../src/config.js';
+import { createApp } from '../../src/app.js';
+import { createMockProvider } from '../../scripts/mock-provider.js';
+import { MemoryDb } from './memory-db.js';
+import { FakeTelegram, BOT_INFO } from './fake-telegram.js';
+
+export const ADMIN_ID = 9001;
+
+export async function createHarness(overrides = {}) {
+  const provider = createMockProvider();
+  const server = provider.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const config = {
+    ...loadConfig({}),
+    BOT_TOKEN: 'TEST:TOKEN',
+    ADMIN_IDS: [ADMIN_ID],
+    VIRALSMM_API_URL: `http://127.0.0.1:${server.address().port}/api/v2`,
+    VIRALSMM_API_KEY: 'test-key',
+    BACKUP_PATH: path.join(os.tmpdir(), 'smm-bot-test-backups'),
+    QR_IMAGE_PATH: path.join(os.tmpdir(), 'smm-bot-test-no-qr.png'),
+    DAILY_REPORT_HOUR: -1,
+    LOG_LEVEL: process.env.LOG_LEVEL || 'silent',
+    ...overrides
+  };
+  const db = new MemoryDb();
+  const telegram = new FakeTelegram();
+  const app = createApp({ config, db, telegram });
+  app.bot.botInfo = BOT_INFO;
+  await app.init();
+
+  let updateId = 1;
+  let messageId = 1;
+
+  function user(id) {
+    return { id, is_bot: false, first_name: `User ${id}`, username: `user${id}` };
+  }
+
+  function message(fromId, fields) {
+    return { message_id: messageId++, from: user(fromId), chat: { id: fromId, type: 'private' }, date: Math.floor(Date.now() / 1000), ...fields };
+  }
+
+  async function update(u) {
+    await app.bot.handleUpdate({ update_id: updateId++, ...u });
+  }
+
+  return {
+    app,
+    db,
+    telegram,
+    config,
+
+    // A text message; commands get the entity Telegram would attach.
+    async send(fromId, text, extra = {}) {
+      const m = text.match(/^\/\w+/);
+      const entities = m ? [{ type: 'bot_command', offset: 0, length: m[0].length }] : undefined;
+      await update({ message: message(fromId, { text, entities, ...extra }) });
+    },
+
+    async sendPhoto(fromId, fileId = 'photo-file-id') {
+      await update({ message: message(fromId, { photo: [{ file_id: `${fileId}-small`, file_unique_id: 's', width: 90, height: 90 }, { file_id: fileId, file_unique_id: 'l', width: 800, height: 800 }] }) });
+    },
+
+    // Presses an inline button carrying `data`.
+    async press(fromId, data) {
+      await update({ callback_query: { id: String(updateId), from: user(fromId), chat_instance: '1', data, message: message(fromId, { text: 'button' }) } });
+    },
+
+    // Walks the order flow up to pressing Confirm; returns the placed order, if any.
+    async placeOrder(fromId, { service = 'likes', link = 'https://instagram.com/p/abc', qty = 1000 } = {}) {
+      await this.press(fromId, `ORDER:${service}`);
+      await this.send(fromId, link);
+      await this.send(fromId, String(qty));
+      const session = await app.Sessions.findOne({ user_id: fromId, state: 'order:confirm' });
+      if (!session) return null;
+      await this.press(fromId, `CONFIRM_ORDER:${session.data.draft_id}`);
+      return app.Orders.findOne({ user_id: fromId, link }, { sort: { created_at: -1 } });
+    },
+
+    async close() {
+      app.stop();
+      server.closeAllConnections();   // fetch keeps connections alive
+      server.close();
+      await once(server, 'close');
+    }
+  };
+}
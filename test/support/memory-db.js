@@ -0,0 +1,262 @@
+// In-memory stand-in for the parts of the MongoDB driver the bot uses.
+// Queries, update operators and aggregation run through mingo; documents are
+// copied in and out so callers never share state with the store.
+import { Query, Aggregator, updateOne as applyUpdate } from 'mingo';
+import { ObjectId } from 'mongodb';
+
+function clone(v) {
+  if (v === null || typeof v !== 'object') return v;
+  if (v instanceof Date) return new Date(v.getTime());
+  if (Array.isArray(v)) return v.map(clone);
+  if (Object.getPrototypeOf(v) !== Object.prototype) return v;   // ObjectId, Buffer, ... are not mutated
+  const out = {};
+  for (const [k, x] of Object.entries(v)) if (x !== undefined) out[k] = clone(x);
+  return out;
+}
+
+function sortValue(v) {
+  if (v instanceof ObjectId) return v.toHexString();
+  if (v instanceof Date) return v.getTime();
+  return v;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((v, k) => (v == null ? undefined : v[k]), doc);
+}
+
+function compare(a, b) {
+  a = sortValue(a); b = sortValue(b);
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function sortDocs(docs, spec) {
+  const keys = Object.entries(spec || {});
+  if (!keys.length) return docs;
+  return docs.slice().sort((x, y) => {
+    for (const [k, dir] of keys) {
+      const c = compare(getPath(x, k), getPath(y, k));
+      if (c) return c * dir;
+    }
+    return 0;
+  });
+}
+
+function project(docs, projection) {
+  if (!projection || !Object.keys(projection).length) return docs;
+  return new Aggregator([{ $project: projection }]).run(docs);
+}
+
+function keyOf(v) {
+  if (v instanceof ObjectId) return 'oid:' + v.toHexString();
+  if (v instanceof Date) return 'date:' + v.getTime();
+  return JSON.stringify(v);
+}
+
+class DuplicateKeyError extends Error {
+  constructor(collection, keys) {
+    super(`E11000 duplicate key error collection: ${collection} index: ${Object.keys(keys).join('_')}`);
+    this.code = 11000;
+  }
+}
+
+class Cursor {
+  constructor(load) {
+    this.load = load;
+    this.opts = { sort: null, skip: 0, limit: 0, projection: null };
+  }
+  sort(spec) { this.opts.sort = spec; return this; }
+  skip(n) { this.opts.skip = n; return this; }
+  limit(n) { this.opts.limit = n; return this; }
+  project(p) { this.opts.projection = p; return this; }
+  async toArray() {
+    let docs = sortDocs(this.load(), this.opts.sort);
+    docs = docs.slice(this.opts.skip, this.opts.limit ? this.opts.skip + this.opts.limit : undefined);
+    return project(docs.map(clone), this.opts.projection);
+  }
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) yield doc;
+  }
+}
+
+export class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+    this.indexes = new Map();
+  }
+
+  match(filter) {
+    const q = new Query(filter || {});
+    return this.docs.filter(d => q.test(d));
+  }
+
+  checkUnique(doc, except = null) {
+    for (const { keys, unique, partial } of this.indexes.values()) {
+      if (!unique || (partial && !partial.test(doc))) continue;
+      const key = Object.keys(keys).map(k => keyOf(getPath(doc, k))).join('|');
+      const clash = this.docs.some(d => d !== doc && d !== except && (!partial || partial.test(d)) && Object.keys(keys).map(k => keyOf(getPath(d, k))).join('|') === key);
+      if (clash) throw new DuplicateKeyError(this.collectionName, keys);
+    }
+  }
+
+  async createIndex(keys, options = {}) {
+    const name = options.name || Object.entries(keys).map(([k, v]) => `${k}_${v}`).join('_');
+    this.indexes.set(name, { keys, unique: !!options.unique, partial: options.partialFilterExpression ? new Query(options.partialFilterExpression) : null });
+    return name;
+  }
+
+  async dropIndex(name) {
+    if (!this.indexes.delete(name)) throw new Error(`index not found with name [${name}]`);
+  }
+
+  find(filter, options = {}) {
+    const cursor = new Cursor(() => this.match(filter));
+    if (options.sort) cursor.sort(options.sort);
+    if (options.projection) cursor.project(options.projection);
+    return cursor;
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = await this.find(filter, options).limit(1).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter) {
+    return this.match(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const seen = new Map();
+    for (const d of this.match(filter)) {
+      const v = getPath(d, field);
+      for (const x of Array.isArray(v) ? v : [v]) if (x !== undefined) seen.set(keyOf(x), clone(x));
+    }
+    return [...seen.values()];
+  }
+
+  aggregate(pipeline) {
+    const docs = this.docs.map(clone);
+    return { toArray: async () => new Aggregator(pipeline).run(docs) };
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();   // the driver sets _id on the caller's object too
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  // Applies `update` to the stored document in place; returns false when
+  // nothing changed.
+  apply(doc, update, inserting = false) {
+    const { $setOnInsert, ...rest } = update;
+    const before = JSON.stringify(doc);
+    const next = clone(doc);
+    if (Object.keys(rest).length) applyUpdate([next], {}, clone(rest));
+    if (inserting && $setOnInsert) applyUpdate([next], {}, { $set: clone($setOnInsert) });
+    this.checkUnique(next, doc);
+    for (const k of Object.keys(doc)) delete doc[k];
+    Object.assign(doc, next);
+    return JSON.stringify(doc) !== before;
+  }
+
+  upsert(filter, update) {
+    const doc = {};
+    for (const [k, v] of Object.entries(filter || {})) {
+      if (!k.startsWith('$') && (v === null || typeof v !== 'object' || v instanceof ObjectId || v instanceof Date)) doc[k] = clone(v);
+    }
+    if (doc._id === undefined) doc._id = new ObjectId();
+    this.apply(doc, update, true);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.match(filter);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const created = this.upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: created._id };
+    }
+    const modified = this.apply(doc, update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.match(filter);
+    if (!docs.length && options.upsert) return this.updateOne(filter, update, options);
+    let modifiedCount = 0;
+    for (const doc of docs) if (this.apply(doc, update)) modifiedCount++;
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = sortDocs(this.match(filter), options.sort);
+    if (!doc) {
+      if (!options.upsert) return null;
+      const created = this.upsert(filter, update);
+      return options.returnDocument === 'after' ? clone(created) : null;
+    }
+    const before = clone(doc);
+    this.apply(doc, update);
+    const out = options.returnDocument === 'after' ? clone(doc) : before;
+    return options.projection ? project([out], options.projection)[0] : out;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = sortDocs(this.match(filter), options.sort);
+    if (!doc) return null;
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    return clone(doc);
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.match(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const docs = new Set(this.match(filter));
+    this.docs = this.docs.filter(d => !docs.has(d));
+    return { acknowledged: true, deletedCount: docs.size };
+  }
+}
+
+export class MemoryDb {
+  constructor(name = 'smm_bot_test') {
+    this.databaseName = name;
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(name));
+    return this.collections.get(name);
+  }
+
+  listCollections() {
+    const names = [...this.collections.keys()].map(name => ({ name, type: 'collection' }));
+    return { toArray: async () => names };
+  }
+
+  // Only `ping`; `unreachable` makes it fail the way a lost connection would.
+  async command(cmd) {
+    if (!cmd.ping) throw new Error(`command not supported: ${Object.keys(cmd)[0]}`);
+    if (this.unreachable) throw new Error('connection refused');
+    return { ok: 1 };
+  }
+}
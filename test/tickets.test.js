@@ -0,0 +1,128 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, ADMIN_ID } from './support/harness.js';
+
+const USER = 555;
+let h;
+
+beforeEach(async () => {
+  h = await createHarness();
+  await h.send(USER, '/start');
+});
+
+afterEach(() => h.close());
+
+async function openTicket({ subject = 'Likes not arriving', orderId = null, text = 'Nothing after two days' } = {}) {
+  await h.press(USER, 'TICKET_NEW');
+  await h.send(USER, subject);
+  if (orderId) await h.send(USER, String(orderId));
+  else await h.press(USER, 'TICKET_NO_ORDER');
+  await h.send(USER, text);
+  return h.app.Tickets.findOne({ user_id: USER }, { sort: { created_at: -1 } });
+}
+
+function replyTo(relay) {
+  return { reply_to_message: { message_id: relay.message_id, chat: { id: relay.chat_id, type: 'private' }, date: 0, text: 'relay' } };
+}
+
+test('the Support button opens the support menu', async () => {
+  await h.press(USER, 'SUPPORT');
+  assert.match(h.telegram.lastTextTo(USER), /Open a ticket/);
+});
+
+test('a ticket is relayed to admins and answered by replying', async () => {
+  await h.app.walletCredit(USER, 10, 'deposit');
+  const order = await h.placeOrder(USER, { qty: 1000 });
+  const ticket = await openTicket({ orderId: order.order_id });
+
+  assert.equal(ticket.ticket_no, 1);
+  assert.equal(ticket.status, 'open');
+  assert.equal(ticket.order_id, order.order_id);
+  assert.equal(String(ticket.order_ref), String(order._id));
+  assert.equal(ticket.relays.length, 1);
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /Ticket #1 — Likes not arriving\n👤 @user555 \(555\)\n📦 Order: #1000\n\nNothing after two days/);
+
+  await h.send(ADMIN_ID, 'We have restarted it.', replyTo(ticket.relays[0]));
+  assert.match(h.telegram.lastTextTo(USER), /Support — ticket #1 \(Likes not arriving\)\n\nWe have restarted it\./);
+  let updated = await h.app.Tickets.findOne({ _id: ticket._id });
+  assert.equal(updated.status, 'answered');
+  assert.deepEqual(updated.messages.map(m => m.from), ['user', 'admin']);
+
+  // the user's follow-up reopens it and is relayed again
+  await h.press(USER, `TICKET_REPLY:${ticket._id}`);
+  await h.send(USER, 'Thanks, it works now');
+  updated = await h.app.Tickets.findOne({ _id: ticket._id });
+  assert.equal(updated.status, 'open');
+  assert.equal(updated.relays.length, 2);
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /Thanks, it works now/);
+
+  // replies to the newer relay reach the same ticket
+  await h.send(ADMIN_ID, 'Glad to hear it', replyTo(updated.relays[1]));
+  assert.equal((await h.app.Tickets.findOne({ _id: ticket._id })).messages.length, 4);
+});
+
+test('an order id that is not the user\'s is refused', async () => {
+  await h.press(USER, 'TICKET_NEW');
+  await h.send(USER, 'Refund please');
+  await h.send(USER, '424242');
+  assert.match(h.telegram.lastTextTo(USER), /No order of yours has that ID/);
+  assert.equal((await h.app.Sessions.findOne({ user_id: USER })).state, 'support:order');
+});
+
+test('closed tickets take no more messages from either side', async () => {
+  const ticket = await openTicket();
+  await h.press(USER, `TICKET_CLOSE:${ticket._id}`);
+  assert.equal(h.telegram.lastTextTo(USER), '✅ Ticket #1 closed.');
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /was closed by the user/);
+
+  const closed = await h.app.Tickets.findOne({ _id: ticket._id });
+  assert.equal(closed.status, 'closed');
+  assert.equal(closed.closed_by, USER);
+
+  await h.send(ADMIN_ID, 'Late answer', replyTo(ticket.relays[0]));
+  assert.equal(h.telegram.lastTextTo(ADMIN_ID), 'Ticket #1 is closed; the user was not messaged.');
+  await h.press(USER, `TICKET_REPLY:${ticket._id}`);
+  assert.match(h.telegram.lastTextTo(USER), /This ticket is closed/);
+});
+
+test('admins can close a ticket and users are told', async () => {
+  const ticket = await openTicket();
+  await h.press(ADMIN_ID, `TICKET_CLOSE:${ticket._id}`);
+  assert.equal((await h.app.Tickets.findOne({ _id: ticket._id })).closed_by, ADMIN_ID);
+  assert.match(h.telegram.lastTextTo(USER), /has been closed by support/);
+});
+
+test('users only see and act on their own tickets', async () => {
+  const ticket = await openTicket();
+  await h.send(777, '/start');
+  await h.press(777, `TICKET:${ticket._id}`);
+  assert.equal(h.telegram.lastTextTo(777), 'Ticket not found.');
+  await h.press(777, `TICKET_CLOSE:${ticket._id}`);
+  assert.equal((await h.app.Tickets.findOne({ _id: ticket._id })).status, 'open');
+
+  await h.press(USER, 'TICKETS:0');
+  assert.match(h.telegram.lastTextTo(USER), /Your tickets/);
+  await h.press(USER, `TICKET:${ticket._id}`);
+  assert.match(h.telegram.lastTextTo(USER), /Ticket #1 — Likes not arriving\n📍 Status: 🟢 open/);
+});
+
+test('/tickets lists tickets by state for admins only', async () => {
+  await openTicket({ subject: 'First' });
+  await openTicket({ subject: 'Second' });
+
+  await h.send(USER, '/tickets');
+  assert.equal(h.telegram.lastTextTo(USER), 'Not authorized');
+
+  await h.send(ADMIN_ID, '/tickets');
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /open tickets \(latest 2\)[\s\S]*#2 \| 555 @user555 \| Second/);
+  await h.send(ADMIN_ID, '/tickets closed');
+  assert.equal(h.telegram.lastTextTo(ADMIN_ID), 'No closed tickets.');
+  await h.send(ADMIN_ID, '/tickets 1');
+  assert.match(h.telegram.lastTextTo(ADMIN_ID), /#1 — First\nopen \| 555 @user555/);
+});
+
+test('a user can keep only a few tickets open', async () => {
+  for (let i = 0; i < 3; i++) await openTicket({ subject: `Issue ${i}` });
+  await h.press(USER, 'TICKET_NEW');
+  assert.match(h.telegram.lastTextTo(USER), /You already have 3 open tickets/);
+});